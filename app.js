@@ -9,16 +9,84 @@ import { init } from './src/ui/index.js';
 export {
     createMatmulOperation,
     createConv2dOperation,
-    OPERATIONS
+    OPERATIONS,
+    getLoopOrderKey,
+    generateLoopOrders,
+    parseLoopOrder,
+    DTYPES,
+    getDtypeSize,
+    getDefaultDtype,
+    setTensorDtypes,
+    setOperandPacking,
+    getComputeTensors,
+    getIterationAccesses,
+    getInnerExtent,
+    getLeadingDimension,
+    getLeadingDimChoices,
+    getPaddedIndex,
+    getStorageElements,
+    isPaddingIndex,
+    assignTensorAddresses,
+    setTensorPlacement
 } from './src/operations/index.js';
 
 export {
     CacheSimulator,
+    CacheHierarchy,
+    INCLUSION_POLICIES,
+    MissClassifier,
+    MISS_TYPES,
+    TLB,
+    RegisterFile,
+    getScalarReplacement,
+    getMicroKernelRegisters,
+    getInnermostTile,
+    CoherentSystem,
+    CostModel,
+    DEFAULT_LEVEL_LATENCIES,
+    computeStackDistances,
+    buildReuseProfile,
+    getMissRateForCapacity,
+    REPLACEMENT_POLICIES,
+    createReplacementPolicy,
+    PREFETCHERS,
+    createPrefetcher,
     generateIterations,
     generateTiledIterations,
+    getTileSizes,
+    getTileLevels,
+    getTileVar,
+    IterationCursor,
+    InterleavedCursor,
+    createIterationCursor,
+    createTiledIterationCursor,
+    CurveIterationCursor,
+    createCurveIterationCursor,
+    RecursiveIterationCursor,
+    createRecursiveIterationCursor,
+    createMicroKernelIterationCursor,
+    PackedIterationCursor,
+    createPackedIterationCursor,
+    isRecursiveSchedule,
+    getRecursiveScheduleName,
+    getRecursiveBaseOrder,
+    SPACE_FILLING_CURVES,
+    isSpaceFillingCurve,
+    mortonPoint,
+    hilbertPoint,
+    getCurveSide,
+    getCurvePoints,
+    SCHEDULE_DIRECTIVES,
+    parseSchedule,
+    compileSchedule,
+    createScheduleCursor,
+    getLoopIndex,
+    distributeIterationCursor,
     getLinearIndex,
     getTensorAddress,
-    getAccessAddress
+    getAccessAddress,
+    forEachAccess,
+    getAccessTrace
 } from './src/simulation/index.js';
 
 export {
@@ -3,9 +3,29 @@
  *
  * Tests cover:
  * - Operation definitions (matmul, conv2d)
- * - Iteration generation (non-tiled and tiled)
+ * - Generated and user-entered loop orders
+ * - Iteration generation (non-tiled, tiled, rectangular and multi-level tiles)
+ * - Lazy iteration cursors with arithmetic seeking
+ * - Morton and Hilbert space-filling-curve traversals
+ * - Recursive cache-oblivious matmul schedule
+ * - Loop transformation schedule language (split, reorder, fuse, unroll)
+ * - Register-blocked micro-kernel (MR×NR outer products)
+ * - Operand packing into contiguous buffers
  * - Partial tiling for convolution
- * - Cache simulation (LRU eviction)
+ * - Cache simulation (LRU eviction, set associativity, replacement policies)
+ * - Multi-level cache hierarchy
+ * - Inclusion policies and victim cache
+ * - Write policies and dirty lines
+ * - 3C miss classification
+ * - Hardware prefetchers
+ * - Cache lookup structures and bulk residency queries
+ * - TLB translation
+ * - Register file and scalar replacement
+ * - Multi-core MESI coherence and false sharing
+ * - Latency and bandwidth cost model
+ * - Reuse-distance analysis and miss-rate curves
+ * - Per-tensor element dtypes
+ * - Leading-dimension padding and tensor placement
  * - Tensor address calculation
  *
  * Run with: npm test
@@ -16,13 +36,81 @@ import assert from 'node:assert';
 import {
     createMatmulOperation,
     createConv2dOperation,
+    DTYPES,
+    getDtypeSize,
+    setTensorDtypes,
+    setOperandPacking,
+    getComputeTensors,
+    getIterationAccesses,
+    generateLoopOrders,
+    parseLoopOrder,
+    getPaddedIndex,
+    getInnerExtent,
+    getLeadingDimChoices,
+    getStorageElements,
+    isPaddingIndex,
+    setTensorPlacement,
     generateIterations,
     generateTiledIterations,
+    getTileSizes,
+    getTileLevels,
+    createIterationCursor,
+    createTiledIterationCursor,
+    distributeIterationCursor,
+    createCurveIterationCursor,
+    mortonPoint,
+    hilbertPoint,
+    getCurvePoints,
+    createRecursiveIterationCursor,
+    createMicroKernelIterationCursor,
+    createPackedIterationCursor,
+    parseSchedule,
+    compileSchedule,
+    createScheduleCursor,
+    getLoopIndex,
+    computeStackDistances,
+    buildReuseProfile,
+    getMissRateForCapacity,
     CacheSimulator,
+    CacheHierarchy,
+    RegisterFile,
+    getScalarReplacement,
+    getMicroKernelRegisters,
+    getInnermostTile,
+    CoherentSystem,
+    CostModel,
+    INCLUSION_POLICIES,
+    MissClassifier,
+    TLB,
+    REPLACEMENT_POLICIES,
+    createPrefetcher,
     getLinearIndex,
-    getTensorAddress
+    getTensorAddress,
+    getAccessAddress,
+    forEachAccess,
+    getAccessTrace
 } from './src/main.js';
 
+/**
+ * Check a split cursor against the cursor it splits: core c must run, in
+ * order, the iterations whose `dim` falls in the c-th block, and the cores
+ * must take turns.
+ */
+function assertSplitByBlocks(op, cursor, split, dim, numCores) {
+    const blockSize = Math.ceil(op.loopBounds[dim] / numCores);
+    const streams = Array.from({ length: numCores }, (_, core) =>
+        [...cursor].filter(iter => Math.floor(iter[dim] / blockSize) === core)
+    );
+    const expected = [];
+    for (let step = 0; step < Math.max(...streams.map(stream => stream.length)); step++) {
+        streams.forEach((stream, core) => {
+            if (step < stream.length) expected.push({ ...stream[step], core });
+        });
+    }
+    assert.strictEqual(split.length, expected.length);
+    assert.deepStrictEqual([...split], expected);
+}
+
 // =============================================================================
 // Operation Definition
 // =============================================================================
@@ -226,6 +314,620 @@ describe('Iteration Generator (Tiled)', () => {
         const seen = new Set(iters.map(it => `${it.i},${it.j},${it.k}`));
         assert.strictEqual(seen.size, 64);
     });
+
+    it('tiles each dim by its own size', () => {
+        const big = createMatmulOperation(12, 4);
+        const iters = generateTiledIterations(big, 'ijk', { i: 6, j: 4, k: 2 });
+        assert.strictEqual(iters.length, 12 * 12 * 12);
+        assert.strictEqual(new Set(iters.map(it => `${it.i},${it.j},${it.k}`)).size, 12 * 12 * 12);
+
+        // The first tile is 6 x 4 x 2
+        const first = iters.slice(0, 48);
+        assert.ok(first.every(it => it.ti === 0 && it.tj === 0 && it.tk === 0));
+        assert.deepStrictEqual([...new Set(first.map(it => it.i))], [0, 1, 2, 3, 4, 5]);
+        assert.deepStrictEqual([...new Set(first.map(it => it.j))], [0, 1, 2, 3]);
+        assert.deepStrictEqual([...new Set(first.map(it => it.k))], [0, 1]);
+        assert.strictEqual(iters[48].tk, 2);
+    });
+
+    it('clips rectangular tiles at the bounds', () => {
+        const big = createMatmulOperation(12, 4);
+        const iters = generateTiledIterations(big, 'ijk', { i: 5, j: 12, k: 12 });
+        const lastTile = iters.filter(it => it.ti === 10);
+        assert.strictEqual(lastTile.length, 2 * 12 * 12);
+    });
+
+    it('resolves a single size or a map to one size per tiled dim', () => {
+        const conv = createConv2dOperation();
+        assert.deepStrictEqual(getTileSizes(conv, 2), { h_out: 2, w_out: 2 });
+        assert.deepStrictEqual(getTileSizes(op, { i: 4, j: 2, k: 1 }), { i: 4, j: 2, k: 1 });
+        assert.throws(() => getTileSizes(op, { i: 4, j: 2 }), /Missing tile size for k/);
+    });
+
+    it('nests inner tiles inside outer tiles', () => {
+        const big = createMatmulOperation(12, 4);
+        const iters = generateTiledIterations(big, 'ijk', [
+            { tileSizes: 6 },
+            { tileSizes: 2 }
+        ]);
+        assert.strictEqual(iters.length, 12 * 12 * 12);
+        assert.strictEqual(new Set(iters.map(it => `${it.i},${it.j},${it.k}`)).size, 12 * 12 * 12);
+
+        for (const it of iters) {
+            assert.strictEqual(it.tti % 6, 0);
+            assert.ok(it.ti >= it.tti && it.ti < it.tti + 6);
+            assert.ok(it.i >= it.ti && it.i < it.ti + 2);
+            assert.strictEqual(it.li, it.i - it.ti);
+        }
+        // The whole first outer tile (6 x 6 x 6) runs before the next one
+        assert.ok(iters.slice(0, 216).every(it => it.tti === 0 && it.ttj === 0 && it.ttk === 0));
+        assert.strictEqual(iters[216].ttk, 6);
+    });
+
+    it('orders tile loops independently of element loops', () => {
+        const iters = generateTiledIterations(op, 'ijk', 2, 'kij');
+        assert.strictEqual(iters.length, 64);
+
+        // Tiles step k, then i, then j
+        const tiles = [...new Set(iters.map(it => `${it.ti},${it.tj},${it.tk}`))];
+        assert.deepStrictEqual(tiles.slice(0, 4), ['0,0,0', '0,2,0', '2,0,0', '2,2,0']);
+        // Within a tile, elements still follow ijk
+        assert.deepStrictEqual(iters.slice(0, 3).map(it => `${it.i},${it.j},${it.k}`), ['0,0,0', '0,0,1', '0,1,0']);
+    });
+
+    it('orders each tile level independently', () => {
+        const big = createMatmulOperation(12, 4);
+        const iters = generateTiledIterations(big, 'ijk', [
+            { tileSizes: 6, loopOrder: 'kji' },
+            { tileSizes: 2 }
+        ]);
+        // Outer tiles step k first, then j, then i; inner tiles follow ijk
+        const outerTiles = [...new Set(iters.map(it => `${it.tti},${it.ttj},${it.ttk}`))];
+        assert.deepStrictEqual(outerTiles.slice(0, 3), ['0,0,0', '6,0,0', '0,6,0']);
+        const innerTiles = [...new Set(iters.slice(0, 216).map(it => `${it.ti},${it.tj},${it.tk}`))];
+        assert.deepStrictEqual(innerTiles.slice(0, 2), ['0,0,0', '0,0,2']);
+    });
+
+    it('clips inner tiles at the edge of their outer tile', () => {
+        const big = createMatmulOperation(12, 4);
+        const iters = generateTiledIterations(big, 'ijk', [{ tileSizes: 6 }, { tileSizes: 4 }]);
+        const innerRows = new Set(iters.filter(it => it.tti === 0).map(it => it.ti));
+        assert.deepStrictEqual([...innerRows].sort((a, b) => a - b), [0, 4]);
+        assert.ok(iters.filter(it => it.ti === 4 && it.tti === 0).every(it => it.i < 6));
+    });
+
+    it('lists tile levels outermost first with their tiled dims', () => {
+        const conv = createConv2dOperation();
+        const levels = getTileLevels(conv, 'c_out,h_out,w_out,c_in,k_h,k_w', [
+            { tileSizes: 4, loopOrder: 'k_h,k_w,c_in,c_out,h_out,w_out' },
+            { tileSizes: { h_out: 2, w_out: 1 } }
+        ]);
+        assert.deepStrictEqual(levels, [
+            { tileSizes: { h_out: 4, w_out: 4 }, order: ['h_out', 'w_out'] },
+            { tileSizes: { h_out: 2, w_out: 1 }, order: ['h_out', 'w_out'] }
+        ]);
+    });
+});
+
+// =============================================================================
+// Iteration Cursors
+// =============================================================================
+
+describe('Iteration Cursors', () => {
+    it('seeks to the same iterations the generators produce', () => {
+        const op = createMatmulOperation(12, 4);
+        const configs = [
+            [createIterationCursor(op, 'kij'), generateIterations(op, 'kij')],
+            [createTiledIterationCursor(op, 'ijk', { i: 5, j: 4, k: 3 }, 'kji'),
+                generateTiledIterations(op, 'ijk', { i: 5, j: 4, k: 3 }, 'kji')],
+            [createTiledIterationCursor(op, 'jki', [{ tileSizes: 6 }, { tileSizes: 4 }]),
+                generateTiledIterations(op, 'jki', [{ tileSizes: 6 }, { tileSizes: 4 }])]
+        ];
+        for (const [cursor, iterations] of configs) {
+            assert.strictEqual(cursor.length, iterations.length);
+            for (const n of [0, 1, 47, 48, 500, 1000, 1727]) {
+                assert.deepStrictEqual(cursor.at(n), iterations[n]);
+            }
+            assert.strictEqual(cursor.at(cursor.length), undefined);
+        }
+    });
+
+    it('streams from any index', () => {
+        const op = createConv2dOperation();
+        const cursor = createTiledIterationCursor(op, 'c_out,h_out,w_out,c_in,k_h,k_w', 4);
+        const iterations = generateTiledIterations(op, 'c_out,h_out,w_out,c_in,k_h,k_w', 4);
+        assert.deepStrictEqual([...cursor.iterate(100)].slice(0, 5), iterations.slice(100, 105));
+        assert.deepStrictEqual([...cursor], iterations);
+    });
+
+    it('interleaves blocks of the split loop across cores', () => {
+        const op = createMatmulOperation(10, 4);
+        const tiled = createTiledIterationCursor(op, 'ijk', 4);
+        const cursor = distributeIterationCursor(op, tiled, 'j', 4);
+
+        assertSplitByBlocks(op, tiled, cursor, 'j', 4);
+        assert.deepStrictEqual([...cursor.getStream(3)], [...tiled].filter(iter => iter.j >= 9).map(iter => ({ ...iter, core: 3 })));
+    });
+
+    it('seeks a 256x256 matmul without materializing it', () => {
+        const op = createMatmulOperation(256, 4);
+        const cursor = createTiledIterationCursor(op, 'ijk', [{ tileSizes: 64 }, { tileSizes: 8 }]);
+        assert.strictEqual(cursor.length, 256 ** 3);
+
+        const last = cursor.at(cursor.length - 1);
+        assert.deepStrictEqual([last.i, last.j, last.k], [255, 255, 255]);
+        // Index past the first outer tile (64^3 iterations): next outer k tile
+        const next = cursor.at(64 ** 3);
+        assert.deepStrictEqual([next.tti, next.ttj, next.ttk, next.i, next.j, next.k], [0, 0, 64, 0, 0, 64]);
+    });
+});
+
+// =============================================================================
+// Space-Filling Curves
+// =============================================================================
+
+describe('Space-Filling Curves', () => {
+    it('Morton walks each 2x2 block in a Z', () => {
+        const points = [0, 1, 2, 3, 4].map(mortonPoint);
+        assert.deepStrictEqual(points, [
+            { row: 0, col: 0 }, { row: 0, col: 1 }, { row: 1, col: 0 }, { row: 1, col: 1 }, { row: 0, col: 2 }
+        ]);
+    });
+
+    it('Hilbert steps between grid neighbors', () => {
+        for (let index = 1; index < 256; index++) {
+            const a = hilbertPoint(index - 1, 16);
+            const b = hilbertPoint(index, 16);
+            assert.strictEqual(Math.abs(a.row - b.row) + Math.abs(a.col - b.col), 1);
+        }
+        assert.deepStrictEqual(hilbertPoint(255, 16), { row: 0, col: 15 });
+    });
+
+    it('covers a non-power-of-two plane exactly once', () => {
+        for (const curve of ['morton', 'hilbert']) {
+            const points = getCurvePoints(curve, 12, 12);
+            assert.strictEqual(points.length, 144);
+            assert.strictEqual(new Set(points.map(p => `${p.row},${p.col}`)).size, 144);
+        }
+        assert.throws(() => getCurvePoints('peano', 4, 4), /Unknown space-filling curve/);
+    });
+
+    it('nests the other loop dims inside each curve point', () => {
+        const op = createMatmulOperation(12, 4);
+        const cursor = createCurveIterationCursor(op, 'morton');
+        assert.strictEqual(cursor.length, 1728);
+        assert.deepStrictEqual(cursor.at(0), { i: 0, j: 0, k: 0 });
+        assert.deepStrictEqual(cursor.at(13), { i: 0, j: 1, k: 1 });
+        assert.deepStrictEqual(cursor.at(24), { i: 1, j: 0, k: 0 });
+        assert.strictEqual(new Set([...cursor].map(it => `${it.i},${it.j},${it.k}`)).size, 1728);
+    });
+
+    it('walks the conv2d output plane with channels and kernel inside', () => {
+        const op = createConv2dOperation();
+        const cursor = createCurveIterationCursor(op, 'hilbert');
+        assert.strictEqual(cursor.length, op.getTotalIterations());
+        const inner = cursor.length / (op.loopBounds.h_out * op.loopBounds.w_out);
+        assert.deepStrictEqual(cursor.at(inner - 1), {
+            c_out: op.loopBounds.c_out - 1, h_out: 0, w_out: 0,
+            c_in: op.loopBounds.c_in - 1, k_h: op.loopBounds.k_h - 1, k_w: op.loopBounds.k_w - 1
+        });
+        assert.deepStrictEqual([cursor.at(inner).h_out, cursor.at(inner).w_out], [1, 0]);
+    });
+
+    it('splits across cores like the materialized sequence', () => {
+        const op = createMatmulOperation(12, 4);
+        const cursor = createCurveIterationCursor(op, 'hilbert');
+        for (const dim of ['i', 'k']) {
+            assertSplitByBlocks(op, cursor, distributeIterationCursor(op, cursor, dim, 4), dim, 4);
+        }
+    });
+
+    it('curves reuse A rows and B columns a row-major walk evicts', () => {
+        const op = createMatmulOperation(12, 4);
+        const misses = (iterations) => {
+            // 24 lines of 4 elements: too small for all of B, enough for a neighborhood
+            const cache = new CacheSimulator(24 * 16, 16);
+            getAccessTrace(op, iterations, { A: 'row', B: 'row', C: 'row' }).forEach(address => cache.access(address));
+            return cache.misses;
+        };
+        const rowMajor = misses(generateIterations(op, 'ijk'));
+        assert.ok(misses(createCurveIterationCursor(op, 'morton')) < rowMajor);
+        assert.ok(misses(createCurveIterationCursor(op, 'hilbert')) < rowMajor);
+    });
+});
+
+// =============================================================================
+// Recursive Schedule
+// =============================================================================
+
+describe('Recursive Schedule', () => {
+    const op = createMatmulOperation(12, 4);
+
+    it('covers the iteration space once', () => {
+        const cursor = createRecursiveIterationCursor(op, 'ijk', 2);
+        assert.strictEqual(cursor.length, 1728);
+        assert.strictEqual(new Set([...cursor].map(it => `${it.i},${it.j},${it.k}`)).size, 1728);
+    });
+
+    it('halves the largest dim down to the base size', () => {
+        // 12 -> 6 -> 3 -> 2 + 1, i then j then k at each size: 3 halvings per dim
+        const cursor = createRecursiveIterationCursor(op, 'ijk', 2);
+        const first = cursor.at(0);
+        assert.strictEqual(first.depth, 9);
+        // The first base box is 2 x 2 x 2, run in ijk order
+        assert.deepStrictEqual([...cursor.iterate(0)].slice(0, 8).map(it => `${it.i}${it.j}${it.k}`),
+            ['000', '001', '010', '011', '100', '101', '110', '111']);
+        // Then its sibling, the 2 x 2 x 1 rest of k's 3-wide box
+        assert.deepStrictEqual(cursor.at(8), { i: 0, j: 0, k: 2, depth: 9 });
+    });
+
+    it('runs the base loop order inside each base box', () => {
+        const cursor = createRecursiveIterationCursor(op, 'kji', 3);
+        assert.deepStrictEqual([...cursor.iterate(0)].slice(0, 3).map(it => `${it.i}${it.j}${it.k}`), ['000', '100', '200']);
+        assert.strictEqual(cursor.at(0).depth, 6);
+    });
+
+    it('base size 12 is the plain loop nest', () => {
+        const cursor = createRecursiveIterationCursor(op, 'ikj', 12);
+        assert.deepStrictEqual([...cursor].map(({ depth, ...it }) => it), generateIterations(op, 'ikj'));
+    });
+
+    it('splits across cores like the materialized sequence', () => {
+        const cursor = createRecursiveIterationCursor(op, 'ijk', 2);
+        assertSplitByBlocks(op, cursor, distributeIterationCursor(op, cursor, 'j', 3), 'j', 3);
+    });
+
+    it('rejects unknown base orders and sizes', () => {
+        assert.throws(() => createRecursiveIterationCursor(op, 'ijx', 2), /Unknown loop order/);
+        assert.throws(() => createRecursiveIterationCursor(op, 'ijk', 0), /Invalid recursion base size/);
+    });
+
+    it('misses less than ijk when B does not fit in the cache', () => {
+        const misses = (iterations, lines) => {
+            const cache = new CacheSimulator(lines * 16, 16);
+            getAccessTrace(op, iterations, { A: 'row', B: 'row', C: 'row' }).forEach(address => cache.access(address));
+            return cache.misses;
+        };
+        for (const lines of [8, 24, 32]) {
+            assert.ok(misses(createRecursiveIterationCursor(op, 'ijk', 2), lines) < misses(generateIterations(op, 'ijk'), lines));
+        }
+    });
+});
+
+// =============================================================================
+// Schedule Language
+// =============================================================================
+
+describe('Schedule Language', () => {
+    const op = createMatmulOperation(12, 4);
+    const dims = (cursor) => [...cursor].map(({ i, j, k }) => ({ i, j, k }));
+
+    it('parses directives separated by semicolons or newlines', () => {
+        assert.deepStrictEqual(parseSchedule('split(i, 4);\n reorder(io, j, k, ii)\nunroll(ii)'), [
+            { name: 'split', args: ['i', 4] },
+            { name: 'reorder', args: ['io', 'j', 'k', 'ii'] },
+            { name: 'unroll', args: ['ii'] }
+        ]);
+        assert.deepStrictEqual(parseSchedule('  ;  '), []);
+    });
+
+    it('an empty schedule is the plain loop nest', () => {
+        assert.deepStrictEqual([...createScheduleCursor(op, 'kij', '')], generateIterations(op, 'kij'));
+    });
+
+    it('split and reorder compile to tiling', () => {
+        const cursor = createScheduleCursor(op, 'ijk', 'split(i, 4); split(j, 6); reorder(io, jo, k, ii, ji)');
+        assert.deepStrictEqual(dims(cursor), dims(createTiledIterationCursor(op, 'kij', { i: 4, j: 6, k: 12 }, 'ijk')));
+        // Each io tile holds 4 x 12 x 12 iterations: this is io=1, jo=0, k=0, ii=0, ji=2
+        assert.deepStrictEqual(cursor.at(576 + 2), {
+            i: 4, j: 2, k: 0, io: 1, jo: 0, ii: 0, ji: 2
+        });
+    });
+
+    it('clips splits that do not divide the loop', () => {
+        const { loops } = compileSchedule(op, 'ijk', 'split(i, 5); split(ii, 2)');
+        assert.deepStrictEqual(loops.map(loop => `${loop.name}:${loop.extent}`), ['io:3', 'iio:3', 'iii:2', 'j:12', 'k:12']);
+        const cursor = createScheduleCursor(op, 'ijk', 'split(i, 5); split(ii, 2)');
+        assert.deepStrictEqual(dims(cursor), generateIterations(op, 'ijk'));
+        assert.deepStrictEqual(cursor.at(11 * 144), { i: 11, j: 0, k: 0, io: 2, iio: 0, iii: 1 });
+    });
+
+    it('unrolling keeps the order and marks the loop', () => {
+        const { loops } = compileSchedule(op, 'ijk', 'unroll(k, 4)');
+        assert.deepStrictEqual(loops.map(loop => [loop.name, loop.unrolled]),
+            [['i', false], ['j', false], ['ko', false], ['ki', true]]);
+        assert.deepStrictEqual(dims(createScheduleCursor(op, 'ijk', 'unroll(k, 4)')), generateIterations(op, 'ijk'));
+    });
+
+    it('unroll-and-jam interleaves the unrolled copies innermost', () => {
+        const { loops } = compileSchedule(op, 'ijk', 'unroll_and_jam(i, 2)');
+        assert.deepStrictEqual(loops.map(loop => loop.name), ['io', 'j', 'k', 'ii']);
+        assert.strictEqual(loops[3].unrolled, true);
+        const cursor = createScheduleCursor(op, 'ijk', 'unroll_and_jam(i, 2)');
+        assert.deepStrictEqual([...cursor.iterate(0)].slice(0, 4).map(it => `${it.i}${it.j}${it.k}`), ['000', '100', '001', '101']);
+    });
+
+    it('fuses adjacent loops into one', () => {
+        const { loops } = compileSchedule(op, 'ijk', 'fuse(i, j, ij)');
+        assert.deepStrictEqual(loops.map(loop => `${loop.name}:${loop.extent}`), ['ij:144', 'k:12']);
+        const cursor = createScheduleCursor(op, 'ijk', 'fuse(i, j, ij)');
+        assert.deepStrictEqual(dims(cursor), generateIterations(op, 'ijk'));
+        assert.strictEqual(getLoopIndex(loops[0], cursor.at(12 * 30)), 30);
+    });
+
+    it('splits across cores like the materialized sequence', () => {
+        const cursor = createScheduleCursor(op, 'ijk', 'split(k, 4); reorder(ko, i, j, ki)');
+        assertSplitByBlocks(op, cursor, distributeIterationCursor(op, cursor, 'i', 3), 'i', 3);
+    });
+
+    it('rejects invalid schedules', () => {
+        const compile = (text) => compileSchedule(op, 'ijk', text);
+        assert.throws(() => compile('tile(i, 4)'), /Unknown schedule directive: tile/);
+        assert.throws(() => compile('split i 4'), /Invalid schedule directive/);
+        assert.throws(() => compile('split(i)'), /Expected split/);
+        assert.throws(() => compile('split(i, 0)'), /Invalid split factor/);
+        assert.throws(() => compile('split(x, 2)'), /Unknown loop variable: x/);
+        assert.throws(() => compile('split(i, 2, j, q)'), /Loop variable already exists: j/);
+        assert.throws(() => compile('split(i, 4); reorder(ii, io)'), /ii must stay inside io/);
+        assert.throws(() => compile('fuse(i, k)'), /k must be directly inside i/);
+        assert.throws(() => compile('fuse(i, j); split(ij, 2)'), /Cannot split fused loop ij/);
+        assert.throws(() => compileSchedule(op, 'morton', 'split(i, 2)'), /Unknown loop order/);
+    });
+});
+
+// =============================================================================
+// Loop Orders
+// =============================================================================
+
+describe('Loop Orders', () => {
+    it('generates every permutation, loopDims first', () => {
+        assert.deepStrictEqual(Object.keys(generateLoopOrders(['i', 'j', 'k'])), ['ijk', 'ikj', 'jik', 'jki', 'kij', 'kji']);
+        assert.deepStrictEqual(generateLoopOrders(['a', 'bb']), { 'a,bb': ['a', 'bb'], 'bb,a': ['bb', 'a'] });
+    });
+
+    it('conv2d offers all 720 orders of its six loops', () => {
+        const op = createConv2dOperation();
+        const orders = Object.values(op.loopOrders);
+        assert.strictEqual(orders.length, 720);
+        assert.strictEqual(new Set(orders.map(order => order.join())).size, 720);
+        assert.deepStrictEqual(op.loopOrders['h_out,c_in,k_h,w_out,k_w,c_out'], ['h_out', 'c_in', 'k_h', 'w_out', 'k_w', 'c_out']);
+        const iterations = generateIterations(op, 'h_out,c_in,k_h,w_out,k_w,c_out');
+        assert.strictEqual(iterations.length, op.getTotalIterations());
+        assert.deepStrictEqual(iterations[1], { c_out: 1, h_out: 0, w_out: 0, c_in: 0, k_h: 0, k_w: 0 });
+    });
+
+    it('parses typed orders to their key', () => {
+        const conv = createConv2dOperation();
+        assert.strictEqual(parseLoopOrder(conv, 'h_out, c_in, k_h, w_out, k_w, c_out'), 'h_out,c_in,k_h,w_out,k_w,c_out');
+        assert.strictEqual(parseLoopOrder(conv, 'h_out → c_in → k_h → w_out → k_w → c_out'), 'h_out,c_in,k_h,w_out,k_w,c_out');
+        const matmul = createMatmulOperation(12, 4);
+        assert.strictEqual(parseLoopOrder(matmul, 'kij'), 'kij');
+        assert.strictEqual(parseLoopOrder(matmul, 'k -> i -> j'), 'kij');
+    });
+
+    it('rejects orders that are not a permutation', () => {
+        const conv = createConv2dOperation();
+        assert.throws(() => parseLoopOrder(conv, 'h_out,c_in,k_h,w_out,k_w'), /expected each of c_out, h_out/);
+        assert.throws(() => parseLoopOrder(conv, 'h_out,h_out,k_h,w_out,k_w,c_out'), /Invalid loop order/);
+        assert.throws(() => parseLoopOrder(createMatmulOperation(12, 4), 'iik'), /Invalid loop order/);
+    });
+});
+
+// =============================================================================
+// Micro-kernel
+// =============================================================================
+
+describe('Micro-kernel', () => {
+    const op = createMatmulOperation(12, 4);
+    const layouts = { A: 'row', B: 'row', C: 'row' };
+    const keys = (iterations) => new Set(Array.from(iterations, iter => `${iter.i},${iter.j},${iter.k}`));
+
+    it('updates an MR×NR register tile by one outer product per k', () => {
+        const cursor = createMicroKernelIterationCursor(op, { mr: 4, nr: 4 });
+        assert.strictEqual(cursor.length, 1728);
+        assert.deepStrictEqual(cursor.at(0), { i: 0, j: 0, k: 0, ir: 0, jr: 0 });
+        assert.deepStrictEqual(cursor.at(1), { i: 0, j: 1, k: 0, ir: 0, jr: 0 });
+        assert.deepStrictEqual(cursor.at(4), { i: 1, j: 0, k: 0, ir: 0, jr: 0 });
+        assert.deepStrictEqual(cursor.at(16), { i: 0, j: 0, k: 1, ir: 0, jr: 0 });
+        // ir walks the rows of a column of register tiles, then jr moves on
+        assert.deepStrictEqual(cursor.at(192), { i: 4, j: 0, k: 0, ir: 4, jr: 0 });
+        assert.deepStrictEqual(cursor.at(3 * 192), { i: 0, j: 4, k: 0, ir: 0, jr: 4 });
+        assert.strictEqual(keys(cursor).size, 1728);
+    });
+
+    it('clips register tiles that do not divide the range', () => {
+        const cursor = createMicroKernelIterationCursor(op, { mr: 5, nr: 4 });
+        assert.strictEqual(keys(cursor).size, 1728);
+        assert.deepStrictEqual(cursor.at(10 * 12 * 4), { i: 10, j: 0, k: 0, ir: 10, jr: 0 });
+    });
+
+    it('nests inside cache tiles', () => {
+        const cursor = createMicroKernelIterationCursor(op, { mr: 4, nr: 4 }, 6, 'kij');
+        assert.strictEqual(keys(cursor).size, 1728);
+        assert.deepStrictEqual(cursor.at(0), { i: 0, j: 0, k: 0, tk: 0, ti: 0, tj: 0, ir: 0, jr: 0, li: 0, lj: 0, lk: 0 });
+        for (const iter of cursor) {
+            assert.ok(iter.ir >= iter.ti && iter.i < iter.ti + 6);
+            assert.ok(iter.jr >= iter.tj && iter.j < iter.tj + 6);
+            assert.ok(iter.k >= iter.tk && iter.k < iter.tk + 6);
+        }
+        // The second register tile row of a 6-row cache tile is clipped to 2 rows
+        assert.deepStrictEqual([cursor.at(6 * 16).ir, cursor.at(6 * 16).i], [4, 4]);
+        assert.strictEqual(cursor.at(6 * 16 + 6 * 8).jr, 4);
+    });
+
+    it('rejects operations without a micro-kernel', () => {
+        assert.throws(() => createMicroKernelIterationCursor(createConv2dOperation(), { mr: 4, nr: 4 }), /has no micro-kernel/);
+        assert.throws(() => createMicroKernelIterationCursor(op, { mr: 0, nr: 4 }), /Invalid register tile/);
+    });
+
+    it('holds the C tile and one sliver of A and B in registers', () => {
+        assert.deepStrictEqual(getMicroKernelRegisters(op, 4, 4), { A: 4, B: 4, C: 16 });
+        assert.deepStrictEqual(getMicroKernelRegisters(op, 6, 4), { A: 6, B: 4, C: 24 });
+    });
+
+    it('loads C once per tile and an MR and NR sliver per k step', () => {
+        const cursor = createMicroKernelIterationCursor(op, { mr: 4, nr: 4 });
+        const allocation = getMicroKernelRegisters(op, 4, 4);
+        // 9 register tiles: 16 loads and 16 stores of C, 12 slivers of 4 of A and of B
+        assert.strictEqual(getAccessTrace(op, cursor, layouts, allocation).length, 9 * (16 + 16 + 12 * 8));
+
+        const profile = buildReuseProfile(op, cursor, layouts, 16, allocation);
+        assert.strictEqual(profile.tensors.C.accesses, 9 * 32);
+        assert.strictEqual(profile.tensors.A.accesses, 9 * 12 * 4);
+        assert.strictEqual(profile.tensors.B.accesses, 9 * 12 * 4);
+    });
+
+    it('splits across cores by blocks of the split loop', () => {
+        const cursor = createMicroKernelIterationCursor(op, { mr: 4, nr: 2 }, 6);
+        assertSplitByBlocks(op, cursor, distributeIterationCursor(op, cursor, 'i', 3), 'i', 3);
+    });
+});
+
+// =============================================================================
+// Operand Packing
+// =============================================================================
+
+describe('Operand Packing', () => {
+    const layouts = { A: 'row', B: 'row', C: 'row', Ap: 'row', Bp: 'row' };
+    const packed = (tileSizes) => {
+        const op = createMatmulOperation(12, 4);
+        setOperandPacking(op, tileSizes);
+        return op;
+    };
+
+    it('adds a buffer per packed input, holding one tile, after the tensors', () => {
+        const op = packed({ i: 4, j: 4, k: 2 });
+        assert.deepStrictEqual(op.tensors.map(t => t.name), ['A', 'B', 'C', 'Ap', 'Bp']);
+        const [, , , Ap, Bp] = op.tensors;
+        assert.deepStrictEqual([Ap.rows, Ap.cols, Bp.rows, Bp.cols], [4, 2, 2, 4]);
+        assert.strictEqual(Ap.baseAddress, 3 * 144 * 4);
+        assert.strictEqual(Bp.baseAddress, 3 * 144 * 4 + 8 * 4);
+
+        setOperandPacking(op, null);
+        assert.deepStrictEqual(op.tensors.map(t => t.name), ['A', 'B', 'C']);
+        assert.strictEqual(op.packing, null);
+    });
+
+    it('computes on the buffers; copies read the input and write its buffer', () => {
+        const op = packed({ i: 4, j: 4, k: 2 });
+        assert.deepStrictEqual(getComputeTensors(op).map(t => t.name), ['Ap', 'Bp', 'C']);
+        const copy = getIterationAccesses(op, { pack: 'A', i: 5, j: 0, k: 3, ti: 4, tj: 0, tk: 2 });
+        assert.deepStrictEqual(copy.map(a => [a.tensor.name, a.accessType]), [['A', 'read'], ['Ap', 'write']]);
+        // Element (5, 3) of the tile at (4, 2) is (1, 1) of the buffer
+        assert.strictEqual(getAccessAddress(copy[1].tensor, { i: 5, k: 3, ti: 4, tk: 2 }, layouts), op.tensors[3].baseAddress + 3 * 4);
+        assert.deepStrictEqual(getComputeTensors(createMatmulOperation(12, 4)).map(t => t.name), ['A', 'B', 'C']);
+    });
+
+    it('copies the blocks of each tile before its iterations', () => {
+        const op = packed({ i: 4, j: 4, k: 4 });
+        const tiled = createTiledIterationCursor(op, 'ijk', 4);
+        const cursor = createPackedIterationCursor(op, tiled);
+        // With tk innermost every tile needs new blocks of A and B
+        assert.strictEqual(cursor.length, 1728 + 27 * 32);
+        assert.deepStrictEqual([cursor.at(0).pack, cursor.at(0).i, cursor.at(0).k], ['A', 0, 0]);
+        assert.deepStrictEqual([cursor.at(17).pack, cursor.at(17).k, cursor.at(17).j], ['B', 0, 1]);
+        assert.deepStrictEqual(cursor.at(32), tiled.at(0));
+        assert.deepStrictEqual([cursor.at(64 + 32).pack, cursor.at(64 + 32).tk], ['A', 4]);
+        assert.deepStrictEqual(Array.from(cursor).filter(iter => !iter.pack), Array.from(tiled));
+    });
+
+    it('keeps a block while it stays the same', () => {
+        const op = packed({ i: 4, j: 4, k: 4 });
+        // Tiles in ikj order: the A block (ti, tk) is reused across tj
+        const cursor = createPackedIterationCursor(op, createTiledIterationCursor(op, 'ijk', 4, 'ikj'));
+        const packs = Array.from(cursor).filter(iter => iter.pack);
+        assert.strictEqual(packs.filter(iter => iter.pack === 'A').length, 9 * 16);
+        assert.strictEqual(packs.filter(iter => iter.pack === 'B').length, 27 * 16);
+    });
+
+    it('copies only the part of a clipped tile, and each input whole when untiled', () => {
+        const clipped = packed({ i: 5, j: 5, k: 5 });
+        const cursor = createPackedIterationCursor(clipped, createTiledIterationCursor(clipped, 'ijk', 5));
+        assert.strictEqual(cursor.length, 1728 + 2 * 3 * 144);
+
+        const op = packed({});
+        assert.deepStrictEqual([op.tensors[3].rows, op.tensors[3].cols], [12, 12]);
+        const whole = createPackedIterationCursor(op, createIterationCursor(op, 'ijk'));
+        assert.strictEqual(whole.length, 1728 + 2 * 144);
+        assert.strictEqual(whole.at(2 * 144).pack, undefined);
+    });
+
+    it('finds the iterations of a large run without walking its tiles', () => {
+        const op = createMatmulOperation(1024, 4);
+        setOperandPacking(op, { i: 4, j: 4, k: 4 });
+        const tiled = createTiledIterationCursor(op, 'ijk', 4);
+        const cursor = createPackedIterationCursor(op, tiled);
+        // 256^3 tiles, each packing a 4x4 block of A and of B
+        assert.strictEqual(cursor.length, 1024 ** 3 + 2 * 256 ** 3 * 16);
+        assert.deepStrictEqual(cursor.at(cursor.length - 1), tiled.at(tiled.length - 1));
+        const last = cursor.length - 64 - 32;
+        assert.deepStrictEqual([cursor.at(last).pack, cursor.at(last).ti, cursor.at(last).tk], ['A', 1020, 1020]);
+        assert.deepStrictEqual(cursor.at(last + 32), tiled.at(tiled.length - 64));
+
+        const core = cursor.restrict('i', 512, 1024);
+        assert.strictEqual(core.length, cursor.length / 2);
+        assert.deepStrictEqual(core.at(32), tiled.at(tiled.length / 2));
+    });
+
+    it('reads the inputs only while packing', () => {
+        const op = packed({ i: 4, j: 4, k: 4 });
+        const cursor = createPackedIterationCursor(op, createTiledIterationCursor(op, 'ijk', 4));
+        assert.strictEqual(getAccessTrace(op, cursor, layouts).length, 3 * 1728 + 2 * 27 * 32);
+
+        const profile = buildReuseProfile(op, cursor, layouts, 16);
+        assert.strictEqual(profile.tensors.A.accesses, 27 * 16);
+        assert.strictEqual(profile.tensors.Ap.accesses, 1728 + 27 * 16);
+        assert.strictEqual(profile.tensors.C.accesses, 1728);
+    });
+
+    it('gives registers to the buffers, not the packed inputs', () => {
+        const op = packed({ i: 4, j: 4, k: 4 });
+        assert.deepStrictEqual(getMicroKernelRegisters(op, 4, 4), { Ap: 4, Bp: 4, C: 16 });
+        assert.deepStrictEqual(getScalarReplacement(op, ['j'], 16), { Ap: 1 });
+
+        const cursor = createPackedIterationCursor(op, createMicroKernelIterationCursor(op, { mr: 4, nr: 4 }, 4, 'ijk'));
+        const trace = getAccessTrace(op, cursor, layouts, getMicroKernelRegisters(op, 4, 4));
+        // Copies: 27 tiles of two 16-element blocks, a read and a write each;
+        // compute: one A and B sliver per k, and C in and out once per tile,
+        // since its register tile is loaded before each kc block and stored after
+        assert.strictEqual(trace.length, 27 * 64 + 27 * 4 * 8 + 27 * 32);
+    });
+
+    it('packs per core the blocks each core uses', () => {
+        const op = packed({ i: 4, j: 4, k: 4 });
+        const cursor = createPackedIterationCursor(op, createTiledIterationCursor(op, 'ijk', 4));
+        const iterations = Array.from(distributeIterationCursor(op, cursor, 'i', 3));
+        assert.strictEqual(iterations.filter(iter => !iter.pack).length, 1728);
+        for (const iter of iterations.filter(iter => iter.pack === 'A')) {
+            assert.strictEqual(Math.floor(iter.i / 4), iter.core);
+        }
+    });
+
+    it('needs packing to be on', () => {
+        const op = createMatmulOperation(12, 4);
+        assert.throws(() => createPackedIterationCursor(op, createIterationCursor(op, 'ijk')), /Packing is off/);
+    });
+
+    it('gives each core its own slot of every buffer', () => {
+        const op = createMatmulOperation(12, 4);
+        setOperandPacking(op, { i: 4, j: 4, k: 4 }, {}, 3);
+        const [, , , Ap, Bp] = op.tensors;
+        assert.strictEqual(Bp.baseAddress, Ap.baseAddress + 3 * 16 * 4);
+
+        const packedCursor = createPackedIterationCursor(op, createTiledIterationCursor(op, 'ijk', 4));
+        const addresses = [new Set(), new Set(), new Set()];
+        for (const iter of distributeIterationCursor(op, packedCursor, 'i', 3)) {
+            for (const { tensor } of getIterationAccesses(op, iter)) {
+                if (tensor.packs) addresses[iter.core].add(getAccessAddress(tensor, iter, layouts));
+            }
+        }
+        addresses.forEach((core, idx) => {
+            assert.strictEqual(core.size, 2 * 16);
+            for (const other of addresses.slice(idx + 1)) {
+                assert.ok([...core].every(address => !other.has(address)));
+            }
+        });
+    });
 });
 
 // =============================================================================
@@ -336,6 +1038,1309 @@ describe('Cache Simulator', () => {
     });
 });
 
+// =============================================================================
+// Set-Associative Cache
+// =============================================================================
+
+describe('Set-Associative Cache', () => {
+    it('defaults to fully associative (one set)', () => {
+        const cache = new CacheSimulator(64, 16);
+        assert.strictEqual(cache.numSets, 1);
+        assert.strictEqual(cache.ways, 4);
+    });
+
+    it('derives set count from associativity', () => {
+        const cache = new CacheSimulator(128, 16, 1, { associativity: 2 });  // 8 lines
+        assert.strictEqual(cache.ways, 2);
+        assert.strictEqual(cache.numSets, 4);
+    });
+
+    it('maps addresses to sets by line index', () => {
+        const cache = new CacheSimulator(64, 16, 1, { associativity: 1 });  // 4 sets
+        assert.strictEqual(cache.getSetIndex(0), 0);
+        assert.strictEqual(cache.getSetIndex(16), 1);
+        assert.strictEqual(cache.getSetIndex(63), 3);
+        assert.strictEqual(cache.getSetIndex(64), 0);
+    });
+
+    it('direct-mapped: same-set lines conflict despite free capacity', () => {
+        const cache = new CacheSimulator(64, 16, 1, { associativity: 1 });
+        cache.access(0);
+        cache.access(64);  // Same set as address 0, evicts it
+
+        assert.strictEqual(cache.isAddressCached(0), null);
+        assert.strictEqual(cache.isAddressCached(64), 1);
+        assert.strictEqual(cache.lines.length, 1);
+        assert.strictEqual(cache.access(0).hit, false);
+    });
+
+    it('2-way: LRU eviction stays within the set', () => {
+        const cache = new CacheSimulator(64, 16, 1, { associativity: 2 });  // 2 sets
+        cache.access(0);    // set 0
+        cache.access(16);   // set 1
+        cache.access(32);   // set 0
+        cache.access(64);   // set 0, evicts line 0
+
+        assert.strictEqual(cache.isAddressCached(0), null);
+        assert.strictEqual(cache.isAddressCached(16), 1);
+        assert.strictEqual(cache.isAddressCached(32), 1);
+        assert.strictEqual(cache.isAddressCached(64), 1);
+    });
+
+    it('snapshot/restore preserves set contents', () => {
+        const cache = new CacheSimulator(64, 16, 1, { associativity: 2 });
+        cache.access(0);
+        cache.access(16);
+        const snap = cache.snapshot();
+
+        cache.access(32);
+        cache.access(64);
+        cache.restore(snap);
+
+        assert.strictEqual(cache.isAddressCached(0), 1);
+        assert.strictEqual(cache.isAddressCached(64), null);
+        assert.strictEqual(cache.lines.length, 2);
+    });
+});
+
+// =============================================================================
+// Replacement Policies
+// =============================================================================
+
+describe('Replacement Policies', () => {
+    // Fully associative, 2 lines of 16 bytes
+    const make = (replacement, options = {}) => new CacheSimulator(32, 16, 1, { replacement, ...options });
+
+    it('FIFO ignores hits when choosing a victim', () => {
+        const cache = make('fifo');
+        cache.access(0);
+        cache.access(16);
+        cache.access(0);   // Hit does not refresh line 0
+        cache.access(32);  // Evicts line 0 (oldest fill)
+
+        assert.strictEqual(cache.isAddressCached(0), null);
+        assert.strictEqual(cache.isAddressCached(16), 1);
+    });
+
+    it('LFU evicts the least frequently used line', () => {
+        const cache = make('lfu');
+        cache.access(16);
+        cache.access(0);
+        cache.access(0);
+        cache.access(0);
+        cache.access(32);  // Line 16 used once, line 0 three times
+
+        assert.strictEqual(cache.isAddressCached(16), null);
+        assert.strictEqual(cache.isAddressCached(0), 1);
+    });
+
+    it('tree-PLRU evicts the way the tree points away from', () => {
+        const cache = new CacheSimulator(64, 16, 1, { replacement: 'plru' });  // 4 ways
+        cache.access(0);
+        cache.access(16);
+        cache.access(32);
+        cache.access(48);
+        cache.access(0);   // Protects the left half
+        cache.access(32);  // Right half: protects 32, tree points left
+        cache.access(64);  // Left half, way 1 (line 16) is the pseudo-LRU
+
+        assert.strictEqual(cache.isAddressCached(16), null);
+        assert.strictEqual(cache.isAddressCached(0), 1);
+        assert.strictEqual(cache.isAddressCached(48), 1);
+    });
+
+    it('random is reproducible for a given seed', () => {
+        const run = () => {
+            const cache = new CacheSimulator(64, 16, 1, { replacement: 'random', seed: 42 });
+            for (let n = 0; n < 40; n++) {
+                cache.access((n * 7 % 13) * 16);
+            }
+            return cache.lines.slice().sort((a, b) => a - b);
+        };
+        assert.deepStrictEqual(run(), run());
+    });
+
+    it('OPT evicts the line used furthest in the future', () => {
+        const trace = [0, 16, 32, 0, 16];
+        const cache = make('opt', { trace });
+        for (const address of trace.slice(0, 3)) {
+            cache.access(address);
+        }
+        // On the miss for 32, line 0 is next used at t=3 and line 16 at t=4: evict 16
+        assert.strictEqual(cache.isAddressCached(0), 1);
+        assert.strictEqual(cache.isAddressCached(16), null);
+        assert.strictEqual(cache.access(0).hit, true);
+    });
+
+    it('OPT never does worse than LRU on the same trace', () => {
+        const op = createMatmulOperation(4, 4);
+        const layouts = { A: 'row', B: 'col', C: 'row' };
+        const trace = getAccessTrace(op, generateIterations(op, 'ijk'), layouts);
+
+        const lru = new CacheSimulator(64, 16);
+        const opt = new CacheSimulator(64, 16, 1, { replacement: 'opt', trace });
+        for (const address of trace) {
+            lru.access(address);
+            opt.access(address);
+        }
+        assert.ok(opt.hits >= lru.hits, `OPT ${opt.hits} < LRU ${lru.hits}`);
+    });
+
+    it('OPT requires a trace', () => {
+        assert.throws(() => make('opt'), /trace/);
+    });
+
+    it('snapshot/restore includes policy state', () => {
+        const cache = make('lru');
+        cache.access(0);
+        cache.access(16);
+        const snap = cache.snapshot();
+
+        cache.access(0);   // Line 16 becomes LRU
+        cache.restore(snap);
+        cache.access(32);  // Line 0 is LRU again
+
+        assert.strictEqual(cache.isAddressCached(0), null);
+        assert.strictEqual(cache.isAddressCached(16), 1);
+    });
+
+    it('every listed policy can be constructed', () => {
+        for (const { value } of REPLACEMENT_POLICIES) {
+            const cache = make(value, { trace: [0] });
+            assert.strictEqual(cache.access(0).hit, false, value);
+            assert.strictEqual(cache.access(0).hit, true, value);
+        }
+    });
+});
+
+// =============================================================================
+// Cache Hierarchy
+// =============================================================================
+
+describe('Cache Hierarchy', () => {
+    // L1: 2 lines, L2: 4 lines, 16-byte lines
+    const make = () => new CacheHierarchy([
+        new CacheSimulator(32, 16, 1),
+        new CacheSimulator(64, 16, 2)
+    ]);
+
+    it('requires at least one level', () => {
+        assert.throws(() => new CacheHierarchy([]));
+    });
+
+    it('cold access misses every level and fills them all', () => {
+        const cache = make();
+        const result = cache.access(0);
+        assert.strictEqual(result.hit, false);
+        assert.strictEqual(result.level, null);
+        assert.strictEqual(cache.levels[0].isAddressCached(0), 1);
+        assert.strictEqual(cache.levels[1].isAddressCached(0), 2);
+    });
+
+    it('L1 hit does not reach L2', () => {
+        const cache = make();
+        cache.access(0);
+        const result = cache.access(4);
+        assert.deepStrictEqual(result, { hit: true, level: 1, prefetchHit: false });
+        assert.strictEqual(cache.levels[1].totalAccesses, 1);
+    });
+
+    it('line evicted from L1 is served by L2', () => {
+        const cache = make();
+        cache.access(0);
+        cache.access(16);
+        cache.access(32);  // Evicts line 0 from L1 only
+
+        assert.strictEqual(cache.isAddressCached(0), 2);
+        assert.deepStrictEqual(cache.access(0), { hit: true, level: 2, prefetchHit: false });
+        assert.strictEqual(cache.isAddressCached(0), 1);
+    });
+
+    it('aggregates hits and memory misses', () => {
+        const cache = make();
+        cache.access(0);
+        cache.access(16);
+        cache.access(32);
+        cache.access(0);   // L2 hit
+        cache.access(32);  // L1 hit
+
+        assert.strictEqual(cache.totalAccesses, 5);
+        assert.strictEqual(cache.hits, 2);
+        assert.strictEqual(cache.misses, 3);
+    });
+
+    it('snapshot/restore covers every level', () => {
+        const cache = make();
+        cache.access(0);
+        const snap = cache.snapshot();
+
+        cache.access(16);
+        cache.access(32);
+        cache.restore(snap);
+
+        assert.strictEqual(cache.isAddressCached(0), 1);
+        assert.strictEqual(cache.isAddressCached(16), null);
+        assert.strictEqual(cache.levels[1].lines.length, 1);
+    });
+});
+
+// =============================================================================
+// Inclusion Policies
+// =============================================================================
+
+describe('Inclusion Policies', () => {
+    // 2-line L1 over a 4-line direct-mapped L2: lines 0 and 64 collide in L2 set 0
+    const make = (inclusion, victimLines = 0) => new CacheHierarchy([
+        new CacheSimulator(32, 16, 1),
+        new CacheSimulator(64, 16, 2, { associativity: 1 })
+    ], {
+        inclusion,
+        victimCache: victimLines > 0 ? new CacheSimulator(victimLines * 16, 16, 1) : null
+    });
+
+    it('lists the inclusion policies', () => {
+        assert.deepStrictEqual(INCLUSION_POLICIES.map(p => p.value), ['nine', 'inclusive', 'exclusive']);
+    });
+
+    it('rejects an unknown inclusion policy', () => {
+        assert.throws(() => make('strict'), /Unknown inclusion policy/);
+    });
+
+    it('NINE keeps an L1 line that L2 evicted', () => {
+        const cache = make('nine');
+        cache.access(0);
+        cache.access(64);  // Evicts line 0 from L2, L1 still holds both
+        assert.strictEqual(cache.levels[0].isAddressCached(0), 1);
+        assert.strictEqual(cache.levels[1].isAddressCached(0), null);
+        assert.strictEqual(cache.backInvalidations, 0);
+    });
+
+    it('inclusive back-invalidates L1 when L2 evicts', () => {
+        const cache = make('inclusive');
+        cache.access(0);
+        cache.access(64);
+        assert.strictEqual(cache.isAddressCached(0), null);
+        assert.strictEqual(cache.backInvalidations, 1);
+        assert.strictEqual(cache.access(0).hit, false);
+    });
+
+    it('back-invalidating a dirty L1 line writes it to memory', () => {
+        const cache = make('inclusive');
+        cache.access(0, 'write');
+        cache.access(64);
+        assert.strictEqual(cache.memoryWriteBytes, 16);
+        assert.strictEqual(cache.levels[0].writebacks, 1);
+    });
+
+    it('exclusive fills only L1 and moves L1 victims into L2', () => {
+        const cache = make('exclusive');
+        cache.access(0);
+        assert.strictEqual(cache.levels[1].isAddressCached(0), null);
+
+        cache.access(16);
+        cache.access(32);  // L1 evicts line 0 into L2
+        assert.strictEqual(cache.levels[0].isAddressCached(0), null);
+        assert.strictEqual(cache.levels[1].isAddressCached(0), 2);
+
+        const result = cache.access(0);  // Moves back up, L1 victim 16 goes down
+        assert.strictEqual(result.level, 2);
+        assert.strictEqual(cache.levels[1].isAddressCached(0), null);
+        assert.strictEqual(cache.levels[1].isAddressCached(16), 2);
+    });
+
+    it('exclusive hierarchy holds more distinct lines than NINE', () => {
+        const run = (inclusion) => {
+            const cache = make(inclusion);
+            const lines = [0, 16, 32, 48, 64, 80];
+            for (let pass = 0; pass < 3; pass++) {
+                lines.forEach(line => cache.access(line));
+            }
+            return cache.misses;
+        };
+        assert.ok(run('exclusive') < run('nine'));
+    });
+
+    it('exclusive keeps a moved line dirty', () => {
+        const cache = make('exclusive');
+        cache.access(0, 'write');
+        cache.access(16);
+        cache.access(32);
+        assert.strictEqual(cache.levels[1].isAddressDirty(0), true);
+        cache.access(0);
+        assert.strictEqual(cache.levels[0].isAddressDirty(0), true);
+    });
+
+    it('victim cache catches L1 conflict misses', () => {
+        const cache = make('nine', 2);
+        cache.access(0);
+        cache.access(16);
+        cache.access(32);  // Line 0 goes to the victim cache
+        assert.strictEqual(cache.victimCache.isAddressCached(0), 1);
+
+        const result = cache.access(0);
+        assert.deepStrictEqual(result, { hit: true, level: 1, prefetchHit: false });
+        assert.strictEqual(cache.victimHits, 1);
+        assert.strictEqual(cache.levels[1].totalAccesses, 3);
+        // Swapped: 0 is back in L1 and L1's victim took its place
+        assert.strictEqual(cache.levels[0].isAddressCached(0), 1);
+        assert.strictEqual(cache.victimCache.isAddressCached(0), null);
+    });
+
+    it('snapshot/restore covers back-invalidations and the victim cache', () => {
+        const cache = make('inclusive', 2);
+        cache.access(0);
+        const snap = cache.snapshot();
+        cache.access(64);
+        cache.access(16);
+        cache.access(32);
+        cache.restore(snap);
+        assert.strictEqual(cache.backInvalidations, 0);
+        assert.strictEqual(cache.victimCache.lines.length, 0);
+        assert.strictEqual(cache.isAddressCached(0), 1);
+    });
+});
+
+// =============================================================================
+// Write Policies
+// =============================================================================
+
+describe('Write Policies', () => {
+    it('tensors declare their access type', () => {
+        const matmul = createMatmulOperation(4, 4);
+        assert.deepStrictEqual(matmul.tensors.map(t => t.access), ['read', 'read', 'readwrite']);
+        const conv = createConv2dOperation();
+        assert.deepStrictEqual(conv.tensors.map(t => t.access), ['read', 'read', 'readwrite']);
+    });
+
+    it('write-back marks lines dirty and writes them back on eviction', () => {
+        const cache = new CacheSimulator(32, 16);  // 2 lines
+        cache.access(0, 'readwrite');
+        assert.strictEqual(cache.isAddressDirty(0), true);
+        assert.strictEqual(cache.writeTrafficBytes, 0);
+
+        cache.access(16);
+        const result = cache.access(32);  // Evicts dirty line 0
+        assert.strictEqual(result.writeback, 0);
+        assert.strictEqual(cache.writebacks, 1);
+        assert.strictEqual(cache.writeTrafficBytes, 16);
+    });
+
+    it('clean evictions are not written back', () => {
+        const cache = new CacheSimulator(32, 16);
+        cache.access(0);
+        cache.access(16);
+        const result = cache.access(32);
+        assert.strictEqual(result.writeback, null);
+        assert.strictEqual(cache.writebacks, 0);
+    });
+
+    it('write-through forwards every store and never dirties', () => {
+        const cache = new CacheSimulator(32, 16, 1, { writePolicy: 'write-through' });
+        const first = cache.access(0, 'readwrite', 4);
+        const second = cache.access(4, 'write', 4);
+
+        assert.strictEqual(first.writeThrough, true);
+        assert.strictEqual(second.writeThrough, true);
+        assert.strictEqual(cache.isAddressDirty(0), false);
+        assert.strictEqual(cache.writeTrafficBytes, 8);
+    });
+
+    it('no-write-allocate does not fill on a store miss', () => {
+        const cache = new CacheSimulator(32, 16, 1, { writeAllocate: false });
+        const result = cache.access(0, 'write', 4);
+        assert.strictEqual(result.hit, false);
+        assert.strictEqual(cache.isAddressCached(0), null);
+        assert.strictEqual(cache.writeTrafficBytes, 4);
+    });
+
+    it('read-modify-write still fills without write-allocate', () => {
+        const cache = new CacheSimulator(32, 16, 1, { writeAllocate: false });
+        cache.access(0, 'readwrite', 4);
+        assert.strictEqual(cache.isAddressCached(0), 1);
+        assert.strictEqual(cache.isAddressDirty(0), true);
+    });
+
+    it('hierarchy absorbs L1 writebacks in L2', () => {
+        const cache = new CacheHierarchy([
+            new CacheSimulator(32, 16, 1),
+            new CacheSimulator(64, 16, 2)
+        ]);
+        cache.access(0, 'readwrite');
+        cache.access(16);
+        cache.access(32);  // L1 writes line 0 back into L2
+
+        assert.strictEqual(cache.levels[0].writebacks, 1);
+        assert.strictEqual(cache.levels[1].isAddressDirty(0), true);
+        assert.strictEqual(cache.memoryWriteBytes, 0);
+        assert.strictEqual(cache.writebacks, 1);
+    });
+
+    it('hierarchy counts memory write traffic from the last level', () => {
+        const cache = new CacheHierarchy([
+            new CacheSimulator(16, 16, 1),
+            new CacheSimulator(32, 16, 2)
+        ]);
+        cache.access(0, 'readwrite');
+        cache.access(16, 'readwrite');  // L1 writes 0 back to L2
+        cache.access(32, 'readwrite');  // L1 writes 16 back; L2 evicts dirty 0 to memory
+
+        assert.strictEqual(cache.memoryWriteBytes, 16);
+        assert.strictEqual(cache.memoryReadBytes, 3 * 16);
+    });
+
+    it('hierarchy counts non-allocating store misses as memory misses', () => {
+        const options = { writePolicy: 'write-through', writeAllocate: false };
+        const cache = new CacheHierarchy([
+            new CacheSimulator(32, 16, 1, options),
+            new CacheSimulator(64, 16, 2, options)
+        ]);
+        cache.access(0, 'write', 4);
+        cache.access(16, 'write', 4);
+        cache.access(16);             // Fetched: a last-level miss
+        cache.access(16, 'write', 4); // Hit, written through to L2
+
+        assert.strictEqual(cache.misses, 3);
+        assert.strictEqual(cache.memoryReadBytes, 16);
+        assert.strictEqual(cache.memoryWriteBytes, 3 * 4);
+
+        const snap = cache.snapshot();
+        cache.access(32, 'write', 4);
+        cache.restore(snap);
+        assert.strictEqual(cache.misses, 3);
+    });
+
+    it('snapshot/restore preserves dirty bits and write counters', () => {
+        const cache = new CacheSimulator(32, 16);
+        cache.access(0, 'readwrite');
+        const snap = cache.snapshot();
+
+        cache.access(16);
+        cache.access(32);
+        cache.restore(snap);
+
+        assert.strictEqual(cache.isAddressDirty(0), true);
+        assert.strictEqual(cache.writebacks, 0);
+    });
+});
+
+// =============================================================================
+// 3C Miss Classification
+// =============================================================================
+
+describe('3C Miss Classification', () => {
+    // 2-line cache (direct-mapped by default) next to its classifier
+    const run = (addresses, associativity = 1) => {
+        const cache = new CacheSimulator(32, 16, 1, { associativity });
+        const classifier = new MissClassifier(32, 16);
+        return addresses.map(address => classifier.classify(address, cache.access(address).hit));
+    };
+
+    it('first touch of a line is compulsory', () => {
+        assert.deepStrictEqual(run([0, 16]), ['compulsory', 'compulsory']);
+    });
+
+    it('hits are not classified', () => {
+        assert.deepStrictEqual(run([0, 4]), ['compulsory', null]);
+    });
+
+    it('set mapping misses are conflict misses', () => {
+        // 0 and 32 share set 0; a fully associative 2-line cache holds both
+        assert.deepStrictEqual(run([0, 32, 0]), ['compulsory', 'compulsory', 'conflict']);
+    });
+
+    it('working set larger than the cache gives capacity misses', () => {
+        // Cycling over 3 lines defeats a 2-line fully associative LRU cache
+        const types = run([0, 16, 32, 0, 16, 32], 0);
+        assert.deepStrictEqual(types.slice(3), ['capacity', 'capacity', 'capacity']);
+    });
+
+    it('snapshot/restore rewinds the shadow cache and first-touch set', () => {
+        const cache = new CacheSimulator(32, 16);
+        const classifier = new MissClassifier(32, 16);
+        classifier.classify(0, cache.access(0).hit);
+        const snap = classifier.snapshot();
+
+        classifier.classify(16, false);
+        classifier.restore(snap);
+
+        assert.strictEqual(classifier.classify(16, false), 'compulsory');
+    });
+});
+
+// =============================================================================
+// Hardware Prefetchers
+// =============================================================================
+
+describe('Hardware Prefetchers', () => {
+    it('prefetched line is not a demand access and counts as useful on first hit', () => {
+        const cache = new CacheSimulator(64, 16);
+        cache.prefetch(16);
+        assert.strictEqual(cache.totalAccesses, 0);
+        assert.strictEqual(cache.prefetchesIssued, 1);
+        assert.strictEqual(cache.isAddressPrefetched(16), true);
+
+        const result = cache.access(20);
+        assert.strictEqual(result.hit, true);
+        assert.strictEqual(result.prefetchHit, true);
+        assert.strictEqual(cache.usefulPrefetches, 1);
+        assert.strictEqual(cache.isAddressPrefetched(16), false);
+        assert.strictEqual(cache.access(24).prefetchHit, false);
+    });
+
+    it('prefetching a resident line is not issued', () => {
+        const cache = new CacheSimulator(64, 16);
+        cache.access(0);
+        assert.strictEqual(cache.prefetch(4).installed, false);
+        assert.strictEqual(cache.prefetchesIssued, 0);
+    });
+
+    it('prefetched line evicted unused counts as useless', () => {
+        const cache = new CacheSimulator(32, 16);
+        cache.prefetch(0);
+        cache.access(16);
+        cache.access(32);  // Evicts the untouched prefetch
+        assert.strictEqual(cache.uselessPrefetches, 1);
+        assert.strictEqual(cache.usefulPrefetches, 0);
+    });
+
+    it('next-line prefetches on a miss and on first use of a prefetched line', () => {
+        const prefetcher = createPrefetcher('next-line', 16);
+        assert.deepStrictEqual(prefetcher.observe(4, 'A', { hit: false, prefetchHit: false }), [16]);
+        assert.deepStrictEqual(prefetcher.observe(8, 'A', { hit: true, prefetchHit: false }), []);
+        assert.deepStrictEqual(prefetcher.observe(16, 'A', { hit: true, prefetchHit: true }), [32]);
+    });
+
+    it('stride prefetcher locks onto a repeated line stride per stream', () => {
+        const prefetcher = createPrefetcher('stride', 16);
+        const miss = { hit: false, prefetchHit: false };
+        assert.deepStrictEqual(prefetcher.observe(0, 'B', miss), []);
+        assert.deepStrictEqual(prefetcher.observe(48, 'B', miss), []);
+        // Another tensor's accesses do not disturb B's stream
+        assert.deepStrictEqual(prefetcher.observe(1000, 'A', miss), []);
+        assert.deepStrictEqual(prefetcher.observe(96, 'B', miss), [144]);
+        // Accesses within the same line are ignored
+        assert.deepStrictEqual(prefetcher.observe(100, 'B', miss), []);
+    });
+
+    it('adjacent-line prefetcher fetches the buddy line of the aligned pair', () => {
+        const prefetcher = createPrefetcher('adjacent', 16);
+        const miss = { hit: false, prefetchHit: false };
+        assert.deepStrictEqual(prefetcher.observe(4, 'A', miss), [16]);
+        assert.deepStrictEqual(prefetcher.observe(52, 'A', miss), [32]);
+        assert.deepStrictEqual(prefetcher.observe(52, 'A', { hit: true, prefetchHit: false }), []);
+    });
+
+    it('hierarchy prefetch fills the levels below L1 without counting accesses', () => {
+        const cache = new CacheHierarchy([
+            new CacheSimulator(32, 16, 1),
+            new CacheSimulator(128, 16, 2)
+        ]);
+        assert.strictEqual(cache.prefetch(16), true);
+        assert.strictEqual(cache.levels[1].isAddressCached(16), 2);
+        assert.strictEqual(cache.levels[1].totalAccesses, 0);
+        assert.strictEqual(cache.access(16).prefetchHit, true);
+        assert.strictEqual(cache.usefulPrefetches, 1);
+    });
+
+    it('counts the lines prefetched from memory as memory reads', () => {
+        const cache = new CacheHierarchy([
+            new CacheSimulator(64, 16, 1),
+            new CacheSimulator(256, 16, 2)
+        ]);
+        const prefetcher = createPrefetcher('next-line', 16);
+        for (let address = 0; address < 128; address += 4) {
+            const result = cache.access(address);
+            prefetcher.observe(address, 'A', result).forEach(target => cache.prefetch(target));
+        }
+        // One demand miss, then each line arrives by prefetch, one past the end
+        assert.strictEqual(cache.misses, 1);
+        assert.strictEqual(cache.memoryReadBytes, 9 * 16);
+
+        cache.levels[0].reset();
+        cache.prefetch(16);  // Held by L2
+        assert.strictEqual(cache.memoryReadBytes, 9 * 16);
+    });
+
+    it('next-line prefetching turns a sequential stream into hits', () => {
+        const run = (name) => {
+            const cache = new CacheSimulator(64, 16);
+            const prefetcher = createPrefetcher(name, 16);
+            for (let address = 0; address < 256; address += 4) {
+                const result = cache.access(address);
+                if (prefetcher) {
+                    prefetcher.observe(address, 'A', result).forEach(target => cache.prefetch(target));
+                }
+            }
+            return cache.misses;
+        };
+        assert.strictEqual(run('none'), 16);
+        assert.strictEqual(run('next-line'), 1);
+    });
+
+    it('snapshot/restore covers prefetch flags and counters', () => {
+        const cache = new CacheSimulator(64, 16);
+        cache.prefetch(0);
+        const snap = cache.snapshot();
+        cache.access(0);
+        cache.restore(snap);
+        assert.strictEqual(cache.isAddressPrefetched(0), true);
+        assert.strictEqual(cache.usefulPrefetches, 0);
+    });
+});
+
+// =============================================================================
+// Cache Lookup Structures
+// =============================================================================
+
+describe('Cache Lookup Structures', () => {
+    it('large cache keeps exact LRU behavior', () => {
+        const lines = 1024;
+        const cache = new CacheSimulator(lines * 64, 64);
+        const sweep = (count) => {
+            for (let line = 0; line < count; line++) {
+                cache.access(line * 64);
+            }
+        };
+
+        sweep(lines);
+        sweep(lines);
+        assert.strictEqual(cache.hits, lines);
+
+        // One line more than fits: LRU misses on every access of a cyclic sweep
+        cache.reset();
+        sweep(lines + 1);
+        sweep(lines + 1);
+        assert.strictEqual(cache.hits, 0);
+    });
+
+    it('getResidentLines returns every resident line with its level', () => {
+        const cache = new CacheSimulator(64, 16, 1, { associativity: 2 });
+        cache.access(0);
+        cache.access(20);
+        const resident = cache.getResidentLines();
+        assert.deepStrictEqual([...resident.keys()].sort((a, b) => a - b), [0, 16]);
+        assert.strictEqual(resident.get(16), 1);
+    });
+
+    it('hierarchy residency reports the innermost level holding a line', () => {
+        const cache = new CacheHierarchy([
+            new CacheSimulator(32, 16, 1),
+            new CacheSimulator(128, 16, 2)
+        ]);
+        cache.access(0);
+        cache.access(16);
+        cache.access(32);  // Evicts line 0 from L1 only
+
+        const resident = cache.getResidentLines();
+        assert.strictEqual(resident.get(0), 2);
+        assert.strictEqual(resident.get(32), 1);
+        assert.strictEqual(resident.size, 3);
+    });
+
+    it('restore rebuilds the lookup map and free ways', () => {
+        const cache = new CacheSimulator(64, 16);
+        cache.access(0);
+        const snap = cache.snapshot();
+        cache.access(16);
+        cache.access(32);
+        cache.restore(snap);
+
+        assert.strictEqual(cache.isAddressCached(16), null);
+        assert.strictEqual(cache.access(0).hit, true);
+        cache.access(16);
+        assert.deepStrictEqual(cache.sets[0], [0, 16, null, null]);
+    });
+
+    it('restores snapshots of the fully associative LRU cache', () => {
+        const cache = new CacheSimulator(64, 16);
+        cache.access(48);
+        cache.restore({ lines: [16, 0, 32], totalAccesses: 5, hits: 2, misses: 3 });
+
+        assert.strictEqual(cache.isAddressCached(48), null);
+        assert.deepStrictEqual([cache.totalAccesses, cache.hits, cache.misses, cache.writebacks], [5, 2, 3, 0]);
+        cache.access(48);
+        cache.access(64);  // Evicts 16, the least recently used
+        assert.strictEqual(cache.isAddressCached(16), null);
+        assert.strictEqual(cache.isAddressCached(0), 1);
+    });
+
+    it('LRU snapshots stay plain arrays ordered from LRU to MRU', () => {
+        const cache = new CacheSimulator(48, 16);
+        cache.access(0);
+        cache.access(16);
+        cache.access(32);
+        cache.access(0);
+        assert.deepStrictEqual(cache.snapshot().policy.order, [[1, 2, 0]]);
+    });
+});
+
+// =============================================================================
+// TLB
+// =============================================================================
+
+describe('TLB', () => {
+    it('misses on the first touch of a page and hits within it', () => {
+        const tlb = new TLB(4, 256);
+        assert.strictEqual(tlb.translate(0).hit, false);
+        assert.strictEqual(tlb.translate(252).hit, true);
+        assert.strictEqual(tlb.translate(256).hit, false);
+        assert.strictEqual(tlb.hits, 1);
+        assert.strictEqual(tlb.misses, 2);
+    });
+
+    it('translation is an identity mapping', () => {
+        const tlb = new TLB(4, 256);
+        assert.deepStrictEqual(tlb.translate(1000), { hit: false, address: 1000, page: 3 });
+    });
+
+    it('holds only its entry count of pages', () => {
+        const tlb = new TLB(2, 128);
+        [0, 128, 256].forEach(address => tlb.translate(address));
+        assert.strictEqual(tlb.translate(0).hit, false);
+    });
+
+    it('column-by-column traversal of a row-major matrix thrashes a small TLB', () => {
+        // Walking down columns is sequential in column-major storage (576B / 64B = 9 pages);
+        // in row-major storage each step jumps a 48-byte row, nearly always to another page
+        const op = createMatmulOperation(12, 4);
+        const A = op.tensors[0];
+        const walk = (layout) => {
+            const tlb = new TLB(2, 64);
+            for (let col = 0; col < 12; col++) {
+                for (let row = 0; row < 12; row++) {
+                    tlb.translate(getTensorAddress(A, row, col, layout));
+                }
+            }
+            return tlb.misses;
+        };
+        assert.strictEqual(walk('col'), 9);
+        assert.ok(walk('row') > 100);
+    });
+
+    it('snapshot/restore rewinds the entries and counters', () => {
+        const tlb = new TLB(2, 256);
+        tlb.translate(0);
+        const snap = tlb.snapshot();
+        tlb.translate(256);
+        tlb.translate(512);
+        tlb.restore(snap);
+        assert.strictEqual(tlb.misses, 1);
+        assert.strictEqual(tlb.translate(0).hit, true);
+    });
+});
+
+// =============================================================================
+// Multi-core Coherence
+// =============================================================================
+
+describe('Multi-core Coherence', () => {
+    const createSystem = (numCores, sharedLines = 0, privateLines = 4) => new CoherentSystem(
+        Array.from({ length: numCores }, () => new CacheSimulator(privateLines * 16, 16)),
+        sharedLines > 0 ? new CacheSimulator(sharedLines * 16, 16, 2) : null
+    );
+
+    it('a lone reader holds a line Exclusive, a second reader makes it Shared', () => {
+        const system = createSystem(2);
+        system.access(0, 'read', 4, 0);
+        assert.strictEqual(system.getLineState(0, 0), 'E');
+
+        system.access(4, 'read', 4, 1);
+        assert.strictEqual(system.getLineState(0, 0), 'S');
+        assert.strictEqual(system.getLineState(1, 0), 'S');
+        assert.strictEqual(system.peerTransfers, 1);
+    });
+
+    it('needs write-back, write-allocate private caches', () => {
+        const cache = (options) => new CacheSimulator(64, 16, 1, options);
+        assert.throws(() => new CoherentSystem([cache(), cache({ writePolicy: 'write-through' })]), /write-back, write-allocate/);
+        assert.throws(() => new CoherentSystem([cache({ writeAllocate: false })]), /write-back, write-allocate/);
+    });
+
+    it('reports misses a peer serves as peer transfers, not memory reads', () => {
+        const system = createSystem(2, 4);
+        assert.strictEqual(system.access(0, 'read', 4, 0).peer, false);
+        const transfer = system.access(4, 'read', 4, 1);
+        assert.deepStrictEqual([transfer.hit, transfer.level, transfer.peer], [false, null, true]);
+        assert.strictEqual(system.access(8, 'write', 4, 0).peer, false);
+        assert.deepStrictEqual([system.peerTransfers, system.memoryReads], [1, 1]);
+    });
+
+    it('reads from memory only lines no peer or shared cache supplies', () => {
+        const system = createSystem(2, 4);
+        system.access(0, 'read', 4, 0);
+        system.access(4, 'read', 4, 1);   // Peer transfer
+        system.access(16, 'read', 4, 0);
+        system.cores[0].invalidate(16);
+        system.access(16, 'read', 4, 0);  // Shared-cache hit
+        assert.strictEqual(system.memoryReadBytes, 2 * 16);
+    });
+
+    it('a write invalidates every peer copy and leaves the writer Modified', () => {
+        const system = createSystem(4);
+        [0, 1, 2].forEach(core => system.access(0, 'read', 4, core));
+        system.access(0, 'write', 4, 3);
+
+        assert.strictEqual(system.invalidations, 3);
+        assert.strictEqual(system.getLineState(3, 0), 'M');
+        [0, 1, 2].forEach(core => {
+            assert.strictEqual(system.getLineState(core, 0), null);
+            assert.strictEqual(system.cores[core].isAddressCached(0), null);
+        });
+    });
+
+    it('counts false sharing only when the invalidated core used other words', () => {
+        const system = createSystem(2);
+        system.access(0, 'read', 4, 0);
+        system.access(8, 'write', 4, 1);
+        assert.strictEqual(system.falseSharing, 1);
+
+        system.access(8, 'read', 4, 0);
+        system.access(8, 'write', 4, 1);
+        assert.strictEqual(system.invalidations, 2);
+        assert.strictEqual(system.falseSharing, 1);
+    });
+
+    it('re-reading a line lost to a peer write is a coherence miss', () => {
+        const system = createSystem(2);
+        system.access(0, 'read', 4, 0);
+        system.access(0, 'write', 4, 1);
+
+        const result = system.access(0, 'read', 4, 0);
+        assert.strictEqual(result.hit, false);
+        assert.strictEqual(result.coherenceMiss, true);
+        assert.strictEqual(system.coherenceMisses, 1);
+        // The modified copy is written back when the reader takes the line
+        assert.strictEqual(system.getLineState(1, 0), 'S');
+        assert.strictEqual(system.writebacks, 1);
+    });
+
+    it('serves a miss from the shared last level at level 2', () => {
+        const system = createSystem(2, 8);
+        system.access(0, 'read', 4, 0);
+        system.access(64, 'read', 4, 0);
+        system.access(128, 'read', 4, 0);
+        system.access(192, 'read', 4, 0);
+        system.access(256, 'read', 4, 0); // evicts line 0 from core 0
+
+        assert.deepStrictEqual(system.access(0, 'read', 4, 1),
+            { hit: true, level: 2, prefetchHit: false, coherenceMiss: false, peer: false });
+        assert.strictEqual(system.levelCount, 2);
+    });
+
+    it('reports line owners for rendering', () => {
+        const system = createSystem(2);
+        system.access(0, 'read', 4, 0);
+        system.access(16, 'read', 4, 1);
+        system.access(32, 'read', 4, 0);
+        system.access(32, 'read', 4, 1);
+
+        const owners = system.getLineOwners();
+        assert.strictEqual(owners.get(0), 0);
+        assert.strictEqual(owners.get(16), 1);
+        assert.strictEqual(owners.get(32), 'shared');
+    });
+
+    it('distributes blocks of the split loop across cores, interleaved', () => {
+        const op = createMatmulOperation(12, 4);
+        const iterations = [...distributeIterationCursor(op, createIterationCursor(op, 'ijk'), 'i', 4)];
+
+        assert.strictEqual(iterations.length, 12 * 12 * 12);
+        assert.deepStrictEqual(iterations.slice(0, 4).map(iter => [iter.core, iter.i]), [[0, 0], [1, 3], [2, 6], [3, 9]]);
+        for (const iter of iterations) {
+            assert.strictEqual(iter.core, Math.floor(iter.i / 3));
+        }
+    });
+
+    it('splitting the columns of a row-major output shows false sharing', () => {
+        // Splitting j puts columns 0-5 and 6-11 on different cores; the line
+        // holding columns 4-7 of each C row is then written by both, once per row
+        const run = (dim) => {
+            const op = createMatmulOperation(12, 4);
+            const layouts = { A: 'row', B: 'row', C: 'row' };
+            const system = createSystem(2, 0, 64);
+            for (const iter of distributeIterationCursor(op, createIterationCursor(op, 'ijk'), dim, 2)) {
+                for (const tensor of op.tensors) {
+                    system.access(getAccessAddress(tensor, iter, layouts, op.elementSize), tensor.access, op.elementSize, iter.core);
+                }
+            }
+            return system.falseSharing;
+        };
+        assert.strictEqual(run('i'), 0);
+        assert.strictEqual(run('j'), 12);
+    });
+
+    it('snapshot/restore rewinds states and counters', () => {
+        const system = createSystem(2);
+        system.access(0, 'read', 4, 0);
+        const snap = system.snapshot();
+        system.access(0, 'write', 4, 1);
+
+        system.restore(snap);
+        assert.strictEqual(system.invalidations, 0);
+        assert.strictEqual(system.getLineState(0, 0), 'E');
+        assert.strictEqual(system.access(0, 'read', 4, 0).hit, true);
+    });
+
+    it('the miss classifier reports coherence misses on seen lines', () => {
+        const classifier = new MissClassifier(64, 16);
+        classifier.classify(0, false);
+        assert.strictEqual(classifier.classify(0, false, true), 'coherence');
+    });
+});
+
+// =============================================================================
+// Cost Model
+// =============================================================================
+
+describe('Cost Model', () => {
+    it('charges the hit latency of the serving level', () => {
+        const model = new CostModel({ levelLatencies: { 1: 4, 2: 12 } });
+        assert.strictEqual(model.accessCycles(1), 4);
+        assert.strictEqual(model.accessCycles(2), 12);
+    });
+
+    it('charges the memory latency on a miss', () => {
+        const model = new CostModel({ memoryLatency: 200 });
+        assert.strictEqual(model.accessCycles(null), 200);
+    });
+
+    it('charges the peer latency on a miss another core serves', () => {
+        const model = new CostModel({ memoryLatency: 200, peerLatency: 60 });
+        assert.strictEqual(model.accessCycles(null, true), 60);
+    });
+
+    it('bounds the run time by the memory traffic at the configured bandwidth', () => {
+        const model = new CostModel({ bytesPerCycle: 16 });
+        assert.strictEqual(model.totalCycles(1000, 64 * 10), 1000);
+        assert.strictEqual(model.totalCycles(1000, 64 * 1000), 4000);
+    });
+
+    it('charges write-through store traffic that write-back absorbs', () => {
+        const model = new CostModel({ levelLatencies: { 1: 1 }, memoryLatency: 10, bytesPerCycle: 1 });
+        const cycles = (writePolicy) => {
+            const cache = new CacheHierarchy([new CacheSimulator(64, 16, 1, { writePolicy })]);
+            let latency = 0;
+            for (let idx = 0; idx < 100; idx++) {
+                latency += model.accessCycles(cache.access(0, 'write', 4).level);
+            }
+            return model.totalCycles(latency, cache.memoryReadBytes + cache.memoryWriteBytes);
+        };
+        // One miss then 99 hits; write-through also sends every 4-byte store to memory
+        assert.strictEqual(cycles('write-back'), 10 + 99);
+        assert.strictEqual(cycles('write-through'), 16 + 100 * 4);
+    });
+
+    it('throws on a level without a latency', () => {
+        const model = new CostModel({ levelLatencies: { 1: 4 } });
+        assert.throws(() => model.accessCycles(3), /level 3/);
+    });
+
+    it('computes AMAT and achieved bandwidth', () => {
+        const model = new CostModel({ clockGHz: 2 });
+        assert.strictEqual(model.amat(300, 100), 3);
+        assert.strictEqual(model.amat(0, 0), 0);
+        // 400 bytes in 200 cycles at 2 GHz = 400 bytes per 100 ns
+        assert.strictEqual(model.achievedGBps(400, 200), 4);
+        assert.strictEqual(model.achievedGBps(400, 0), 0);
+    });
+
+    it('a 5% hit-rate difference can triple the run time', () => {
+        const model = new CostModel({ levelLatencies: { 1: 4 }, memoryLatency: 300 });
+        const cycles = (hitRate) => {
+            const accesses = 100;
+            const hits = accesses * hitRate;
+            return hits * model.accessCycles(1) + (accesses - hits) * model.accessCycles(null);
+        };
+        assert.ok(cycles(0.94) / cycles(0.99) > 3);
+    });
+});
+
+// =============================================================================
+// Reuse Distance
+// =============================================================================
+
+describe('Reuse Distance', () => {
+    it('counts distinct lines since the previous use of a line', () => {
+        // Lines: 0 1 0 2 1 1
+        const distances = computeStackDistances([0, 16, 4, 32, 20, 24], 16);
+        assert.deepStrictEqual(distances, [Infinity, Infinity, 1, Infinity, 2, 0]);
+    });
+
+    it('buckets per tensor by powers of two with cold misses apart', () => {
+        const op = createMatmulOperation(4, 4);
+        const profile = buildReuseProfile(op, generateIterations(op, 'ijk'), { A: 'row', B: 'row', C: 'row' }, 16);
+
+        assert.strictEqual(profile.accesses, 3 * 64);
+        assert.deepStrictEqual(profile.bucketLabels.slice(0, 4), ['0', '1', '2-3', '4-7']);
+        for (const tensor of op.tensors) {
+            const entry = profile.tensors[tensor.name];
+            const total = entry.histogram.reduce((sum, count) => sum + count, 0) + entry.cold;
+            assert.strictEqual(total, 64);
+            assert.strictEqual(entry.cold, 4);
+        }
+    });
+
+    it('miss-rate curve matches simulated fully associative LRU caches', () => {
+        const op = createMatmulOperation(12, 4);
+        const layouts = { A: 'row', B: 'col', C: 'row' };
+        const iterations = generateIterations(op, 'jik');
+        const profile = buildReuseProfile(op, iterations, layouts, 64);
+        const trace = getAccessTrace(op, iterations, layouts);
+
+        for (const lines of [1, 2, 4, 8, 16]) {
+            const cache = new CacheSimulator(lines * 64, 64);
+            trace.forEach(address => cache.access(address));
+            assert.strictEqual(getMissRateForCapacity(profile, lines), cache.misses / cache.totalAccesses);
+        }
+    });
+
+    it('past the largest reuse distance only cold misses remain', () => {
+        const op = createMatmulOperation(4, 4);
+        const profile = buildReuseProfile(op, generateIterations(op, 'ijk'), { A: 'row', B: 'row', C: 'row' }, 16);
+        assert.strictEqual(getMissRateForCapacity(profile, 1000), 12 / profile.accesses);
+        assert.strictEqual(getMissRateForCapacity(profile, 0), 1);
+    });
+
+    it('matches a direct count on traces that outgrow the first renumbering', () => {
+        const trace = Array.from({ length: 5000 }, (_, idx) => ((idx * 7919) % 300 + (idx % 11) * 40) * 16);
+        const distances = computeStackDistances(trace, 16);
+        trace.forEach((address, time) => {
+            const seen = new Set();
+            let previous = time - 1;
+            while (previous >= 0 && trace[previous] / 16 !== address / 16) {
+                seen.add(trace[previous] / 16);
+                previous--;
+            }
+            assert.strictEqual(distances[time], previous < 0 ? Infinity : seen.size);
+        });
+    });
+
+    it('profiles a 64x64x64 matmul without storing its trace', () => {
+        const op = createMatmulOperation(64, 4);
+        const cursor = createTiledIterationCursor(op, 'ijk', 16);
+        const layouts = { A: 'row', B: 'row', C: 'row' };
+        const profile = buildReuseProfile(op, cursor, layouts, 64);
+
+        assert.strictEqual(profile.accesses, 3 * 64 ** 3);
+        for (const tensor of op.tensors) {
+            assert.strictEqual(profile.tensors[tensor.name].cold, 64 * 64 * 4 / 64);
+        }
+        const cache = new CacheSimulator(64 * 64, 64);
+        forEachAccess(op, cursor, layouts, address => cache.access(address));
+        assert.strictEqual(getMissRateForCapacity(profile, 64), cache.misses / cache.totalAccesses);
+    });
+});
+
+// =============================================================================
+// Element Dtypes
+// =============================================================================
+
+describe('Element Dtypes', () => {
+    it('knows the size of every dtype', () => {
+        assert.deepStrictEqual(DTYPES.map(d => [d.value, getDtypeSize(d.value)]), [
+            ['int8', 1], ['fp16', 2], ['bf16', 2], ['int32', 4], ['fp32', 4], ['fp64', 8]
+        ]);
+        assert.throws(() => getDtypeSize('fp8'), /Unknown dtype/);
+    });
+
+    it('operations start with the dtype of their element size', () => {
+        const op = createMatmulOperation(4, 4);
+        for (const tensor of op.tensors) {
+            assert.strictEqual(tensor.dtype, 'fp32');
+            assert.strictEqual(tensor.elementSize, 4);
+        }
+    });
+
+    it('lays tensors out back to back by their byte sizes', () => {
+        const op = createMatmulOperation(4, 4);
+        setTensorDtypes(op, { A: 'int8', B: 'int8', C: 'int32' });
+
+        assert.deepStrictEqual(op.tensors.map(t => t.baseAddress), [0, 16, 32]);
+        assert.strictEqual(getTensorAddress(op.tensors[0], 1, 2, 'row'), 6);
+        assert.strictEqual(getAccessAddress(op.tensors[2], { i: 1, j: 2, k: 0 }, { C: 'row' }), 32 + 6 * 4);
+    });
+
+    it('keeps the dtype of tensors not listed', () => {
+        const op = createConv2dOperation();
+        setTensorDtypes(op, { Kernel: 'fp16' });
+
+        const [input, kernel, output] = op.tensors;
+        assert.strictEqual(input.elementSize, 4);
+        assert.strictEqual(kernel.elementSize, 2);
+        assert.strictEqual(kernel.baseAddress, input.getTotalElements() * 4);
+        assert.strictEqual(output.baseAddress, kernel.baseAddress + kernel.getTotalElements() * 2);
+    });
+
+    it('int8 operands fit four times as many elements per line as fp32', () => {
+        const misses = (dtype) => {
+            const op = createMatmulOperation(12, 4);
+            setTensorDtypes(op, { A: dtype, B: dtype, C: 'int32' });
+            const iterations = generateIterations(op, 'ikj');
+            const cache = new CacheSimulator(8 * 64, 64);
+            getAccessTrace(op, iterations, { A: 'row', B: 'row', C: 'row' }).forEach(address => cache.access(address));
+            return cache.misses;
+        };
+        assert.ok(misses('int8') < misses('fp32'));
+    });
+});
+
+// =============================================================================
+// Leading Dimension and Placement
+// =============================================================================
+
+describe('Leading Dimension and Placement', () => {
+    it('pads every row to the leading dimension', () => {
+        const op = createMatmulOperation(4, 4);
+        setTensorPlacement(op, { tensors: { A: { ld: 6 } } });
+        const a = op.tensors[0];
+
+        assert.strictEqual(getPaddedIndex(a, 5, 'row'), 7);
+        assert.strictEqual(getTensorAddress(a, 2, 3, 'row'), (2 * 6 + 3) * 4);
+        assert.strictEqual(getStorageElements(a, 'row'), 24);
+        assert.strictEqual(op.tensors[1].baseAddress, 24 * 4);
+    });
+
+    it('marks the padding elements', () => {
+        const op = createMatmulOperation(4, 4);
+        setTensorPlacement(op, { tensors: { A: { ld: 6 } } });
+        const a = op.tensors[0];
+
+        assert.strictEqual(isPaddingIndex(a, 3, 'row'), false);
+        assert.strictEqual(isPaddingIndex(a, 4, 'row'), true);
+        assert.strictEqual(isPaddingIndex(a, 5, 'row'), true);
+        assert.strictEqual(isPaddingIndex(a, 6, 'row'), false);
+    });
+
+    it('pads along the fastest-varying dimension of conv2d tensors', () => {
+        const op = createConv2dOperation();
+        const input = op.tensors[0];
+        const channels = input.channels;
+        setTensorPlacement(op, { tensors: { Input: { ld: channels + 1 } } }, { Input: 'HWC' });
+
+        const iter = { c_out: 0, h_out: 0, w_out: 1, c_in: 0, k_h: 0, k_w: 0 };
+        const packed = input.getLinearIndex(iter, 'HWC');
+        assert.strictEqual(getAccessAddress(input, iter, { Input: 'HWC' }), packed / channels * (channels + 1) * 4);
+    });
+
+    it('aligns base addresses and leaves gaps between tensors', () => {
+        const op = createMatmulOperation(4, 4);
+        setTensorPlacement(op, { tensors: { B: { alignment: 256 } }, gap: 8 });
+
+        assert.deepStrictEqual(op.tensors.map(t => t.baseAddress), [0, 256, 256 + 64 + 8]);
+    });
+
+    it('rejects a leading dimension shorter than a row', () => {
+        const op = createMatmulOperation(4, 4);
+        assert.throws(() => setTensorPlacement(op, { tensors: { A: { ld: 3 } } }), /Leading dimension/);
+    });
+
+    it('offers padded strides that are never a power of two', () => {
+        const isPowerOfTwo = (n) => (n & (n - 1)) === 0;
+        // Default 12x12 fp32 matmul with 64 B lines: 16 elements per line
+        const a = createMatmulOperation(12, 4).tensors[0];
+        const choices = getLeadingDimChoices(getInnerExtent(a, 'row'), 64 / a.elementSize);
+        assert.deepStrictEqual(choices, [16, 24, 32, 48]);
+
+        for (const inner of [1, 3, 12, 16, 31, 100]) {
+            for (const lineElements of [1, 2, 4, 8, 16, 32, 64]) {
+                // Only the two unpadded strides are powers of two
+                const choices = getLeadingDimChoices(inner, lineElements);
+                assert.strictEqual(choices.filter(isPowerOfTwo).length, 2, `${inner}, ${lineElements}`);
+            }
+        }
+    });
+
+    it('one line of padding fixes a power-of-two stride column walk', () => {
+        const misses = (ld) => {
+            const op = createMatmulOperation(12, 4);
+            setTensorPlacement(op, { tensors: { A: { ld } } });
+            const a = op.tensors[0];
+            // 32 lines, 8-way, 4 sets: every 256 B stride lands in the same set
+            const cache = new CacheSimulator(32 * 64, 64, 1, { associativity: 8 });
+            for (let j = 0; j < 12; j++) {
+                for (let i = 0; i < 12; i++) {
+                    cache.access(getTensorAddress(a, i, j, 'row'));
+                }
+            }
+            return cache.misses;
+        };
+        // ld 64 puts all 12 rows in one 8-way set; ld 80 spreads them over all 4
+        assert.strictEqual(misses(64), 144);
+        assert.strictEqual(misses(80), 12);
+    });
+});
+
+// =============================================================================
+// Scalar Replacement
+// =============================================================================
+
+describe('Scalar Replacement', () => {
+    const op = createMatmulOperation(12, 4);
+    const layouts = { A: 'row', B: 'row', C: 'row' };
+
+    it('promotes references invariant in the innermost loop', () => {
+        assert.deepStrictEqual(getScalarReplacement(op, ['k'], 16), { C: 1 });
+        assert.deepStrictEqual(getScalarReplacement(op, ['j'], 16), { A: 1 });
+        assert.deepStrictEqual(getScalarReplacement(op, ['k'], 0), {});
+        assert.deepStrictEqual(getScalarReplacement(createConv2dOperation(), ['k_w'], 16), { Output: 1 });
+    });
+
+    it('needs one register per unrolled copy the reference depends on', () => {
+        assert.deepStrictEqual(getScalarReplacement(op, ['k'], 16, [{ dim: 'j', extent: 4 }]), { C: 4 });
+        assert.deepStrictEqual(getScalarReplacement(op, ['k'], 3, [{ dim: 'j', extent: 4 }]), {});
+        assert.deepStrictEqual(getScalarReplacement(op, ['j'], 16, [{ dim: 'j', extent: 4 }]), { A: 1 });
+    });
+
+    it('loads on first use and stores written elements back on reuse', () => {
+        const registers = new RegisterFile({ C: 1 });
+        assert.deepStrictEqual(registers.access('C', 100, 'readwrite'), { hit: false, load: true, writeback: null });
+        assert.deepStrictEqual(registers.access('C', 100, 'readwrite'), { hit: true, load: false, writeback: null });
+        assert.deepStrictEqual(registers.access('C', 104, 'readwrite'), { hit: false, load: true, writeback: 100 });
+        assert.deepStrictEqual(registers.flush(), [{ tensorName: 'C', address: 104 }]);
+        assert.strictEqual(registers.hits, 1);
+        assert.strictEqual(registers.holds('A'), false);
+    });
+
+    it('read-only elements are never stored back', () => {
+        const registers = new RegisterFile({ A: 2 });
+        registers.access('A', 0, 'read');
+        registers.access('A', 4, 'read');
+        assert.strictEqual(registers.access('A', 8, 'read').writeback, null);
+        assert.deepStrictEqual(registers.flush(), []);
+    });
+
+    it('empties the registers on entering another tile', () => {
+        const registers = new RegisterFile({ C: 1 });
+        const tile = (ti, tj, tk) => getInnermostTile(op, { i: ti, j: tj, k: tk, ti, tj, tk });
+        assert.strictEqual(getInnermostTile(op, { i: 0, j: 0, k: 0 }), null);
+        assert.deepStrictEqual(registers.enterTile(tile(0, 0, 0)), []);
+        registers.access('C', 100, 'readwrite');
+        assert.deepStrictEqual(registers.enterTile(tile(0, 0, 0)), []);
+        assert.deepStrictEqual(registers.enterTile(tile(0, 0, 4)), [{ tensorName: 'C', address: 100 }]);
+        assert.strictEqual(registers.access('C', 100, 'readwrite').load, true);
+    });
+
+    it('restores a snapshot', () => {
+        const registers = new RegisterFile({ C: 1 });
+        registers.access('C', 100, 'readwrite');
+        const snap = registers.snapshot();
+        registers.access('C', 104, 'readwrite');
+        registers.restore(snap);
+        assert.strictEqual(registers.access('C', 100, 'readwrite').hit, true);
+    });
+
+    it('keeps C in a register across the k loop: one load and one store per element', () => {
+        const iterations = generateIterations(op, 'ijk');
+        assert.strictEqual(getAccessTrace(op, iterations, layouts).length, 3 * 1728);
+        assert.strictEqual(getAccessTrace(op, iterations, layouts, { C: 1 }).length, 2 * 1728 + 2 * 144);
+
+        const profile = buildReuseProfile(op, iterations, layouts, 16, { C: 1 });
+        assert.strictEqual(profile.accesses, 2 * 1728 + 2 * 144);
+        assert.strictEqual(profile.tensors.C.accesses, 2 * 144);
+        assert.strictEqual(profile.tensors.A.accesses, 1728);
+    });
+});
+
 // =============================================================================
 // Cache Behavior (Educational scenarios)
 // =============================================================================
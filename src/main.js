@@ -4,10 +4,28 @@
  */
 
 // Re-export operations
-export { createMatmulOperation, createConv2dOperation, OPERATIONS } from './operations/index.js';
+export {
+    createMatmulOperation, createConv2dOperation, OPERATIONS,
+    getLoopOrderKey, generateLoopOrders, parseLoopOrder,
+    DTYPES, getDtypeSize, getDefaultDtype, setTensorDtypes,
+    setOperandPacking, getComputeTensors, getIterationAccesses,
+    getInnerExtent, getLeadingDimension, getLeadingDimChoices, getPaddedIndex, getStorageElements, isPaddingIndex,
+    assignTensorAddresses, setTensorPlacement
+} from './operations/index.js';
 
 // Re-export simulation
-export { CacheSimulator, generateIterations, generateTiledIterations, getLinearIndex, getTensorAddress, getAccessAddress } from './simulation/index.js';
+export {
+    CacheSimulator, CacheHierarchy, INCLUSION_POLICIES, MissClassifier, TLB, RegisterFile, getScalarReplacement, getMicroKernelRegisters, getInnermostTile, CoherentSystem, CostModel, DEFAULT_LEVEL_LATENCIES, MISS_TYPES, REPLACEMENT_POLICIES, createReplacementPolicy,
+    PREFETCHERS, createPrefetcher,
+    computeStackDistances, buildReuseProfile, getMissRateForCapacity,
+    generateIterations, generateTiledIterations, getTileSizes, getTileLevels, getTileVar,
+    IterationCursor, InterleavedCursor, CurveIterationCursor, RecursiveIterationCursor,
+    createIterationCursor, createTiledIterationCursor, createCurveIterationCursor, createRecursiveIterationCursor,
+    createMicroKernelIterationCursor, PackedIterationCursor, createPackedIterationCursor, distributeIterationCursor, isRecursiveSchedule, getRecursiveScheduleName, getRecursiveBaseOrder,
+    SPACE_FILLING_CURVES, isSpaceFillingCurve, mortonPoint, hilbertPoint, getCurveSide, getCurvePoints,
+    SCHEDULE_DIRECTIVES, parseSchedule, compileSchedule, createScheduleCursor, getLoopIndex,
+    getLinearIndex, getTensorAddress, getAccessAddress, forEachAccess, getAccessTrace
+} from './simulation/index.js';
 
 // Re-export rendering
 export { MATRIX_SIZE, ELEMENT_SIZE, CELL_SIZE, COLORS, ISO } from './rendering/index.js';
@@ -1,8 +1,16 @@
 /**
  * 2D Convolution Operation Definition
  * Output[c_out][h_out][w_out] += Input[c_in][h_out+k_h][w_out+k_w] * Kernel[c_out][c_in][k_h][k_w]
+ *
+ * Output is accumulated in place (read-modify-write); Input and Kernel are read-only.
+ * Tiles of the output plane are drawn on Input (tileDims). indexDims lists the
+ * loop dims indexing each tensor, for scalar replacement.
  */
 
+import { getDefaultDtype } from './dtypes.js';
+import { assignTensorAddresses } from './placement.js';
+import { generateLoopOrders } from './loop-orders.js';
+
 /**
  * Creates the 2D convolution operation.
  *
@@ -13,7 +21,8 @@
  * @param {number} config.channels_out - Output channels (default 4)
  * @param {number} config.kernelH - Kernel height (default 3)
  * @param {number} config.kernelW - Kernel width (default 3)
- * @param {number} config.elementSize - Bytes per element (default 4)
+ * @param {number} config.elementSize - Bytes per element (default 4); each tensor
+ *        starts with this size and can be given its own dtype with setTensorDtypes
  * @returns {Object} Operation definition
  */
 export function createConv2dOperation(config = {}) {
@@ -29,15 +38,9 @@ export function createConv2dOperation(config = {}) {
 
     const outputH = inputH - kernelH + 1;
     const outputW = inputW - kernelW + 1;
+    const loopDims = ['c_out', 'h_out', 'w_out', 'c_in', 'k_h', 'k_w'];
 
-    const inputSize = inputH * inputW * channels_in;
-    const kernelSize = kernelH * kernelW * channels_in * channels_out;
-
-    const BASE_INPUT = 0;
-    const BASE_KERNEL = inputSize * elementSize;
-    const BASE_OUTPUT = (inputSize + kernelSize) * elementSize;
-
-    return {
+    const op = {
         name: 'conv2d',
         displayName: '2D Convolution',
         elementSize: elementSize,
@@ -48,7 +51,7 @@ export function createConv2dOperation(config = {}) {
             outputH, outputW, channels_out
         },
 
-        loopDims: ['c_out', 'h_out', 'w_out', 'c_in', 'k_h', 'k_w'],
+        loopDims,
 
         loopBounds: {
             c_out: channels_out,
@@ -59,17 +62,15 @@ export function createConv2dOperation(config = {}) {
             k_w: kernelW
         },
 
-        loopOrders: {
-            'c_out,h_out,w_out,c_in,k_h,k_w': ['c_out', 'h_out', 'w_out', 'c_in', 'k_h', 'k_w'],
-            'h_out,w_out,c_out,c_in,k_h,k_w': ['h_out', 'w_out', 'c_out', 'c_in', 'k_h', 'k_w'],
-            'c_in,k_h,k_w,c_out,h_out,w_out': ['c_in', 'k_h', 'k_w', 'c_out', 'h_out', 'w_out'],
-            'k_h,k_w,c_in,c_out,h_out,w_out': ['k_h', 'k_w', 'c_in', 'c_out', 'h_out', 'w_out']
-        },
+        // All 720 permutations, keyed 'c_out,h_out,w_out,c_in,k_h,k_w' etc.
+        loopOrders: generateLoopOrders(loopDims),
 
         tensors: [
             {
                 name: 'Input',
-                baseAddress: BASE_INPUT,
+                tileDims: { row: 'h_out', col: 'w_out' },
+                indexDims: ['c_in', 'h_out', 'w_out', 'k_h', 'k_w'],
+                access: 'read',
                 rows: inputH,
                 cols: inputW,
                 channels: channels_in,
@@ -84,6 +85,7 @@ export function createConv2dOperation(config = {}) {
                     col: iter.w_out + iter.k_w
                 }),
                 getTotalElements: () => inputH * inputW * channels_in,
+                getInnerExtent: (layout) => layout === 'HWC' ? channels_in : inputW,
                 getLinearIndex: (iter, layout) => {
                     const c = iter.c_in;
                     const h = iter.h_out + iter.k_h;
@@ -108,7 +110,8 @@ export function createConv2dOperation(config = {}) {
             },
             {
                 name: 'Kernel',
-                baseAddress: BASE_KERNEL,
+                indexDims: ['c_out', 'c_in', 'k_h', 'k_w'],
+                access: 'read',
                 rows: kernelH,
                 cols: kernelW,
                 channels_in: channels_in,
@@ -125,6 +128,7 @@ export function createConv2dOperation(config = {}) {
                     col: iter.k_w
                 }),
                 getTotalElements: () => kernelH * kernelW * channels_in * channels_out,
+                getInnerExtent: (layout) => layout === 'HWIO' ? channels_out : kernelW,
                 getLinearIndex: (iter, layout) => {
                     const o = iter.c_out;
                     const i = iter.c_in;
@@ -160,7 +164,8 @@ export function createConv2dOperation(config = {}) {
             },
             {
                 name: 'Output',
-                baseAddress: BASE_OUTPUT,
+                indexDims: ['c_out', 'h_out', 'w_out'],
+                access: 'readwrite',
                 rows: outputH,
                 cols: outputW,
                 channels: channels_out,
@@ -175,6 +180,7 @@ export function createConv2dOperation(config = {}) {
                     col: iter.w_out
                 }),
                 getTotalElements: () => outputH * outputW * channels_out,
+                getInnerExtent: (layout) => layout === 'HWC' ? channels_out : outputW,
                 getLinearIndex: (iter, layout) => {
                     const c = iter.c_out;
                     const h = iter.h_out;
@@ -212,6 +218,15 @@ export function createConv2dOperation(config = {}) {
         tensorOperators: ['*', '='],
 
         tileableDims: ['h_out', 'w_out'],
+        // Output plane walked by space-filling-curve traversals
+        curveDims: ['h_out', 'w_out'],
         tileSizes: [2, 4]
     };
+
+    for (const tensor of op.tensors) {
+        tensor.dtype = getDefaultDtype(elementSize);
+        tensor.elementSize = elementSize;
+    }
+    assignTensorAddresses(op);
+    return op;
 }
@@ -0,0 +1,59 @@
+/**
+ * Element data types
+ *
+ * Every tensor has its own dtype, so mixed-precision kernels (int8 inputs
+ * with int32 accumulators, fp16 weights with fp32 outputs) lay out and move
+ * the right number of bytes. Tensors are placed in memory in operation
+ * order, so changing one tensor's dtype moves the ones after it.
+ */
+
+import { assignTensorAddresses } from './placement.js';
+
+export const DTYPES = [
+    { value: 'int8', label: 'int8', size: 1 },
+    { value: 'fp16', label: 'fp16', size: 2 },
+    { value: 'bf16', label: 'bf16', size: 2 },
+    { value: 'int32', label: 'int32', size: 4 },
+    { value: 'fp32', label: 'fp32', size: 4 },
+    { value: 'fp64', label: 'fp64', size: 8 }
+];
+
+/**
+ * Bytes per element of a dtype.
+ * @param {string} dtype - One of DTYPES values
+ * @returns {number}
+ */
+export function getDtypeSize(dtype) {
+    const entry = DTYPES.find(d => d.value === dtype);
+    if (!entry) {
+        throw new Error(`Unknown dtype: ${dtype}`);
+    }
+    return entry.size;
+}
+
+/**
+ * Default dtype for an element size: the floating-point type of that width,
+ * or int8 for single bytes.
+ * @returns {string | null} - null if no dtype has that size
+ */
+export function getDefaultDtype(elementSize) {
+    const defaults = { 1: 'int8', 2: 'fp16', 4: 'fp32', 8: 'fp64' };
+    return defaults[elementSize] || null;
+}
+
+/**
+ * Set per-tensor dtypes on an operation and re-place its tensors.
+ * @param {Object} op - Operation definition
+ * @param {Object} dtypes - Map of tensor name -> dtype; tensors not listed keep theirs
+ * @param {Object} layouts - Layout per tensor name, for padded tensors
+ */
+export function setTensorDtypes(op, dtypes, layouts = {}) {
+    for (const tensor of op.tensors) {
+        const dtype = dtypes[tensor.name];
+        if (dtype) {
+            tensor.dtype = dtype;
+            tensor.elementSize = getDtypeSize(dtype);
+        }
+    }
+    assignTensorAddresses(op, layouts);
+}
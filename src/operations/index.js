@@ -24,3 +24,10 @@ export const OPERATIONS = {
 // Re-export operation creators
 export { createMatmulOperation } from './matmul.js';
 export { createConv2dOperation } from './conv2d.js';
+export { getLoopOrderKey, generateLoopOrders, parseLoopOrder } from './loop-orders.js';
+export { DTYPES, getDtypeSize, getDefaultDtype, setTensorDtypes } from './dtypes.js';
+export { setOperandPacking, getComputeTensors, getIterationAccesses } from './packing.js';
+export {
+    getInnerExtent, getLeadingDimension, getLeadingDimChoices, getPaddedIndex, getStorageElements, isPaddingIndex,
+    assignTensorAddresses, setTensorPlacement
+} from './placement.js';
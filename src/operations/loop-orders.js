@@ -0,0 +1,58 @@
+/**
+ * Loop orders
+ *
+ * Every permutation of an operation's loop dims is a legal loop order: the
+ * operations only accumulate, so any nesting computes the same result.
+ * Orders are keyed by their dims, concatenated when every dim is a single
+ * letter ('kij') and comma-separated otherwise ('h_out,w_out,c_out,...').
+ */
+
+/**
+ * Key of a loop order.
+ * @param {string[]} order - Loop dims, outermost first
+ */
+export function getLoopOrderKey(order) {
+    return order.every(dim => dim.length === 1) ? order.join('') : order.join(',');
+}
+
+/**
+ * All loop orders of a set of loop dims, in lexicographic order of the dims'
+ * positions (the first is loopDims itself).
+ * @param {string[]} loopDims - Loop dims in their natural order
+ * @returns {Object} Map of key -> order
+ */
+export function generateLoopOrders(loopDims) {
+    const orders = {};
+    const permute = (prefix, rest) => {
+        if (rest.length === 0) {
+            orders[getLoopOrderKey(prefix)] = prefix;
+            return;
+        }
+        rest.forEach((dim, idx) => {
+            permute([...prefix, dim], [...rest.slice(0, idx), ...rest.slice(idx + 1)]);
+        });
+    };
+    permute([], loopDims);
+    return orders;
+}
+
+/**
+ * Key of a user-entered loop order. Dims may be separated by commas, spaces
+ * or arrows; orders of single-letter dims may also be written run together.
+ *
+ * @param {Object} op - Operation definition
+ * @param {string} text - Loop order, e.g. 'h_out, c_in, k_h, w_out, k_w, c_out' or 'kij'
+ * @returns {string} The order's key in op.loopOrders
+ */
+export function parseLoopOrder(op, text) {
+    let dims = text.split(/\s*(?:,|->|→|\s)\s*/).filter(dim => dim !== '');
+    if (dims.length === 1 && op.loopDims.every(dim => dim.length === 1)) {
+        dims = [...dims[0]];
+    }
+
+    const key = getLoopOrderKey(dims);
+    if (!op.loopOrders[key]) {
+        throw new Error(`Invalid loop order "${text}": expected each of ${op.loopDims.join(', ')} once`);
+    }
+    return key;
+}
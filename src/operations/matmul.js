@@ -1,45 +1,54 @@
 /**
  * Matrix Multiplication Operation Definition
  * C[i][j] += A[i][k] * B[k][j]
+ *
+ * Each tensor declares how it is accessed: 'read', 'write' or 'readwrite'.
+ * C is accumulated in place, so every access to it is a read-modify-write.
+ * tileDims names the loop dims indexing a tensor's rows and columns, so tiles
+ * can be drawn on it. indexDims lists every loop dim a tensor is indexed by;
+ * a reference indexed by none of the innermost loop's dims can stay in a
+ * register (scalar replacement).
  */
 
+import { getDefaultDtype } from './dtypes.js';
+import { assignTensorAddresses } from './placement.js';
+import { generateLoopOrders } from './loop-orders.js';
+
 /**
  * Creates the matrix multiplication operation.
  *
  * @param {number} size - Matrix dimension (e.g., 12)
- * @param {number} elementSize - Bytes per element (e.g., 4)
+ * @param {number} elementSize - Bytes per element (e.g., 4); each tensor starts
+ *        with this size and can be given its own dtype with setTensorDtypes
  * @returns {Object} Operation definition
  */
 export function createMatmulOperation(size, elementSize) {
-    const elementsPerMatrix = size * size;
+    const loopDims = ['i', 'j', 'k'];
 
-    return {
+    const op = {
         name: 'matmul',
         displayName: 'Matrix Multiplication',
         size: size,
         elementSize: elementSize,
 
-        loopDims: ['i', 'j', 'k'],
+        loopDims,
 
         loopBounds: { i: size, j: size, k: size },
 
-        loopOrders: {
-            'ijk': ['i', 'j', 'k'],
-            'ikj': ['i', 'k', 'j'],
-            'jik': ['j', 'i', 'k'],
-            'jki': ['j', 'k', 'i'],
-            'kij': ['k', 'i', 'j'],
-            'kji': ['k', 'j', 'i']
-        },
+        // All 6 permutations: 'ijk', 'ikj', ...
+        loopOrders: generateLoopOrders(loopDims),
 
         tensors: [
             {
                 name: 'A',
-                baseAddress: 0,
+                tileDims: { row: 'i', col: 'k' },
+                indexDims: ['i', 'k'],
+                access: 'read',
                 rows: size,
                 cols: size,
                 getIndices: (iter) => ({ row: iter.i, col: iter.k }),
                 getTotalElements: () => size * size,
+                getInnerExtent: () => size,
                 getLinearIndex: (iter, layout) => {
                     const { row, col } = { row: iter.i, col: iter.k };
                     return layout === 'col' ? col * size + row : row * size + col;
@@ -53,11 +62,14 @@ export function createMatmulOperation(size, elementSize) {
             },
             {
                 name: 'B',
-                baseAddress: elementsPerMatrix * elementSize,
+                tileDims: { row: 'k', col: 'j' },
+                indexDims: ['k', 'j'],
+                access: 'read',
                 rows: size,
                 cols: size,
                 getIndices: (iter) => ({ row: iter.k, col: iter.j }),
                 getTotalElements: () => size * size,
+                getInnerExtent: () => size,
                 getLinearIndex: (iter, layout) => {
                     const { row, col } = { row: iter.k, col: iter.j };
                     return layout === 'col' ? col * size + row : row * size + col;
@@ -71,11 +83,14 @@ export function createMatmulOperation(size, elementSize) {
             },
             {
                 name: 'C',
-                baseAddress: 2 * elementsPerMatrix * elementSize,
+                tileDims: { row: 'i', col: 'j' },
+                indexDims: ['i', 'j'],
+                access: 'readwrite',
                 rows: size,
                 cols: size,
                 getIndices: (iter) => ({ row: iter.i, col: iter.j }),
                 getTotalElements: () => size * size,
+                getInnerExtent: () => size,
                 getLinearIndex: (iter, layout) => {
                     const { row, col } = { row: iter.i, col: iter.j };
                     return layout === 'col' ? col * size + row : row * size + col;
@@ -98,6 +113,21 @@ export function createMatmulOperation(size, elementSize) {
         tensorOperators: ['×', '='],
 
         tileableDims: ['i', 'j', 'k'],
+        // Output plane walked by space-filling-curve traversals
+        curveDims: ['i', 'j'],
+        // M, N, K halved by the recursive (cache-oblivious) schedule
+        recursiveDims: ['i', 'j', 'k'],
+        // Rows (M), columns (N) and reduction (K) of the register-blocked micro-kernel
+        microKernelDims: { m: 'i', n: 'j', k: 'k' },
+        // Inputs copied into contiguous buffers by operand packing
+        packableTensors: ['A', 'B'],
         tileSizes: [2, 4, 6]
     };
+
+    for (const tensor of op.tensors) {
+        tensor.dtype = getDefaultDtype(elementSize);
+        tensor.elementSize = elementSize;
+    }
+    assignTensorAddresses(op);
+    return op;
 }
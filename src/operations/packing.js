@@ -0,0 +1,125 @@
+/**
+ * Operand packing (copy optimization)
+ *
+ * High-performance GEMM copies the block of each input the inner loops work
+ * on into a contiguous scratch buffer first, so the inner loops stream
+ * through consecutive addresses and the block cannot conflict with itself in
+ * the cache. Packing adds one buffer pseudo-tensor per packable input
+ * (op.packableTensors), sized to hold one innermost tile, with its own base
+ * address after the operation's tensors. With several cores each core packs
+ * into its own slot of the buffer (iter.core), the slots placed one after
+ * another, as each thread of a parallel GEMM has its own packed blocks.
+ * Compute iterations read the buffer
+ * instead of the input; copy iterations (iter.pack = input name), inserted
+ * at each new block of the input (see PackedIterationCursor), read the input
+ * and write the buffer.
+ */
+
+import { getTileVar } from '../simulation/iterations.js';
+import { assignTensorAddresses } from './placement.js';
+
+/**
+ * Buffer tensor holding one tile of a source tensor per core. A block clipped
+ * at the edge of its range fills the top-left part of its slot.
+ */
+function createPackedBuffer(op, source, tileSizes, numCores) {
+    const { row: rowDim, col: colDim } = source.tileDims;
+    const rows = Math.min(tileSizes[rowDim] || op.loopBounds[rowDim], op.loopBounds[rowDim]);
+    const cols = Math.min(tileSizes[colDim] || op.loopBounds[colDim], op.loopBounds[colDim]);
+    // Offset of an element in its block: relative to the innermost tile base, if tiled
+    const offset = (iter, dim) => {
+        const base = iter[getTileVar(dim, 0)];
+        return iter[dim] - (base === undefined ? 0 : base);
+    };
+    const getIndices = (iter) => ({ row: offset(iter, rowDim), col: offset(iter, colDim) });
+    const slotElements = rows * cols;
+
+    return {
+        name: source.name + 'p',
+        packs: source.name,
+        tileDims: source.tileDims,
+        indexDims: source.indexDims,
+        access: 'read',
+        rows,
+        cols,
+        slots: numCores,
+        dtype: source.dtype,
+        elementSize: source.elementSize,
+        getIndices,
+        getTotalElements: () => slotElements * numCores,
+        getInnerExtent: (layout) => layout === 'col' ? rows : cols,
+        getLinearIndex: (iter, layout) => {
+            const { row, col } = getIndices(iter);
+            const slot = (iter.core || 0) * slotElements;
+            return slot + (layout === 'col' ? col * rows + row : row * cols + col);
+        },
+        // Coordinates within the element's slot
+        getCoordinatesFromLinear: (linearIdx, layout) => {
+            linearIdx %= slotElements;
+            if (layout === 'col') {
+                return { row: linearIdx % rows, col: Math.floor(linearIdx / rows) };
+            }
+            return { row: Math.floor(linearIdx / cols), col: linearIdx % cols };
+        }
+    };
+}
+
+/**
+ * Turn packing on or off, adding or removing the buffer tensors, then
+ * re-place the tensors.
+ * @param {Object} op - Operation definition
+ * @param {Object|null} tileSizes - Innermost tile size per dim ({} or a missing
+ *        dim: the whole range), or null to turn packing off
+ * @param {Object} layouts - Layout per tensor name
+ * @param {number} numCores - Cores packing, each into its own slot of every buffer
+ */
+export function setOperandPacking(op, tileSizes, layouts = {}, numCores = 1) {
+    op.tensors = op.tensors.filter(tensor => !tensor.packs);
+    op.packing = null;
+
+    if (tileSizes && op.packableTensors) {
+        const buffers = {};
+        for (const name of op.packableTensors) {
+            const buffer = createPackedBuffer(op, op.tensors.find(tensor => tensor.name === name), tileSizes, numCores);
+            op.tensors.push(buffer);
+            buffers[name] = buffer.name;
+        }
+        op.packing = { buffers, tileSizes, numCores };
+    }
+    assignTensorAddresses(op, layouts);
+}
+
+/**
+ * Tensors accessed by compute iterations, in operation order: with packing,
+ * each packed input is replaced by its buffer.
+ * @param {Object} op - Operation definition
+ * @returns {Object[]}
+ */
+export function getComputeTensors(op) {
+    if (!op.packing) {
+        return op.tensors;
+    }
+    return op.tensors
+        .filter(tensor => !tensor.packs)
+        .map(tensor => {
+            const buffer = op.packing.buffers[tensor.name];
+            return buffer ? op.tensors.find(t => t.name === buffer) : tensor;
+        });
+}
+
+/**
+ * Tensor accesses of one iteration, in issue order: a copy iteration reads
+ * its input and writes the buffer, a compute iteration accesses every
+ * compute tensor.
+ * @param {Object} op - Operation definition
+ * @param {Object} iter - Iteration
+ * @returns {Array<{ tensor: Object, accessType: string }>}
+ */
+export function getIterationAccesses(op, iter) {
+    if (op.packing && iter.pack) {
+        const source = op.tensors.find(tensor => tensor.name === iter.pack);
+        const buffer = op.tensors.find(tensor => tensor.name === op.packing.buffers[iter.pack]);
+        return [{ tensor: source, accessType: 'read' }, { tensor: buffer, accessType: 'write' }];
+    }
+    return getComputeTensors(op).map(tensor => ({ tensor, accessType: tensor.access || 'read' }));
+}
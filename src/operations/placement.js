@@ -0,0 +1,131 @@
+/**
+ * Tensor placement in memory
+ *
+ * Each tensor is stored as rows of its fastest-varying dimension (the inner
+ * extent: columns of a row-major matrix, channels of an HWC tensor). A
+ * leading-dimension stride `ld` larger than the inner extent pads every row,
+ * like lda/ldb/ldc in BLAS. Padding elements are never accessed.
+ *
+ * Tensors are placed in operation order. Each base address is rounded up to
+ * the tensor's alignment, and `op.tensorGap` bytes are left between
+ * consecutive tensors.
+ */
+
+/**
+ * Elements in one packed row of the tensor's fastest-varying dimension.
+ */
+export function getInnerExtent(tensor, layout) {
+    if (tensor.getInnerExtent) {
+        return tensor.getInnerExtent(layout);
+    }
+    return layout === 'col' ? tensor.rows : tensor.cols;
+}
+
+/**
+ * Elements between consecutive rows in memory: the tensor's ld, or the inner
+ * extent when it is packed.
+ */
+export function getLeadingDimension(tensor, layout) {
+    const inner = getInnerExtent(tensor, layout);
+    if (!tensor.ld) {
+        return inner;
+    }
+    if (tensor.ld < inner) {
+        throw new Error(`Leading dimension ${tensor.ld} of ${tensor.name} is smaller than its rows (${inner})`);
+    }
+    return tensor.ld;
+}
+
+/**
+ * Leading-dimension strides worth offering for a row of `innerExtent`
+ * elements: the power-of-two strides above it (the conflict pathology), each
+ * followed by the same stride padded by one cache line (the fix). Where a full
+ * line would land on the next power of two, the pad is half a line instead.
+ * @param {number} innerExtent - Elements in one packed row
+ * @param {number} lineElements - Elements per cache line
+ * @returns {number[]}
+ */
+export function getLeadingDimChoices(innerExtent, lineElements) {
+    let pow2 = 1;
+    while (pow2 <= innerExtent) pow2 *= 2;
+
+    const isPowerOfTwo = (n) => (n & (n - 1)) === 0;
+    const padded = (stride) => isPowerOfTwo(stride + lineElements)
+        ? stride + Math.max(1, lineElements / 2)
+        : stride + lineElements;
+    return [...new Set([pow2, padded(pow2), 2 * pow2, padded(2 * pow2)])];
+}
+
+/**
+ * Map a packed linear index to its element offset in the padded storage.
+ */
+export function getPaddedIndex(tensor, linearIndex, layout) {
+    const inner = getInnerExtent(tensor, layout);
+    const ld = getLeadingDimension(tensor, layout);
+    if (ld === inner) {
+        return linearIndex;
+    }
+    return Math.floor(linearIndex / inner) * ld + linearIndex % inner;
+}
+
+/**
+ * Elements of storage a tensor occupies, padding included.
+ */
+export function getStorageElements(tensor, layout) {
+    const inner = getInnerExtent(tensor, layout);
+    return tensor.getTotalElements() / inner * getLeadingDimension(tensor, layout);
+}
+
+/**
+ * Whether an element offset in the padded storage is padding.
+ */
+export function isPaddingIndex(tensor, storageIndex, layout) {
+    return storageIndex % getLeadingDimension(tensor, layout) >= getInnerExtent(tensor, layout);
+}
+
+/**
+ * Default layout of a tensor: its first layout option, or row-major.
+ */
+function getDefaultLayout(tensor) {
+    return tensor.layoutOptions && tensor.layoutOptions.length > 0 ? tensor.layoutOptions[0].value : 'row';
+}
+
+/**
+ * Place an operation's tensors in memory, in order.
+ * @param {Object} op - Operation definition
+ * @param {Object} layouts - Layout per tensor name (default: each tensor's first layout)
+ */
+export function assignTensorAddresses(op, layouts = {}) {
+    const gap = op.tensorGap || 0;
+    let address = 0;
+    op.tensors.forEach((tensor, idx) => {
+        if (idx > 0) {
+            address += gap;
+        }
+        const alignment = tensor.alignment || 1;
+        address = Math.ceil(address / alignment) * alignment;
+        tensor.baseAddress = address;
+
+        const layout = layouts[tensor.name] || getDefaultLayout(tensor);
+        address += getStorageElements(tensor, layout) * tensor.elementSize;
+    });
+}
+
+/**
+ * Set leading dimensions, base alignments and the gap between tensors,
+ * then re-place the tensors.
+ * @param {Object} op - Operation definition
+ * @param {Object} placement - { tensors: { name: { ld, alignment } }, gap }; ld 0 or
+ *        missing means packed, alignment is in bytes
+ * @param {Object} layouts - Layout per tensor name
+ */
+export function setTensorPlacement(op, placement, layouts = {}) {
+    const { tensors = {}, gap = 0 } = placement;
+    for (const tensor of op.tensors) {
+        const entry = tensors[tensor.name] || {};
+        tensor.ld = entry.ld || 0;
+        tensor.alignment = entry.alignment || 1;
+    }
+    op.tensorGap = gap;
+    assignTensorAddresses(op, layouts);
+}
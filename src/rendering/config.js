@@ -3,18 +3,62 @@
  */
 
 export const MATRIX_SIZE = 12;
-export const ELEMENT_SIZE = 4; // bytes per element
+export const ELEMENT_SIZE = 4; // default bytes per element (fp32); tensors can override via dtype
 export const CELL_SIZE = 20; // pixels per cell
 export const CHANNEL_GAP = 4; // gap between channels in multi-channel visualization
+export const TIMELINE_MAX_ENTRIES = 4096; // longer runs keep every n-th iteration in the timeline
 
 export const COLORS = {
     background: '#ffffff',
     grid: '#cccccc',
     tileGrid: '#666666',
+    // Multi-level tiling: boundaries of the enclosing tile levels, next-outer first
+    outerTileGrid: ['#d63384', '#212529'],
     cached: 'rgba(40, 167, 69, 0.6)',
     current: '#000000',
     currentOutline: '#667eea',
-    currentSlice: '#667eea'
+    currentSlice: '#667eea',
+    // Per cache level: translucent fills for tensor cells, solid fills for the dark bars
+    levelCells: {
+        1: 'rgba(40, 167, 69, 0.6)',
+        2: 'rgba(255, 193, 7, 0.6)',
+        3: 'rgba(23, 162, 184, 0.6)'
+    },
+    levelBars: {
+        1: '#28a745',
+        2: '#ffc107',
+        3: '#17a2b8'
+    },
+    miss: '#dc3545',
+    // Accesses served by a register (scalar replacement), never reaching the cache
+    registerBar: '#f8f9fa',
+    // Micro-kernel mode: elements held in (or loaded into) registers this k step
+    registerTile: 'rgba(253, 126, 20, 0.25)',
+    registerTileOutline: '#fd7e14',
+    // Prefetched lines not yet touched by a demand access
+    prefetchedCell: 'rgba(111, 66, 193, 0.45)',
+    prefetchedBar: '#6f42c1',
+    pageBoundary: '#e83e8c',
+    // Leading-dimension padding in the memory layout: bytes that are never accessed
+    padding: '#3d3d3d',
+    // Multi-core mode: private lines by owning core, gray when several cores share one
+    coreCells: [
+        'rgba(0, 123, 255, 0.55)',
+        'rgba(32, 201, 151, 0.55)',
+        'rgba(253, 126, 20, 0.55)',
+        'rgba(102, 16, 242, 0.5)'
+    ],
+    coreBars: ['#007bff', '#20c997', '#fd7e14', '#6610f2'],
+    sharedLineCell: 'rgba(108, 117, 125, 0.6)',
+    sharedLineBar: '#6c757d',
+    // One color per tensor for per-tensor series (reuse histogram)
+    tensorSeries: ['#28a745', '#17a2b8', '#ffc107', '#e83e8c'],
+    missTypes: {
+        compulsory: '#9b59b6',
+        capacity: '#dc3545',
+        conflict: '#fd7e14',
+        coherence: '#ff6f61'
+    }
 };
 
 // Isometric projection configuration
@@ -33,13 +33,21 @@ export function drawCell(ctx, x, y, width, height, options = {}) {
 }
 
 /**
- * Draw a filled cell for cached element.
+ * Draw a filled cell for cached element, colored by the cache level holding it,
+ * or by the prefetch color if its line was prefetched and not used yet.
+ * In multi-core mode a privately cached line takes its owner's color
+ * (owner is a core index, 'shared', or null).
  */
-export function drawCachedCell(ctx, x, y, alpha = 1.0) {
-    drawCell(ctx, x, y, CELL_SIZE, CELL_SIZE, {
-        fillColor: COLORS.cached,
-        alpha: alpha
-    });
+export function drawCachedCell(ctx, x, y, alpha = 1.0, level = 1, prefetched = false, owner = null) {
+    let fillColor = COLORS.levelCells[level] || COLORS.cached;
+    if (owner === 'shared') {
+        fillColor = COLORS.sharedLineCell;
+    } else if (owner !== null) {
+        fillColor = COLORS.coreCells[owner % COLORS.coreCells.length];
+    } else if (prefetched) {
+        fillColor = COLORS.prefetchedCell;
+    }
+    drawCell(ctx, x, y, CELL_SIZE, CELL_SIZE, { fillColor, alpha });
 }
 
 /**
@@ -135,18 +143,20 @@ export function drawGrid(ctx, rows, cols, xOffset, yOffset) {
 
 /**
  * Draw tile boundaries for a tensor slice.
+ * Tiles are tileRows × tileCols cells; depth counts tile levels from the
+ * innermost (0), outer levels are drawn in heavier strokes.
  */
-export function drawTileBoundaries(ctx, rows, cols, xOffset, yOffset, tileSize) {
-    ctx.strokeStyle = COLORS.tileGrid;
-    ctx.lineWidth = 2;
+export function drawTileBoundaries(ctx, rows, cols, xOffset, yOffset, tileRows, tileCols, depth = 0) {
+    ctx.strokeStyle = depth > 0 ? COLORS.outerTileGrid[Math.min(depth, COLORS.outerTileGrid.length) - 1] : COLORS.tileGrid;
+    ctx.lineWidth = 2 + depth;
 
-    for (let i = 0; i <= cols; i += tileSize) {
+    for (let i = 0; i <= cols; i += tileCols) {
         ctx.beginPath();
         ctx.moveTo(xOffset + i * CELL_SIZE, yOffset);
         ctx.lineTo(xOffset + i * CELL_SIZE, yOffset + rows * CELL_SIZE);
         ctx.stroke();
     }
-    for (let i = 0; i <= rows; i += tileSize) {
+    for (let i = 0; i <= rows; i += tileRows) {
         ctx.beginPath();
         ctx.moveTo(xOffset, yOffset + i * CELL_SIZE);
         ctx.lineTo(xOffset + cols * CELL_SIZE, yOffset + i * CELL_SIZE);
@@ -154,6 +164,20 @@ export function drawTileBoundaries(ctx, rows, cols, xOffset, yOffset, tileSize)
     }
 }
 
+/**
+ * Highlight the register tile of a tensor slice: rows × cols cells from
+ * (row, col), filled translucently and outlined.
+ */
+export function drawRegisterTile(ctx, row, col, rows, cols, xOffset, yOffset) {
+    const x = xOffset + col * CELL_SIZE;
+    const y = yOffset + row * CELL_SIZE;
+    drawCell(ctx, x, y, cols * CELL_SIZE, rows * CELL_SIZE, { fillColor: COLORS.registerTile });
+    drawCell(ctx, x + 1.5, y + 1.5, cols * CELL_SIZE - 3, rows * CELL_SIZE - 3, {
+        strokeColor: COLORS.registerTileOutline,
+        lineWidth: 3
+    });
+}
+
 /**
  * Draw grid lines for an isometric slice.
  */
@@ -179,18 +203,20 @@ export function drawIsoGrid(ctx, rows, cols, xOffset, yOffset, alpha) {
 
 /**
  * Draw tile boundaries for an isometric slice.
+ * Tiles are tileRows × tileCols cells; depth counts tile levels from the
+ * innermost (0), outer levels are drawn in heavier strokes.
  */
-export function drawIsoTileBoundaries(ctx, rows, cols, xOffset, yOffset, tileSize) {
-    ctx.strokeStyle = COLORS.tileGrid;
-    ctx.lineWidth = 2;
+export function drawIsoTileBoundaries(ctx, rows, cols, xOffset, yOffset, tileRows, tileCols, depth = 0) {
+    ctx.strokeStyle = depth > 0 ? COLORS.outerTileGrid[Math.min(depth, COLORS.outerTileGrid.length) - 1] : COLORS.tileGrid;
+    ctx.lineWidth = 2 + depth;
 
-    for (let i = 0; i <= cols; i += tileSize) {
+    for (let i = 0; i <= cols; i += tileCols) {
         ctx.beginPath();
         ctx.moveTo(xOffset + i * CELL_SIZE, yOffset);
         ctx.lineTo(xOffset + i * CELL_SIZE, yOffset + rows * CELL_SIZE);
         ctx.stroke();
     }
-    for (let i = 0; i <= rows; i += tileSize) {
+    for (let i = 0; i <= rows; i += tileRows) {
         ctx.beginPath();
         ctx.moveTo(xOffset, yOffset + i * CELL_SIZE);
         ctx.lineTo(xOffset + cols * CELL_SIZE, yOffset + i * CELL_SIZE);
@@ -6,9 +6,10 @@
 import { CELL_SIZE, COLORS, ISO, CHANNEL_GAP } from './config.js';
 import {
     drawCachedCell, drawCurrentAccessCell, drawParallelogram,
-    isoPosition, isoAlpha, drawGrid, drawTileBoundaries,
+    isoPosition, isoAlpha, drawGrid, drawTileBoundaries, drawRegisterTile,
     drawIsoGrid, drawIsoTileBoundaries, drawCurrentAccess
 } from './primitives.js';
+import { getPaddedIndex } from '../operations/placement.js';
 
 /**
  * Calculate canvas dimensions for a tensor based on its shape.
@@ -50,20 +51,46 @@ export function getTensorCanvasSize(tensor) {
 }
 
 /**
- * Check if element is in cache for 2D tensor.
- * @returns {number | null} Cache level if cached, null if not
+ * Memory address of a tensor element given its coordinates
+ * ({row, col}, plus channel for 3D or c_out/c_in for 4D tensors).
+ * The element size defaults to the tensor's dtype size; padded rows follow
+ * the tensor's leading dimension.
  */
-export function isElementInCache2D(tensor, row, col, cache, layouts, elementSize) {
+export function getElementAddress(tensor, coords, layouts, elementSize = tensor.elementSize) {
     const layout = layouts[tensor.name];
-    const size = tensor.rows;
+    const { row, col } = coords;
     let linearIndex;
-    if (layout === 'col') {
-        linearIndex = col * size + row;
+
+    if (tensor.is4D) {
+        if (layout === 'HWIO') {
+            linearIndex = row * (tensor.cols * tensor.channels_in * tensor.channels_out) +
+                          col * (tensor.channels_in * tensor.channels_out) +
+                          coords.c_in * tensor.channels_out + coords.c_out;
+        } else {
+            linearIndex = coords.c_out * (tensor.channels_in * tensor.rows * tensor.cols) +
+                          coords.c_in * (tensor.rows * tensor.cols) +
+                          row * tensor.cols + col;
+        }
+    } else if (tensor.is3D) {
+        if (layout === 'HWC') {
+            linearIndex = row * (tensor.cols * tensor.channels) + col * tensor.channels + coords.channel;
+        } else {
+            linearIndex = coords.channel * (tensor.rows * tensor.cols) + row * tensor.cols + col;
+        }
     } else {
-        linearIndex = row * size + col;
+        const size = tensor.rows;
+        linearIndex = layout === 'col' ? col * size + row : row * size + col;
     }
-    const address = tensor.baseAddress + linearIndex * elementSize;
-    return cache.isAddressCached(address);
+
+    return tensor.baseAddress + getPaddedIndex(tensor, linearIndex, layout) * elementSize;
+}
+
+/**
+ * Check if element is in cache for 2D tensor.
+ * @returns {number | null} Cache level if cached, null if not
+ */
+export function isElementInCache2D(tensor, row, col, cache, layouts, elementSize) {
+    return cache.isAddressCached(getElementAddress(tensor, { row, col }, layouts, elementSize));
 }
 
 /**
@@ -71,17 +98,7 @@ export function isElementInCache2D(tensor, row, col, cache, layouts, elementSize
  * @returns {number | null} Cache level if cached, null if not
  */
 export function isElementInCache3D(tensor, channel, row, col, cache, layouts, elementSize) {
-    const layout = layouts[tensor.name];
-    let linearIndex;
-
-    if (layout === 'HWC') {
-        linearIndex = row * (tensor.cols * tensor.channels) + col * tensor.channels + channel;
-    } else {
-        linearIndex = channel * (tensor.rows * tensor.cols) + row * tensor.cols + col;
-    }
-
-    const address = tensor.baseAddress + linearIndex * elementSize;
-    return cache.isAddressCached(address);
+    return cache.isAddressCached(getElementAddress(tensor, { channel, row, col }, layouts, elementSize));
 }
 
 /**
@@ -89,21 +106,7 @@ export function isElementInCache3D(tensor, channel, row, col, cache, layouts, el
  * @returns {number | null} Cache level if cached, null if not
  */
 export function isElementInCache4D(tensor, c_out, c_in, row, col, cache, layouts, elementSize) {
-    const layout = layouts[tensor.name];
-    let linearIndex;
-
-    if (layout === 'HWIO') {
-        linearIndex = row * (tensor.cols * tensor.channels_in * tensor.channels_out) +
-                      col * (tensor.channels_in * tensor.channels_out) +
-                      c_in * tensor.channels_out + c_out;
-    } else {
-        linearIndex = c_out * (tensor.channels_in * tensor.rows * tensor.cols) +
-                      c_in * (tensor.rows * tensor.cols) +
-                      row * tensor.cols + col;
-    }
-
-    const address = tensor.baseAddress + linearIndex * elementSize;
-    return cache.isAddressCached(address);
+    return cache.isAddressCached(getElementAddress(tensor, { c_out, c_in, row, col }, layouts, elementSize));
 }
 
 /**
@@ -111,37 +114,110 @@ export function isElementInCache4D(tensor, c_out, c_in, row, col, cache, layouts
  * @returns {number | null} Cache level if cached, null if not
  */
 export function isElementInCacheByCoords(tensor, coords, cache, layouts, elementSize) {
-    if (tensor.is4D) {
-        return isElementInCache4D(tensor, coords.c_out, coords.c_in, coords.row, coords.col, cache, layouts, elementSize);
-    } else if (tensor.is3D) {
-        return isElementInCache3D(tensor, coords.channel, coords.row, coords.col, cache, layouts, elementSize);
-    } else {
-        return isElementInCache2D(tensor, coords.row, coords.col, cache, layouts, elementSize);
+    return cache.isAddressCached(getElementAddress(tensor, coords, layouts, elementSize));
+}
+
+/**
+ * Take the cache's residency once per frame, via its bulk queries, as O(1)
+ * lookups. The view answers isAddressCached/isAddressPrefetched like the cache
+ * itself, so renderers accept either. For a multi-core system it also answers
+ * ownerOf(address): the core holding the line privately, 'shared', or null.
+ */
+export function createCacheView(cache) {
+    const resident = cache.getResidentLines();
+    const prefetched = cache.getPrefetchedLines();
+    const owners = cache.getLineOwners ? cache.getLineOwners() : new Map();
+    const lineSize = cache.lineSize;
+    const lineOf = address => Math.floor(address / lineSize) * lineSize;
+
+    return {
+        isAddressCached: address => {
+            const level = resident.get(lineOf(address));
+            return level === undefined ? null : level;
+        },
+        isAddressPrefetched: address => prefetched.has(lineOf(address)),
+        ownerOf: address => {
+            const owner = owners.get(lineOf(address));
+            return owner === undefined ? null : owner;
+        }
+    };
+}
+
+/**
+ * Draw the cached fill for an element, if its line is resident.
+ * Prefetched lines that have not been used yet get their own color, and
+ * lines held privately by a core get that core's color.
+ */
+function drawElementCacheState(ctx, x, y, alpha, tensor, coords, cache, layouts, elementSize) {
+    const address = getElementAddress(tensor, coords, layouts, elementSize);
+    const level = cache.isAddressCached(address);
+    if (level) {
+        const owner = cache.ownerOf ? cache.ownerOf(address) : null;
+        drawCachedCell(ctx, x, y, alpha, level, cache.isAddressPrefetched(address), owner);
+    }
+}
+
+/**
+ * Tile shape of a tensor in cells: the tile sizes of the loop dims indexing
+ * its rows and columns (tensor.tileDims). A tensor axis not indexed by a
+ * tiled dim is one tile.
+ * @returns {{ rows: number, cols: number } | null} - null if the tensor is not tiled
+ */
+export function getTensorTileShape(tensor, tileSizes) {
+    if (!tensor.tileDims || !tileSizes) {
+        return null;
+    }
+    const rowTile = tileSizes[tensor.tileDims.row];
+    const colTile = tileSizes[tensor.tileDims.col];
+    if (!rowTile && !colTile) {
+        return null;
+    }
+    return { rows: rowTile || tensor.rows, cols: colTile || tensor.cols };
+}
+
+/**
+ * Call fn(tile, depth) for the tile shape of each tile level on a tensor,
+ * innermost first so outer boundaries are drawn on top.
+ * @param {Array} tileLevels - Tile levels, outermost first, each { tileSizes }
+ */
+function forEachTileShape(tensor, tileLevels, fn) {
+    const numLevels = tileLevels.length;
+    for (let depth = 0; depth < numLevels; depth++) {
+        const tile = getTensorTileShape(tensor, tileLevels[numLevels - 1 - depth].tileSizes);
+        if (tile && (tile.rows > 1 || tile.cols > 1)) {
+            fn(tile, depth);
+        }
     }
 }
 
 /**
  * Render a 2D tensor (matmul style).
+ * @param {{ row: number, col: number, rows: number, cols: number }|null} registerTile - Cells
+ *        held in registers by the micro-kernel, highlighted if given
  */
-export function render2DTensor(ctx, tensor, currentIndices, cache, layouts, elementSize, tilingEnabled, tileSize) {
+export function render2DTensor(ctx, tensor, currentIndices, cache, layouts, elementSize, tilingEnabled, tileLevels, registerTile = null) {
     const rows = tensor.rows;
     const cols = tensor.cols;
 
     if (cache) {
         for (let row = 0; row < rows; row++) {
             for (let col = 0; col < cols; col++) {
-                if (isElementInCache2D(tensor, row, col, cache, layouts, elementSize)) {
-                    ctx.fillStyle = COLORS.cached;
-                    ctx.fillRect(col * CELL_SIZE, row * CELL_SIZE, CELL_SIZE, CELL_SIZE);
-                }
+                drawElementCacheState(ctx, col * CELL_SIZE, row * CELL_SIZE, 1.0,
+                    tensor, { row, col }, cache, layouts, elementSize);
             }
         }
     }
 
     drawGrid(ctx, rows, cols, 0, 0);
 
-    if (tilingEnabled && tileSize > 1) {
-        drawTileBoundaries(ctx, rows, cols, 0, 0, tileSize);
+    if (tilingEnabled) {
+        forEachTileShape(tensor, tileLevels, (tile, depth) => {
+            drawTileBoundaries(ctx, rows, cols, 0, 0, tile.rows, tile.cols, depth);
+        });
+    }
+
+    if (registerTile) {
+        drawRegisterTile(ctx, registerTile.row, registerTile.col, registerTile.rows, registerTile.cols, 0, 0);
     }
 
     if (currentIndices && currentIndices.row !== undefined) {
@@ -152,7 +228,7 @@ export function render2DTensor(ctx, tensor, currentIndices, cache, layouts, elem
 /**
  * Render a 3D tensor (channels stacked isometrically).
  */
-export function render3DTensor(ctx, tensor, currentIndices, cache, layouts, elementSize, tilingEnabled, tileSize) {
+export function render3DTensor(ctx, tensor, currentIndices, cache, layouts, elementSize, tilingEnabled, tileLevels) {
     const rows = tensor.rows;
     const cols = tensor.cols;
     const channels = tensor.channels;
@@ -183,10 +259,9 @@ export function render3DTensor(ctx, tensor, currentIndices, cache, layouts, elem
         if (cache) {
             for (let row = 0; row < rows; row++) {
                 for (let col = 0; col < cols; col++) {
-                    if (isElementInCache3D(tensor, c, row, col, cache, layouts, elementSize)) {
-                        const pos = isoPosition(row, col, c, baseX, baseY);
-                        drawCachedCell(ctx, pos.x, pos.y, alpha);
-                    }
+                    const pos = isoPosition(row, col, c, baseX, baseY);
+                    drawElementCacheState(ctx, pos.x, pos.y, alpha,
+                        tensor, { channel: c, row, col }, cache, layouts, elementSize);
                 }
             }
         }
@@ -200,8 +275,10 @@ export function render3DTensor(ctx, tensor, currentIndices, cache, layouts, elem
         ctx.globalAlpha = 1.0;
     }
 
-    if (tilingEnabled && tileSize > 1 && tensor.name !== 'Output') {
-        drawIsoTileBoundaries(ctx, rows, cols, baseX, baseY, tileSize);
+    if (tilingEnabled) {
+        forEachTileShape(tensor, tileLevels, (tile, depth) => {
+            drawIsoTileBoundaries(ctx, rows, cols, baseX, baseY, tile.rows, tile.cols, depth);
+        });
     }
 
     if (currentIndices && currentIndices.channel !== undefined) {
@@ -274,11 +351,8 @@ export function render4DTensor(ctx, tensor, currentIndices, cache, layouts, elem
             if (cache) {
                 for (let row = 0; row < kRows; row++) {
                     for (let col = 0; col < kCols; col++) {
-                        if (isElementInCache4D(tensor, co, ci, row, col, cache, layouts, elementSize)) {
-                            const cellX = sliceX + col * CELL_SIZE;
-                            const cellY = sliceY + row * CELL_SIZE;
-                            drawCachedCell(ctx, cellX, cellY, alpha);
-                        }
+                        drawElementCacheState(ctx, sliceX + col * CELL_SIZE, sliceY + row * CELL_SIZE, alpha,
+                            tensor, { c_out: co, c_in: ci, row, col }, cache, layouts, elementSize);
                     }
                 }
             }
@@ -315,9 +389,10 @@ export function render4DTensor(ctx, tensor, currentIndices, cache, layouts, elem
 
 /**
  * Render a single tensor grid.
- * Supports 2D, 3D (with channels), and 4D (kernel) tensors.
+ * Supports 2D, 3D (with channels), and 4D (kernel) tensors. The register
+ * tile of the micro-kernel is only drawn on 2D tensors.
  */
-export function renderTensor(ctx, tensor, currentIndices, cache, layouts, elementSize, tilingEnabled, tileSize) {
+export function renderTensor(ctx, tensor, currentIndices, cache, layouts, elementSize, tilingEnabled, tileLevels, registerTile = null) {
     const canvas = ctx.canvas;
     ctx.clearRect(0, 0, canvas.width, canvas.height);
 
@@ -327,8 +402,8 @@ export function renderTensor(ctx, tensor, currentIndices, cache, layouts, elemen
     if (tensor.is4D) {
         render4DTensor(ctx, tensor, currentIndices, cache, layouts, elementSize);
     } else if (tensor.is3D) {
-        render3DTensor(ctx, tensor, currentIndices, cache, layouts, elementSize, tilingEnabled, tileSize);
+        render3DTensor(ctx, tensor, currentIndices, cache, layouts, elementSize, tilingEnabled, tileLevels);
     } else {
-        render2DTensor(ctx, tensor, currentIndices, cache, layouts, elementSize, tilingEnabled, tileSize);
+        render2DTensor(ctx, tensor, currentIndices, cache, layouts, elementSize, tilingEnabled, tileLevels, registerTile);
     }
 }
@@ -2,12 +2,22 @@
  * Timeline and memory layout visualizations
  */
 
-import { isElementInCacheByCoords } from './tensors.js';
+import { COLORS } from './config.js';
+import { getPaddedIndex, getStorageElements, isPaddingIndex } from '../operations/placement.js';
+import { getIterationAccesses } from '../operations/packing.js';
 
 /**
  * Render the cache hit timeline.
+ * Each history entry maps tensor name to { level, missType }: the level that
+ * served the access (0 = a register, null = memory) and the 3C type of an L1
+ * miss. colorMode 'level' colors bars by serving level; 'missType' colors L1
+ * misses by their 3C type. Register hits have their own color in both modes.
+ * Tensors an iteration does not access (e.g. during packing copies) are left blank.
+ * With a stride above 1, entry i is iteration i * stride and spans the
+ * stride iterations that follow it.
  */
-export function renderTimeline(ctx, operation, history, currentIteration) {
+export function renderTimeline(ctx, operation, history, currentIteration, colorMode = 'level',
+    totalIterations = operation.getTotalIterations(), stride = 1) {
     const canvas = ctx.canvas;
     const width = canvas.width;
     const height = canvas.height;
@@ -20,7 +30,7 @@ export function renderTimeline(ctx, operation, history, currentIteration) {
 
     const rowHeight = height / numTensors;
     const labelOffset = 15;
-    const barWidthScaled = (width - labelOffset) / operation.getTotalIterations();
+    const barWidthScaled = (width - labelOffset) / totalIterations;
 
     ctx.fillStyle = '#666';
     ctx.font = '10px monospace';
@@ -28,13 +38,21 @@ export function renderTimeline(ctx, operation, history, currentIteration) {
         ctx.fillText(tensor.name, 2, idx * rowHeight + rowHeight / 2 + 3);
     });
 
+    const barW = Math.max(1, stride * barWidthScaled - 0.5);
     for (let i = 0; i < history.length; i++) {
-        const x = labelOffset + i * barWidthScaled;
+        const x = labelOffset + i * stride * barWidthScaled;
         const h = history[i];
-        const barW = Math.max(1, barWidthScaled - 0.5);
 
         operation.tensors.forEach((tensor, idx) => {
-            ctx.fillStyle = h[tensor.name] ? '#28a745' : '#dc3545';
+            if (!h[tensor.name]) return;
+            const { level, missType } = h[tensor.name];
+            if (level === 0) {
+                ctx.fillStyle = COLORS.registerBar;
+            } else if (colorMode === 'missType') {
+                ctx.fillStyle = missType ? COLORS.missTypes[missType] : COLORS.levelBars[1];
+            } else {
+                ctx.fillStyle = level ? COLORS.levelBars[level] : COLORS.miss;
+            }
             ctx.fillRect(x, idx * rowHeight + 2, barW, rowHeight - 4);
         });
     }
@@ -50,10 +68,39 @@ export function renderTimeline(ctx, operation, history, currentIteration) {
     }
 }
 
+/**
+ * Bar color for a resident address: its owning core in multi-core mode,
+ * else prefetched or per-level.
+ */
+function cachedBarColor(cache, address, level) {
+    const owner = cache.ownerOf ? cache.ownerOf(address) : null;
+    if (owner === 'shared') return COLORS.sharedLineBar;
+    if (owner !== null) return COLORS.coreBars[owner % COLORS.coreBars.length];
+    return cache.isAddressPrefetched(address) ? COLORS.prefetchedBar : COLORS.levelBars[level];
+}
+
+/**
+ * Draw vertical markers at every multiple of `step` bytes within [start, end].
+ */
+function drawAddressMarkers(ctx, start, end, step, xOfAddress, yTop, yBottom) {
+    for (let address = Math.ceil(start / step) * step; address <= end; address += step) {
+        const x = xOfAddress(address);
+        ctx.beginPath();
+        ctx.moveTo(x, yTop);
+        ctx.lineTo(x, yBottom);
+        ctx.stroke();
+    }
+}
+
 /**
  * Render the memory layout visualization.
+ * Rows are scaled by bytes, so a cache line has the same width in every row
+ * and each element's width follows its tensor's dtype. Padding at the end of
+ * each row (leading dimension > row length) is drawn as a dead region. Cache
+ * line boundaries are drawn as thin lines at line-aligned addresses; with a
+ * page size, page boundaries are drawn over them as taller colored markers.
  */
-export function renderMemoryLayout(ctx, operation, iterations, currentIteration, cache, layouts, elementsPerLine, elementSize) {
+export function renderMemoryLayout(ctx, operation, iterations, currentIteration, cache, layouts, lineSize, pageSize = 0) {
     const canvas = ctx.canvas;
     const width = canvas.width;
     const height = canvas.height;
@@ -62,45 +109,56 @@ export function renderMemoryLayout(ctx, operation, iterations, currentIteration,
     ctx.fillRect(0, 0, width, height);
 
     const numTensors = operation.tensors.length;
-    const tensorSizes = operation.tensors.map(t => t.getTotalElements());
-    const maxElements = Math.max(...tensorSizes);
+    const tensorBytes = operation.tensors.map(t => getStorageElements(t, layouts[t.name]) * t.elementSize);
+    const maxBytes = Math.max(...tensorBytes);
 
     const rowHeight = height / numTensors;
     const labelOffset = 45;
     const barWidth = width - labelOffset;
+    const byteWidth = barWidth / maxBytes;
 
-    const iter = iterations[currentIteration];
+    const iter = iterations.at(currentIteration);
+    const accessed = iter ? getIterationAccesses(operation, iter).map(access => access.tensor) : [];
 
     operation.tensors.forEach((tensor, tensorIdx) => {
         const y = tensorIdx * rowHeight;
         const layout = layouts[tensor.name];
-        const numElements = tensor.getTotalElements();
-        const elemWidth = barWidth / maxElements;
+        const numElements = getStorageElements(tensor, layout);
+        const elementSize = tensor.elementSize;
+        const elemWidth = elementSize * byteWidth;
+        const tensorEnd = tensor.baseAddress + numElements * elementSize;
 
         const xStart = labelOffset;
+        const xOfAddress = address => xStart + (address - tensor.baseAddress) * byteWidth;
 
         ctx.fillStyle = '#888';
         ctx.font = '9px monospace';
         ctx.fillText(tensor.name, 2, y + rowHeight / 2 + 3);
 
         let currentLinearIndex = -1;
-        if (iter) {
-            currentLinearIndex = tensor.getLinearIndex(iter, layout);
+        if (accessed.includes(tensor)) {
+            currentLinearIndex = getPaddedIndex(tensor, tensor.getLinearIndex(iter, layout), layout);
         }
 
         for (let linearIdx = 0; linearIdx < numElements; linearIdx++) {
             const x = xStart + linearIdx * elemWidth;
-            const coords = tensor.getCoordinatesFromLinear(linearIdx, layout);
-            const inCache = cache ? isElementInCacheByCoords(tensor, coords, cache, layouts, elementSize) : false;
+            const address = tensor.baseAddress + linearIdx * elementSize;
 
+            if (isPaddingIndex(tensor, linearIdx, layout)) {
+                ctx.fillStyle = COLORS.padding;
+                ctx.fillRect(x, y + 3, Math.max(1, elemWidth - 0.5), rowHeight - 6);
+                continue;
+            }
+
+            const level = cache ? cache.isAddressCached(address) : null;
             if (linearIdx === currentLinearIndex) {
                 ctx.fillStyle = '#000000';
                 ctx.fillRect(x, y + 3, Math.max(1, elemWidth - 0.5), rowHeight - 6);
                 ctx.strokeStyle = '#667eea';
                 ctx.lineWidth = 1;
                 ctx.strokeRect(x, y + 2, Math.max(1, elemWidth), rowHeight - 4);
-            } else if (inCache) {
-                ctx.fillStyle = '#28a745';
+            } else if (level) {
+                ctx.fillStyle = cachedBarColor(cache, address, level);
                 ctx.fillRect(x, y + 3, Math.max(1, elemWidth - 0.5), rowHeight - 6);
             } else {
                 ctx.fillStyle = '#2a2a4a';
@@ -110,12 +168,12 @@ export function renderMemoryLayout(ctx, operation, iterations, currentIteration,
 
         ctx.strokeStyle = '#555';
         ctx.lineWidth = 1;
-        for (let lineStart = 0; lineStart <= numElements; lineStart += elementsPerLine) {
-            const x = xStart + lineStart * elemWidth;
-            ctx.beginPath();
-            ctx.moveTo(x, y + 1);
-            ctx.lineTo(x, y + rowHeight - 1);
-            ctx.stroke();
+        drawAddressMarkers(ctx, tensor.baseAddress, tensorEnd, lineSize, xOfAddress, y + 1, y + rowHeight - 1);
+
+        if (pageSize > 0) {
+            ctx.strokeStyle = COLORS.pageBoundary;
+            ctx.lineWidth = 2;
+            drawAddressMarkers(ctx, tensor.baseAddress, tensorEnd - 1, pageSize, xOfAddress, y, y + rowHeight);
         }
 
         const xEnd = xStart + numElements * elemWidth;
@@ -127,3 +185,111 @@ export function renderMemoryLayout(ctx, operation, iterations, currentIteration,
         ctx.stroke();
     });
 }
+
+/**
+ * Render the reuse-distance histogram: one group of bars per log2 distance
+ * bucket, one bar per tensor, and a final group of cold (first-touch) accesses.
+ * Bar heights are shares of all accesses.
+ */
+export function renderReuseHistogram(ctx, operation, profile) {
+    const canvas = ctx.canvas;
+    const width = canvas.width;
+    const height = canvas.height;
+
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, width, height);
+
+    if (!profile || profile.accesses === 0) return;
+
+    const labelHeight = 12;
+    const chartHeight = height - labelHeight - 4;
+    const numGroups = profile.numBuckets + 1;
+    const groupWidth = width / numGroups;
+    const barWidth = Math.max(1, (groupWidth - 4) / operation.tensors.length);
+
+    let maxCount = 1;
+    for (const tensor of operation.tensors) {
+        const entry = profile.tensors[tensor.name];
+        maxCount = Math.max(maxCount, entry.cold, ...entry.histogram);
+    }
+
+    operation.tensors.forEach((tensor, tensorIdx) => {
+        const entry = profile.tensors[tensor.name];
+        const counts = [...entry.histogram, entry.cold];
+        ctx.fillStyle = COLORS.tensorSeries[tensorIdx % COLORS.tensorSeries.length];
+        counts.forEach((count, group) => {
+            const barHeight = count / maxCount * chartHeight;
+            const x = group * groupWidth + 2 + tensorIdx * barWidth;
+            ctx.fillRect(x, chartHeight - barHeight + 2, Math.max(1, barWidth - 1), barHeight);
+        });
+    });
+
+    ctx.fillStyle = '#888';
+    ctx.font = '9px monospace';
+    ctx.textAlign = 'center';
+    for (let group = 0; group < numGroups; group++) {
+        const label = group < profile.numBuckets ? profile.bucketLabels[group] : 'cold';
+        ctx.fillText(label, group * groupWidth + groupWidth / 2, height - 2);
+    }
+    ctx.textAlign = 'left';
+
+    operation.tensors.forEach((tensor, tensorIdx) => {
+        ctx.fillStyle = COLORS.tensorSeries[tensorIdx % COLORS.tensorSeries.length];
+        ctx.fillText(tensor.name, width - (operation.tensors.length - tensorIdx) * 40, 10);
+    });
+}
+
+/**
+ * Render the hit rate a fully associative LRU cache of each size would get,
+ * from the profile's miss-rate curve. The configured L1 size is marked.
+ */
+export function renderMissRateCurve(ctx, profile, cacheLines) {
+    const canvas = ctx.canvas;
+    const width = canvas.width;
+    const height = canvas.height;
+
+    ctx.fillStyle = '#1a1a2e';
+    ctx.fillRect(0, 0, width, height);
+
+    if (!profile || profile.accesses === 0) return;
+
+    const labelHeight = 12;
+    const chartHeight = height - labelHeight - 4;
+    const maxLines = Math.max(cacheLines, profile.missRateCurve.length - 1, 1);
+    const curve = profile.missRateCurve;
+    const hitRateAt = lines => 1 - curve[Math.min(lines, curve.length - 1)];
+    const xOf = lines => lines / maxLines * (width - 4) + 2;
+    const yOf = hitRate => 2 + (1 - hitRate) * chartHeight;
+
+    ctx.strokeStyle = COLORS.levelBars[1];
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    for (let lines = 0; lines <= maxLines; lines++) {
+        const hitRate = hitRateAt(lines);
+        if (lines === 0) {
+            ctx.moveTo(xOf(lines), yOf(hitRate));
+        } else {
+            ctx.lineTo(xOf(lines), yOf(hitRate));
+        }
+    }
+    ctx.stroke();
+
+    const markerX = xOf(cacheLines);
+    const markerHitRate = hitRateAt(cacheLines);
+    ctx.strokeStyle = COLORS.currentOutline;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(markerX, 2);
+    ctx.lineTo(markerX, chartHeight + 2);
+    ctx.stroke();
+
+    ctx.fillStyle = '#888';
+    ctx.font = '9px monospace';
+    ctx.fillText('0', 2, height - 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${maxLines} lines`, width - 2, height - 2);
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#ccc';
+    const label = `L1 ${cacheLines} lines: ${(markerHitRate * 100).toFixed(0)}%`;
+    ctx.fillText(label, Math.min(markerX + 4, width - 110), 10);
+}
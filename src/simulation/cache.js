@@ -1,55 +1,356 @@
 /**
- * LRU Cache Simulator
+ * Set-Associative Cache Simulator
  *
  * Supports multi-level cache hierarchies. Each instance represents one cache level.
  * The `level` property indicates which level this cache represents (1=L1, 2=L2, 3=L3).
+ *
+ * Lines are organized into sets: an address maps to set `lineIndex % numSets`,
+ * and only the `ways` lines of that set compete for it. An associativity of 0
+ * (the default) makes the cache fully associative, i.e. a single set.
+ * Which way is evicted is decided by a pluggable replacement policy (LRU by default).
+ *
+ * Lookups go through a map from line address to way, and each set keeps a
+ * stack of its free ways, so hits, misses and residency checks cost O(1)
+ * regardless of capacity and associativity.
+ *
+ * Accesses are typed 'read', 'write' or 'readwrite' (read-modify-write).
+ * Write-back caches mark written lines dirty and write them out on eviction;
+ * write-through caches forward every store. Without write-allocate, a store
+ * that misses is forwarded without filling the line.
+ *
+ * Lines brought in by a prefetcher are flagged until their first demand hit,
+ * which counts the prefetch as useful; evicting a still-flagged line counts
+ * it as useless.
+ *
+ * Operations that fill a line report the line they evicted (`evicted`), so a
+ * CacheHierarchy can enforce inclusion or move victims between levels.
  */
 
+import { createReplacementPolicy } from './replacement.js';
+
 export class CacheSimulator {
     /**
      * @param {number} capacityBytes - Total cache capacity in bytes
      * @param {number} lineSize - Cache line size in bytes
      * @param {number} level - Cache level (1=L1, 2=L2, 3=L3). Defaults to 1.
+     * @param {Object} options - Organization options
+     * @param {number} options.associativity - Ways per set (0 = fully associative)
+     * @param {string} options.replacement - Replacement policy name (see REPLACEMENT_POLICIES)
+     * @param {number} options.seed - Seed for the random policy
+     * @param {number[]} options.trace - Future address trace, required by the OPT policy
+     * @param {string} options.writePolicy - 'write-back' (default) or 'write-through'
+     * @param {boolean} options.writeAllocate - Fill the line on a store miss (default true)
      */
-    constructor(capacityBytes, lineSize, level = 1) {
+    constructor(capacityBytes, lineSize, level = 1, options = {}) {
+        const {
+            associativity = 0,
+            replacement = 'lru',
+            seed,
+            trace,
+            writePolicy = 'write-back',
+            writeAllocate = true
+        } = options;
+
         this.capacityBytes = capacityBytes;
         this.lineSize = lineSize;
         this.level = level;
         this.maxLines = Math.floor(capacityBytes / lineSize);
-        this.lines = [];
+        this.ways = associativity > 0 ? Math.min(associativity, this.maxLines) : this.maxLines;
+        this.numSets = Math.max(1, Math.floor(this.maxLines / this.ways));
+        this.replacement = replacement;
+        this.policy = createReplacementPolicy(replacement, this.numSets, this.ways, { seed, trace, lineSize });
+        this.writePolicy = writePolicy;
+        this.writeAllocate = writeAllocate;
+        this.sets = this.createSets();
+        this.dirty = this.createDirtyBits();
+        this.prefetched = this.createDirtyBits();
+        this.rebuildIndex();
         this.totalAccesses = 0;
         this.hits = 0;
         this.misses = 0;
+        this.writebacks = 0;
+        this.writeTrafficBytes = 0;
+        this.prefetchesIssued = 0;
+        this.usefulPrefetches = 0;
+        this.uselessPrefetches = 0;
+    }
+
+    /**
+     * One array per set, holding the line address in each way (null = empty way).
+     */
+    createSets() {
+        return Array.from({ length: this.numSets }, () => new Array(this.ways).fill(null));
+    }
+
+    /**
+     * One boolean per way; used for the dirty and prefetched flags.
+     */
+    createDirtyBits() {
+        return Array.from({ length: this.numSets }, () => new Array(this.ways).fill(false));
+    }
+
+    /**
+     * Rebuild the line-to-way map and the free-way stacks from `sets`.
+     * Free ways are stacked so the lowest-numbered way is filled first.
+     */
+    rebuildIndex() {
+        this.wayOf = new Map();
+        this.freeWays = this.sets.map(set => {
+            const free = [];
+            for (let way = set.length - 1; way >= 0; way--) {
+                if (set[way] === null) {
+                    free.push(way);
+                } else {
+                    this.wayOf.set(set[way], way);
+                }
+            }
+            return free;
+        });
+    }
+
+    /**
+     * Way holding a line, or -1 if it is not resident.
+     */
+    findWay(lineAddr) {
+        const way = this.wayOf.get(lineAddr);
+        return way === undefined ? -1 : way;
+    }
+
+    /**
+     * All resident line addresses, set by set.
+     */
+    get lines() {
+        return this.sets.flat().filter(lineAddr => lineAddr !== null);
     }
 
     getLineAddress(address) {
         return Math.floor(address / this.lineSize) * this.lineSize;
     }
 
+    /**
+     * Set an address maps to, from its line index.
+     */
+    getSetIndex(address) {
+        return Math.floor(address / this.lineSize) % this.numSets;
+    }
+
+    /**
+     * Place a line into its set, evicting a victim if the set is full.
+     * @param {number} setIndex - Set to fill
+     * @param {number} lineAddr - Line address to place
+     * @param {boolean} prefetched - Flag the line as prefetched and not yet used
+     * @returns {{ way: number, writeback: number | null, evicted: number | null }} - way
+     *          filled, the address of a dirty victim that must be written back, and
+     *          the victim's address whether dirty or clean
+     */
+    fill(setIndex, lineAddr, prefetched = false) {
+        const set = this.sets[setIndex];
+        let way = this.freeWays[setIndex].pop();
+        let writeback = null;
+        let evicted = null;
+
+        if (way === undefined) {
+            way = this.policy.victim(setIndex, set);
+            evicted = set[way];
+            this.wayOf.delete(evicted);
+            if (this.dirty[setIndex][way]) {
+                writeback = set[way];
+                this.writebacks++;
+                this.writeTrafficBytes += this.lineSize;
+            }
+            if (this.prefetched[setIndex][way]) {
+                this.uselessPrefetches++;
+            }
+        }
+
+        set[way] = lineAddr;
+        this.wayOf.set(lineAddr, way);
+        this.dirty[setIndex][way] = false;
+        this.prefetched[setIndex][way] = prefetched;
+        this.policy.insert(setIndex, way);
+        return { way, writeback, evicted };
+    }
+
+    /**
+     * Apply a store to a resident line.
+     * @returns {boolean} - true if the store is forwarded to the next level
+     */
+    write(setIndex, way, size) {
+        if (this.writePolicy === 'write-through') {
+            this.writeTrafficBytes += size;
+            return true;
+        }
+        this.dirty[setIndex][way] = true;
+        return false;
+    }
+
     /**
      * Access an address in the cache.
      * @param {number} address - Memory address to access
-     * @returns {{ hit: boolean, level: number | null }} - hit indicates cache hit/miss,
-     *          level is this cache's level if hit, null if miss
+     * @param {string} type - 'read', 'write' or 'readwrite'
+     * @param {number} size - Bytes stored by a write, for write-through traffic
+     * @returns {{ hit: boolean, level: number | null, writeback: number | null,
+     *            evicted: number | null, writeThrough: boolean, prefetchHit: boolean }}
+     *          - hit indicates cache hit/miss, level is this cache's level if hit, null if miss;
+     *          writeback is a dirty line evicted by this access, evicted is any line it
+     *          evicted, writeThrough is set when the store must also be sent to the next
+     *          level, prefetchHit marks the first use of a prefetched line
      */
-    access(address) {
+    access(address, type = 'read', size = 4) {
         this.totalAccesses++;
         const lineAddr = this.getLineAddress(address);
-        const index = this.lines.indexOf(lineAddr);
+        const setIndex = this.getSetIndex(address);
+        const isWrite = type !== 'read';
+        this.policy.observe(setIndex, lineAddr);
+        const way = this.findWay(lineAddr);
 
-        if (index !== -1) {
-            this.lines.splice(index, 1);
-            this.lines.push(lineAddr);
+        if (way !== -1) {
+            this.policy.touch(setIndex, way);
             this.hits++;
-            return { hit: true, level: this.level };
-        } else {
-            this.misses++;
-            if (this.lines.length >= this.maxLines) {
-                this.lines.shift();
+            const prefetchHit = this.prefetched[setIndex][way];
+            if (prefetchHit) {
+                this.prefetched[setIndex][way] = false;
+                this.usefulPrefetches++;
             }
-            this.lines.push(lineAddr);
-            return { hit: false, level: null };
+            const writeThrough = isWrite ? this.write(setIndex, way, size) : false;
+            return { hit: true, level: this.level, writeback: null, evicted: null, writeThrough, prefetchHit };
+        }
+
+        this.misses++;
+        if (type === 'write' && !this.writeAllocate) {
+            this.writeTrafficBytes += size;
+            return { hit: false, level: null, writeback: null, evicted: null, writeThrough: true, prefetchHit: false };
+        }
+
+        const filled = this.fill(setIndex, lineAddr);
+        const writeThrough = isWrite ? this.write(setIndex, filled.way, size) : false;
+        return {
+            hit: false, level: null, writeback: filled.writeback, evicted: filled.evicted,
+            writeThrough, prefetchHit: false
+        };
+    }
+
+    /**
+     * Demand lookup that does not fill on a miss. Used for levels that only
+     * receive lines evicted from above (exclusive hierarchies, victim caches).
+     * @param {number} address - Memory address to look up
+     * @returns {{ hit: boolean, level: number | null }}
+     */
+    lookup(address) {
+        this.totalAccesses++;
+        const lineAddr = this.getLineAddress(address);
+        const setIndex = this.getSetIndex(address);
+        this.policy.observe(setIndex, lineAddr);
+        const way = this.findWay(lineAddr);
+
+        if (way !== -1) {
+            this.policy.touch(setIndex, way);
+            this.hits++;
+            return { hit: true, level: this.level };
+        }
+        this.misses++;
+        return { hit: false, level: null };
+    }
+
+    /**
+     * Bring a line in without a demand access: no access is counted and the
+     * replacement policy does not observe it.
+     * @param {number} address - Address whose line to install
+     * @param {Object} options
+     * @param {boolean} options.prefetched - Flag the line as prefetched
+     * @param {boolean} options.dirty - Install the line dirty (a dirty victim moved down)
+     * @returns {{ installed: boolean, writeback: number | null, evicted: number | null }}
+     *          - installed is false if the line was already resident
+     */
+    install(address, { prefetched = false, dirty = false } = {}) {
+        const lineAddr = this.getLineAddress(address);
+        const setIndex = this.getSetIndex(address);
+        const way = this.findWay(lineAddr);
+        if (way !== -1) {
+            this.dirty[setIndex][way] = this.dirty[setIndex][way] || dirty;
+            return { installed: false, writeback: null, evicted: null };
+        }
+        const filled = this.fill(setIndex, lineAddr, prefetched);
+        this.dirty[setIndex][filled.way] = dirty;
+        return { installed: true, writeback: filled.writeback, evicted: filled.evicted };
+    }
+
+    /**
+     * Remove a line without writing it back; the caller decides where a
+     * dirty copy goes.
+     * @param {number} address - Address whose line to remove
+     * @returns {{ present: boolean, dirty: boolean }}
+     */
+    invalidate(address) {
+        const lineAddr = this.getLineAddress(address);
+        const setIndex = this.getSetIndex(address);
+        const way = this.findWay(lineAddr);
+        if (way === -1) {
+            return { present: false, dirty: false };
+        }
+
+        const dirty = this.dirty[setIndex][way];
+        if (this.prefetched[setIndex][way]) {
+            this.uselessPrefetches++;
         }
+        this.sets[setIndex][way] = null;
+        this.dirty[setIndex][way] = false;
+        this.prefetched[setIndex][way] = false;
+        this.wayOf.delete(lineAddr);
+        this.freeWays[setIndex].push(way);
+        return { present: true, dirty };
+    }
+
+    /**
+     * Mark a resident line dirty, e.g. when it arrives from a level that held
+     * it dirty.
+     */
+    markDirty(address) {
+        const way = this.findWay(this.getLineAddress(address));
+        if (way !== -1) {
+            this.dirty[this.getSetIndex(address)][way] = true;
+        }
+    }
+
+    /**
+     * Issue a prefetch for an address.
+     * @param {number} address - Address to prefetch
+     * @returns {{ installed: boolean, writeback: number | null, evicted: number | null }}
+     */
+    prefetch(address) {
+        const result = this.install(address, { prefetched: true });
+        if (result.installed) {
+            this.prefetchesIssued++;
+        }
+        return result;
+    }
+
+    /**
+     * Accept a store coming from the level above (a writeback or a
+     * write-through). Not counted as a demand access.
+     * @param {number} address - Address written
+     * @param {number} size - Bytes written
+     * @returns {{ writeback: number | null, evicted: number | null, writeThrough: boolean }}
+     *          - writes to pass on, and any line evicted to make room
+     */
+    receiveWrite(address, size) {
+        const lineAddr = this.getLineAddress(address);
+        const setIndex = this.getSetIndex(address);
+        const way = this.findWay(lineAddr);
+
+        if (way !== -1) {
+            return { writeback: null, evicted: null, writeThrough: this.write(setIndex, way, size) };
+        }
+        if (!this.writeAllocate) {
+            this.writeTrafficBytes += size;
+            return { writeback: null, evicted: null, writeThrough: true };
+        }
+
+        const filled = this.fill(setIndex, lineAddr);
+        return {
+            writeback: filled.writeback, evicted: filled.evicted,
+            writeThrough: this.write(setIndex, filled.way, size)
+        };
     }
 
     /**
@@ -58,30 +359,111 @@ export class CacheSimulator {
      * @returns {number | null} - This cache's level if cached, null if not
      */
     isAddressCached(address) {
+        return this.wayOf.has(this.getLineAddress(address)) ? this.level : null;
+    }
+
+    /**
+     * Bulk residency query for renderers.
+     * @returns {Map<number, number>} - Resident line address -> this cache's level
+     */
+    getResidentLines() {
+        const resident = new Map();
+        for (const lineAddr of this.wayOf.keys()) {
+            resident.set(lineAddr, this.level);
+        }
+        return resident;
+    }
+
+    /**
+     * Line addresses that were prefetched and not used yet.
+     * @returns {Set<number>}
+     */
+    getPrefetchedLines() {
+        const lines = new Set();
+        for (const [lineAddr, way] of this.wayOf) {
+            if (this.prefetched[this.getSetIndex(lineAddr)][way]) {
+                lines.add(lineAddr);
+            }
+        }
+        return lines;
+    }
+
+    /**
+     * Check if the line holding an address is dirty.
+     */
+    isAddressDirty(address) {
         const lineAddr = this.getLineAddress(address);
-        return this.lines.includes(lineAddr) ? this.level : null;
+        const setIndex = this.getSetIndex(address);
+        const way = this.findWay(lineAddr);
+        return way !== -1 && this.dirty[setIndex][way];
+    }
+
+    /**
+     * Check if the line holding an address was prefetched and not yet used.
+     */
+    isAddressPrefetched(address) {
+        const lineAddr = this.getLineAddress(address);
+        const setIndex = this.getSetIndex(address);
+        const way = this.findWay(lineAddr);
+        return way !== -1 && this.prefetched[setIndex][way];
     }
 
     reset() {
-        this.lines = [];
+        this.sets = this.createSets();
+        this.dirty = this.createDirtyBits();
+        this.prefetched = this.createDirtyBits();
+        this.rebuildIndex();
+        this.policy.reset();
         this.totalAccesses = 0;
         this.hits = 0;
         this.misses = 0;
+        this.writebacks = 0;
+        this.writeTrafficBytes = 0;
+        this.prefetchesIssued = 0;
+        this.usefulPrefetches = 0;
+        this.uselessPrefetches = 0;
     }
 
     snapshot() {
         return {
-            lines: [...this.lines],
+            sets: this.sets.map(set => [...set]),
+            dirty: this.dirty.map(bits => [...bits]),
+            prefetched: this.prefetched.map(bits => [...bits]),
+            policy: this.policy.snapshot(),
             totalAccesses: this.totalAccesses,
             hits: this.hits,
-            misses: this.misses
+            misses: this.misses,
+            writebacks: this.writebacks,
+            writeTrafficBytes: this.writeTrafficBytes,
+            prefetchesIssued: this.prefetchesIssued,
+            usefulPrefetches: this.usefulPrefetches,
+            uselessPrefetches: this.uselessPrefetches
         };
     }
 
+    /**
+     * Restore a snapshot. Snapshots of the earlier fully associative LRU
+     * cache list their clean lines, least recently used first, and only the
+     * access counters; their lines are filled back in that order.
+     */
     restore(snap) {
-        this.lines = [...snap.lines];
+        if (snap.sets) {
+            this.sets = snap.sets.map(set => [...set]);
+            this.dirty = snap.dirty.map(bits => [...bits]);
+            this.prefetched = snap.prefetched.map(bits => [...bits]);
+            this.rebuildIndex();
+            this.policy.restore(snap.policy);
+        } else {
+            this.reset();
+            snap.lines.forEach(lineAddr => this.fill(this.getSetIndex(lineAddr), lineAddr));
+        }
         this.totalAccesses = snap.totalAccesses;
         this.hits = snap.hits;
         this.misses = snap.misses;
+        this.writebacks = snap.writebacks || 0;
+        this.writeTrafficBytes = snap.writeTrafficBytes || 0;
+        this.prefetchesIssued = snap.prefetchesIssued || 0;
+        this.usefulPrefetches = snap.usefulPrefetches || 0;
+        this.uselessPrefetches = snap.uselessPrefetches || 0;
     }
 }
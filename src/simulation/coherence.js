@@ -0,0 +1,316 @@
+/**
+ * Multi-core cache coherence (MESI)
+ *
+ * Each core has a private CacheSimulator; an optional shared last-level cache
+ * sits behind them. The private caches only model residency and replacement,
+ * and must be write-back, write-allocate, as MESI assumes: a write fills the
+ * line and dirties it (M) until it is written back. The MESI state of every
+ * private line is tracked here:
+ *   M (modified)  - only copy, dirty
+ *   E (exclusive) - only copy, clean
+ *   S (shared)    - clean, other cores may hold it
+ *   (absent)      - invalid
+ *
+ * A read miss takes the line from a peer if one holds it (downgrading the
+ * peers to S, an M peer writing back first), otherwise from the shared cache
+ * or memory. A write needs ownership: every peer copy is invalidated and the
+ * writer's copy becomes M. An invalidation is counted as false sharing when
+ * the invalidated core never touched the word being written, only its line.
+ *
+ * Misses on a line this core lost to a peer's write are coherence misses.
+ * Misses a peer serves are peer transfers: neither cache hits nor memory reads.
+ */
+
+export class CoherentSystem {
+    /**
+     * @param {CacheSimulator[]} cores - One private cache per core
+     * @param {CacheSimulator | null} sharedCache - Shared last-level cache
+     */
+    constructor(cores, sharedCache = null) {
+        if (cores.length === 0) {
+            throw new Error('A coherent system needs at least one core');
+        }
+        if (cores.some(cache => cache.writePolicy !== 'write-back' || !cache.writeAllocate)) {
+            throw new Error('Private caches of a coherent system must be write-back, write-allocate');
+        }
+        this.cores = cores;
+        this.sharedCache = sharedCache;
+        this.lineSize = cores[0].lineSize;
+        this.resetCoherence();
+    }
+
+    resetCoherence() {
+        this.states = this.cores.map(() => new Map());
+        this.touched = this.cores.map(() => new Map());
+        this.lostLines = this.cores.map(() => new Set());
+        this.invalidations = 0;
+        this.falseSharing = 0;
+        this.coherenceMisses = 0;
+        this.peerTransfers = 0;
+        this.writebacks = 0;
+        this.writebackBytes = 0;
+        this.memoryReads = 0;
+    }
+
+    get totalAccesses() {
+        return this.cores.reduce((sum, cache) => sum + cache.totalAccesses, 0);
+    }
+
+    /**
+     * Accesses served by a private cache or the shared cache.
+     */
+    get hits() {
+        const privateHits = this.cores.reduce((sum, cache) => sum + cache.hits, 0);
+        return privateHits + (this.sharedCache ? this.sharedCache.hits : 0);
+    }
+
+    get misses() {
+        return this.totalAccesses - this.hits;
+    }
+
+    /**
+     * Number of cache levels: private caches, plus the shared cache if any.
+     */
+    get levelCount() {
+        return this.sharedCache ? 2 : 1;
+    }
+
+    /**
+     * Bytes written to memory: what leaves the shared cache, or the private
+     * caches' writebacks when there is none.
+     */
+    get memoryWriteBytes() {
+        return this.sharedCache ? this.sharedCache.writeTrafficBytes : this.writebackBytes;
+    }
+
+    /**
+     * Bytes fetched from memory: lines no peer or shared cache could supply.
+     */
+    get memoryReadBytes() {
+        return this.memoryReads * this.lineSize;
+    }
+
+    getLineAddress(address) {
+        return this.cores[0].getLineAddress(address);
+    }
+
+    /**
+     * Cores other than `core` holding a line.
+     */
+    peersHolding(lineAddr, core) {
+        const peers = [];
+        this.states.forEach((states, peer) => {
+            if (peer !== core && states.has(lineAddr)) {
+                peers.push(peer);
+            }
+        });
+        return peers;
+    }
+
+    /**
+     * Access an address from one core.
+     * @param {number} address - Memory address to access
+     * @param {string} type - 'read', 'write' or 'readwrite'
+     * @param {number} size - Bytes accessed (unused; lines are tracked whole)
+     * @param {number} core - Core issuing the access
+     * @returns {{ hit: boolean, level: number | null, prefetchHit: boolean, coherenceMiss: boolean, peer: boolean }}
+     *          - level 1 for a private hit, 2 for a shared-cache hit, null
+     *          otherwise; peer when a peer's copy served the miss
+     */
+    access(address, type = 'read', size = 4, core = 0) {
+        const cache = this.cores[core];
+        const states = this.states[core];
+        const lineAddr = cache.getLineAddress(address);
+        const offset = address - lineAddr;
+        const isWrite = type !== 'read';
+
+        const result = cache.access(address, 'read');
+        if (result.evicted !== null) {
+            this.evict(core, result.evicted);
+        }
+
+        let level = result.hit ? cache.level : null;
+        let coherenceMiss = false;
+        let peer = false;
+
+        if (!result.hit) {
+            coherenceMiss = this.lostLines[core].delete(lineAddr);
+            if (coherenceMiss) {
+                this.coherenceMisses++;
+            }
+
+            const peers = this.peersHolding(lineAddr, core);
+            if (peers.length > 0) {
+                peer = true;
+                this.peerTransfers++;
+                if (!isWrite) {
+                    peers.forEach(peer => this.downgrade(peer, lineAddr));
+                }
+            } else if (this.sharedCache && this.sharedCache.access(address, 'read').hit) {
+                level = this.sharedCache.level;
+            } else {
+                this.memoryReads++;
+            }
+            states.set(lineAddr, peer ? 'S' : 'E');
+        }
+
+        if (isWrite && states.get(lineAddr) !== 'M') {
+            this.peersHolding(lineAddr, core).forEach(peer => this.invalidate(peer, lineAddr, offset));
+            states.set(lineAddr, 'M');
+        }
+
+        if (!this.touched[core].has(lineAddr)) {
+            this.touched[core].set(lineAddr, new Set());
+        }
+        this.touched[core].get(lineAddr).add(offset);
+
+        return { hit: level !== null, level, prefetchHit: false, coherenceMiss, peer };
+    }
+
+    /**
+     * A peer's copy goes to S; a modified copy is written back first.
+     */
+    downgrade(peer, lineAddr) {
+        if (this.states[peer].get(lineAddr) === 'M') {
+            this.writeBack(lineAddr);
+        }
+        this.states[peer].set(lineAddr, 'S');
+    }
+
+    /**
+     * Remove a peer's copy for a write at `offset`. A modified copy moves
+     * with ownership, so it is not written back.
+     */
+    invalidate(peer, lineAddr, offset) {
+        const touched = this.touched[peer].get(lineAddr);
+        if (!touched || !touched.has(offset)) {
+            this.falseSharing++;
+        }
+        this.invalidations++;
+        this.cores[peer].invalidate(lineAddr);
+        this.states[peer].delete(lineAddr);
+        this.touched[peer].delete(lineAddr);
+        this.lostLines[peer].add(lineAddr);
+    }
+
+    /**
+     * A private cache evicted a line: drop its state, writing back an M copy.
+     */
+    evict(core, lineAddr) {
+        if (this.states[core].get(lineAddr) === 'M') {
+            this.writeBack(lineAddr);
+        }
+        this.states[core].delete(lineAddr);
+        this.touched[core].delete(lineAddr);
+    }
+
+    writeBack(lineAddr) {
+        this.writebacks++;
+        if (this.sharedCache) {
+            this.sharedCache.receiveWrite(lineAddr, this.lineSize);
+        } else {
+            this.writebackBytes += this.lineSize;
+        }
+    }
+
+    /**
+     * MESI state of a line in one core's cache ('M', 'E', 'S'), or null if invalid.
+     */
+    getLineState(core, address) {
+        const state = this.states[core].get(this.getLineAddress(address));
+        return state === undefined ? null : state;
+    }
+
+    /**
+     * Check the closest level holding an address.
+     * @returns {number | null} - 1 if any core holds the line, 2 if only the shared cache does
+     */
+    isAddressCached(address) {
+        const lineAddr = this.getLineAddress(address);
+        if (this.states.some(states => states.has(lineAddr))) {
+            return this.cores[0].level;
+        }
+        return this.sharedCache ? this.sharedCache.isAddressCached(address) : null;
+    }
+
+    isAddressPrefetched() {
+        return false;
+    }
+
+    /**
+     * Bulk residency query for renderers.
+     * @returns {Map<number, number>} - Resident line address -> innermost level holding it
+     */
+    getResidentLines() {
+        const resident = this.sharedCache ? this.sharedCache.getResidentLines() : new Map();
+        for (const cache of this.cores) {
+            for (const [lineAddr, level] of cache.getResidentLines()) {
+                resident.set(lineAddr, level);
+            }
+        }
+        return resident;
+    }
+
+    getPrefetchedLines() {
+        return new Set();
+    }
+
+    /**
+     * Which core holds each privately cached line.
+     * @returns {Map<number, number | string>} - Line address -> core index, or
+     *          'shared' when more than one core holds it
+     */
+    getLineOwners() {
+        const owners = new Map();
+        this.states.forEach((states, core) => {
+            for (const lineAddr of states.keys()) {
+                owners.set(lineAddr, owners.has(lineAddr) ? 'shared' : core);
+            }
+        });
+        return owners;
+    }
+
+    reset() {
+        this.cores.forEach(cache => cache.reset());
+        if (this.sharedCache) {
+            this.sharedCache.reset();
+        }
+        this.resetCoherence();
+    }
+
+    snapshot() {
+        return {
+            cores: this.cores.map(cache => cache.snapshot()),
+            sharedCache: this.sharedCache ? this.sharedCache.snapshot() : null,
+            states: this.states.map(states => [...states]),
+            touched: this.touched.map(touched => [...touched].map(([lineAddr, offsets]) => [lineAddr, [...offsets]])),
+            lostLines: this.lostLines.map(lines => [...lines]),
+            invalidations: this.invalidations,
+            falseSharing: this.falseSharing,
+            coherenceMisses: this.coherenceMisses,
+            peerTransfers: this.peerTransfers,
+            writebacks: this.writebacks,
+            writebackBytes: this.writebackBytes,
+            memoryReads: this.memoryReads
+        };
+    }
+
+    restore(snap) {
+        this.cores.forEach((cache, idx) => cache.restore(snap.cores[idx]));
+        if (this.sharedCache) {
+            this.sharedCache.restore(snap.sharedCache);
+        }
+        this.states = snap.states.map(states => new Map(states));
+        this.touched = snap.touched.map(touched =>
+            new Map(touched.map(([lineAddr, offsets]) => [lineAddr, new Set(offsets)]))
+        );
+        this.lostLines = snap.lostLines.map(lines => new Set(lines));
+        this.invalidations = snap.invalidations;
+        this.falseSharing = snap.falseSharing;
+        this.coherenceMisses = snap.coherenceMisses;
+        this.peerTransfers = snap.peerTransfers;
+        this.writebacks = snap.writebacks;
+        this.writebackBytes = snap.writebackBytes;
+        this.memoryReads = snap.memoryReads;
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * Latency and bandwidth cost model
+ *
+ * Turns the level that served each access into estimated cycles:
+ *   cache hit     - the hit latency of that level
+ *   peer transfer - the latency of taking the line from another core's cache
+ *   memory access - the memory latency
+ *
+ * Accesses are costed one after another with no overlap (no memory-level
+ * parallelism), so their sum is a serial, latency-bound estimate. The
+ * memory bus is a throughput bound on top of it: the run cannot finish
+ * before every byte read from and written to memory has crossed the bus,
+ * so the total is the larger of the two. Average memory access time (AMAT)
+ * is cycles per access; achieved bandwidth is the bytes the program touched
+ * divided by the estimated time at the given clock.
+ */
+
+export const DEFAULT_LEVEL_LATENCIES = { 1: 4, 2: 12, 3: 40 };
+
+export class CostModel {
+    /**
+     * @param {Object} options - Model parameters
+     * @param {Object} options.levelLatencies - Hit latency in cycles per cache level number
+     * @param {number} options.memoryLatency - Cycles until a line arrives from memory
+     * @param {number} options.peerLatency - Cycles until a line arrives from another core's cache
+     * @param {number} options.bytesPerCycle - Memory bandwidth limit
+     * @param {number} options.clockGHz - Clock used to convert cycles to time
+     */
+    constructor(options = {}) {
+        const {
+            levelLatencies = DEFAULT_LEVEL_LATENCIES,
+            memoryLatency = 200,
+            peerLatency = 60,
+            bytesPerCycle = 16,
+            clockGHz = 3
+        } = options;
+
+        this.levelLatencies = levelLatencies;
+        this.memoryLatency = memoryLatency;
+        this.peerLatency = peerLatency;
+        this.bytesPerCycle = bytesPerCycle;
+        this.clockGHz = clockGHz;
+    }
+
+    /**
+     * Estimated latency of one access.
+     * @param {number | null} level - Cache level that served it, null for memory
+     * @param {boolean} peer - A peer core's cache served it (level is null)
+     * @returns {number}
+     */
+    accessCycles(level, peer = false) {
+        if (peer) {
+            return this.peerLatency;
+        }
+        if (level === null) {
+            return this.memoryLatency;
+        }
+        const latency = this.levelLatencies[level];
+        if (latency === undefined) {
+            throw new Error(`No latency configured for cache level ${level}`);
+        }
+        return latency;
+    }
+
+    /**
+     * Estimated run time: the serial latency, or the time the memory traffic
+     * needs at the configured bandwidth if that is longer.
+     * @param {number} latencyCycles - Sum of accessCycles over the accesses
+     * @param {number} memoryBytes - Bytes read from and written to memory
+     * @returns {number}
+     */
+    totalCycles(latencyCycles, memoryBytes) {
+        return Math.max(latencyCycles, memoryBytes / this.bytesPerCycle);
+    }
+
+    /**
+     * Average memory access time in cycles.
+     */
+    amat(cycles, accesses) {
+        return accesses > 0 ? cycles / accesses : 0;
+    }
+
+    /**
+     * Bytes accessed per second, in GB/s, over the estimated time.
+     */
+    achievedGBps(bytes, cycles) {
+        return cycles > 0 ? bytes * this.clockGHz / cycles : 0;
+    }
+}
@@ -0,0 +1,98 @@
+/**
+ * Space-filling curves
+ *
+ * A space-filling curve visits every point of a 2^n × 2^n grid so that
+ * points close on the curve are close in the grid, at every scale at once.
+ * Walking an output plane along one gives cache-oblivious locality: each
+ * aligned block of the curve is a square tile, whatever the cache size.
+ *
+ * Morton (Z-order) interleaves the bits of the row and column. Hilbert also
+ * rotates and reflects each quadrant, so consecutive points are always grid
+ * neighbors.
+ *
+ * Grids that are not a power-of-two square are covered by the enclosing
+ * power-of-two square, skipping points outside.
+ */
+
+export const SPACE_FILLING_CURVES = [
+    { value: 'morton', label: 'Morton (Z-order)' },
+    { value: 'hilbert', label: 'Hilbert' }
+];
+
+/**
+ * Whether a loop order name is a space-filling curve.
+ */
+export function isSpaceFillingCurve(name) {
+    return SPACE_FILLING_CURVES.some(curve => curve.value === name);
+}
+
+/**
+ * Point of a Morton index: the column takes the even bits, the row the odd
+ * bits, so each 2×2 block is walked in a Z.
+ * @returns {{ row: number, col: number }}
+ */
+export function mortonPoint(index) {
+    let row = 0;
+    let col = 0;
+    for (let bit = 0; index > 0; bit++) {
+        col |= (index & 1) << bit;
+        row |= ((index >> 1) & 1) << bit;
+        index >>= 2;
+    }
+    return { row, col };
+}
+
+/**
+ * Point of a Hilbert index on a side × side grid (side a power of two).
+ * @returns {{ row: number, col: number }}
+ */
+export function hilbertPoint(index, side) {
+    let x = 0;
+    let y = 0;
+    let d = index;
+    for (let s = 1; s < side; s *= 2) {
+        const rx = 1 & (d >> 1);
+        const ry = 1 & (d ^ rx);
+        // Rotate the quadrant so the sub-curves join up
+        if (ry === 0) {
+            if (rx === 1) {
+                x = s - 1 - x;
+                y = s - 1 - y;
+            }
+            [x, y] = [y, x];
+        }
+        x += s * rx;
+        y += s * ry;
+        d >>= 2;
+    }
+    return { row: y, col: x };
+}
+
+/**
+ * Side of the power-of-two square covering a rows × cols grid.
+ */
+export function getCurveSide(rows, cols) {
+    let side = 1;
+    while (side < rows || side < cols) side *= 2;
+    return side;
+}
+
+/**
+ * Points of a rows × cols grid in curve order.
+ * @param {string} curve - 'morton' or 'hilbert'
+ * @returns {Array<{ row: number, col: number }>}
+ */
+export function getCurvePoints(curve, rows, cols) {
+    if (!isSpaceFillingCurve(curve)) {
+        throw new Error(`Unknown space-filling curve: ${curve}`);
+    }
+    const side = getCurveSide(rows, cols);
+    const points = [];
+    for (let index = 0; index < side * side; index++) {
+        const point = curve === 'morton' ? mortonPoint(index) : hilbertPoint(index, side);
+        if (point.row < rows && point.col < cols) {
+            points.push(point);
+        }
+    }
+    return points;
+}
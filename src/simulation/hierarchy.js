@@ -0,0 +1,423 @@
+/**
+ * Multi-level cache hierarchy
+ *
+ * Chains CacheSimulator levels from L1 outwards. An access probes L1 first;
+ * each miss is forwarded to the next level. Exposes the same interface as a
+ * single CacheSimulator so renderers and handlers can use either.
+ *
+ * The inclusion policy decides which levels keep a copy of a line:
+ *   nine      - non-inclusive non-exclusive: every level that missed fills the
+ *               line, and evictions in one level do not affect the others
+ *   inclusive - as NINE, but a line evicted from a lower level is
+ *               back-invalidated from every level above it
+ *   exclusive - a line lives in exactly one level: misses fill only L1, a hit
+ *               in a lower level moves the line up, and every line evicted
+ *               from a level is moved into the level below (victim store)
+ *
+ * An optional victim cache sits behind L1 and catches the lines L1 evicts;
+ * a hit there swaps the line back into L1 and counts as an L1-side hit.
+ *
+ * Stores only reach the next level as writebacks of dirty victims or as
+ * write-through traffic; whatever leaves the last level is memory traffic.
+ * Without write-allocate a store miss that no lower level holds goes to
+ * memory without touching the lower levels, so it is counted as a memory
+ * miss here rather than by the last level.
+ *
+ * Prefetches are issued into L1 and fetched through the levels below it like
+ * a demand miss, but only L1 tracks whether they were useful. They count no
+ * miss, so those that no level held are counted here as memory reads.
+ */
+
+export const INCLUSION_POLICIES = [
+    { value: 'nine', label: 'NINE' },
+    { value: 'inclusive', label: 'Inclusive' },
+    { value: 'exclusive', label: 'Exclusive' }
+];
+
+export class CacheHierarchy {
+    /**
+     * @param {CacheSimulator[]} levels - Caches ordered from L1 outwards
+     * @param {Object} options - Hierarchy options
+     * @param {string} options.inclusion - One of INCLUSION_POLICIES values (default 'nine')
+     * @param {CacheSimulator} options.victimCache - Small fully associative cache behind L1
+     */
+    constructor(levels, options = {}) {
+        const { inclusion = 'nine', victimCache = null } = options;
+
+        if (levels.length === 0) {
+            throw new Error('A cache hierarchy needs at least one level');
+        }
+        if (!INCLUSION_POLICIES.some(policy => policy.value === inclusion)) {
+            throw new Error(`Unknown inclusion policy: ${inclusion}`);
+        }
+        this.levels = levels;
+        this.lineSize = levels[0].lineSize;
+        this.inclusion = inclusion;
+        this.victimCache = victimCache;
+        this.backInvalidations = 0;
+        this.storeMisses = 0;
+        this.prefetchFills = 0;
+    }
+
+    get totalAccesses() {
+        return this.levels[0].totalAccesses;
+    }
+
+    /**
+     * Accesses served by any cache level or the victim cache.
+     */
+    get hits() {
+        return this.levels.reduce((sum, cache) => sum + cache.hits, 0) + this.victimHits;
+    }
+
+    /**
+     * Accesses that missed every level and went to memory: line fetches by
+     * the last level plus non-allocating store misses.
+     */
+    get misses() {
+        return this.lastLevel.misses + this.storeMisses;
+    }
+
+    /**
+     * Number of cache levels (the victim cache counts as part of L1).
+     */
+    get levelCount() {
+        return this.levels.length;
+    }
+
+    get lastLevel() {
+        return this.levels[this.levels.length - 1];
+    }
+
+    /**
+     * L1 misses caught by the victim cache.
+     */
+    get victimHits() {
+        return this.victimCache ? this.victimCache.hits : 0;
+    }
+
+    /**
+     * Dirty lines written back, summed over all levels.
+     */
+    get writebacks() {
+        return this.levels.reduce((sum, cache) => sum + cache.writebacks, 0);
+    }
+
+    /**
+     * Bytes written to memory by the last level.
+     */
+    get memoryWriteBytes() {
+        return this.lastLevel.writeTrafficBytes;
+    }
+
+    /**
+     * Bytes fetched from memory: the last level's misses and the prefetches
+     * no level held.
+     */
+    get memoryReadBytes() {
+        return (this.lastLevel.misses + this.prefetchFills) * this.lastLevel.lineSize;
+    }
+
+    get prefetchesIssued() {
+        return this.levels[0].prefetchesIssued;
+    }
+
+    get usefulPrefetches() {
+        return this.levels[0].usefulPrefetches;
+    }
+
+    get uselessPrefetches() {
+        return this.levels[0].uselessPrefetches;
+    }
+
+    getLineAddress(address) {
+        return this.levels[0].getLineAddress(address);
+    }
+
+    /**
+     * Access an address, forwarding misses down the chain.
+     * Lower levels see line fetches (reads); the store itself stays in the
+     * level that holds the line unless it is written through.
+     * @param {number} address - Memory address to access
+     * @param {string} type - 'read', 'write' or 'readwrite'
+     * @param {number} size - Bytes stored by a write
+     * @returns {{ hit: boolean, level: number | null, prefetchHit: boolean }} - level
+     *          that served the access, null if it came from memory; prefetchHit marks
+     *          the first use of a line prefetched into L1
+     */
+    access(address, type = 'read', size = 4) {
+        const l1 = this.levels[0];
+        const first = l1.access(address, type, size);
+        const results = [];
+        let servedBy = first.hit ? first.level : null;
+
+        // Without write-allocate a store miss is not fetched; it is only written through
+        const fetch = !first.hit && !(type === 'write' && !l1.writeAllocate);
+        // A single level already counts the store miss as its own
+        if (!first.hit && !fetch && this.levels.length > 1
+            && this.levels.every((cache, idx) => idx === 0 || cache.isAddressCached(address) === null)) {
+            this.storeMisses++;
+        }
+
+        if (fetch && this.victimCache && this.victimCache.lookup(address).hit) {
+            this.takeLine(this.victimCache, address);
+            servedBy = l1.level;
+        }
+
+        for (let idx = 1; fetch && servedBy === null && idx < this.levels.length; idx++) {
+            const cache = this.levels[idx];
+            if (this.inclusion === 'exclusive') {
+                if (cache.lookup(address).hit) {
+                    this.takeLine(cache, address);
+                    servedBy = cache.level;
+                }
+                continue;
+            }
+
+            const result = cache.access(address, 'read', size);
+            results[idx] = result;
+            if (result.hit) {
+                servedBy = result.level;
+            }
+        }
+
+        // Victims and writes go down only once the line fetch has completed
+        this.placeVictim(first);
+        if (first.writeThrough) {
+            this.sendWrite(1, address, size);
+        }
+        results.forEach((result, idx) => this.settle(idx, result, address, size));
+
+        return servedBy !== null
+            ? { hit: true, level: servedBy, prefetchHit: first.prefetchHit }
+            : { hit: false, level: null, prefetchHit: first.prefetchHit };
+    }
+
+    /**
+     * Prefetch a line into L1, fetching it into every lower level that does
+     * not already hold it (or, when exclusive, moving it up from the level
+     * that does).
+     * @param {number} address - Address to prefetch
+     * @returns {boolean} - false if L1 already held the line
+     */
+    prefetch(address) {
+        const first = this.levels[0].prefetch(address);
+        if (!first.installed) return false;
+
+        const results = [];
+        let fromMemory = !(this.victimCache !== null && this.takeLine(this.victimCache, address));
+
+        for (let idx = 1; fromMemory && idx < this.levels.length; idx++) {
+            const cache = this.levels[idx];
+            if (this.inclusion === 'exclusive') {
+                fromMemory = !this.takeLine(cache, address);
+                continue;
+            }
+            if (cache.isAddressCached(address) !== null) {
+                fromMemory = false;
+                continue;
+            }
+            results[idx] = cache.install(address);
+        }
+        if (fromMemory) {
+            this.prefetchFills++;
+        }
+
+        this.placeVictim(first);
+        results.forEach((result, idx) => this.settle(idx, result, address, 0));
+        return true;
+    }
+
+    /**
+     * Move a line from a lower cache (or the victim cache) up into L1,
+     * carrying its dirty state along.
+     * @returns {boolean} - Whether the cache held the line
+     */
+    takeLine(cache, address) {
+        const moved = cache.invalidate(address);
+        if (moved.dirty) {
+            this.levels[0].markDirty(address);
+        }
+        return moved.present;
+    }
+
+    /**
+     * Send the line L1 evicted on its way: into the victim cache if there is
+     * one, otherwise down the hierarchy.
+     */
+    placeVictim(result) {
+        if (result.evicted === null) return;
+
+        const dirty = result.writeback !== null;
+        if (this.victimCache) {
+            const spilled = this.victimCache.install(result.evicted, { dirty });
+            if (spilled.evicted !== null) {
+                this.demote(1, spilled.evicted, spilled.writeback !== null);
+            }
+            return;
+        }
+        this.demote(1, result.evicted, dirty);
+    }
+
+    /**
+     * Hand a line evicted from above to level idx. Exclusive levels take every
+     * victim; otherwise only dirty victims are written back.
+     */
+    demote(idx, lineAddr, dirty) {
+        if (this.inclusion !== 'exclusive') {
+            if (dirty) {
+                this.sendWrite(idx, lineAddr, this.lineSize);
+            }
+            return;
+        }
+        // Past the last level a dirty victim is memory traffic, already counted by its cache
+        if (idx >= this.levels.length) return;
+
+        const result = this.levels[idx].install(lineAddr, { dirty });
+        if (result.evicted !== null) {
+            this.demote(idx + 1, result.evicted, result.writeback !== null);
+        }
+    }
+
+    /**
+     * Deliver a store (a writeback or write-through) to level idx.
+     * Exclusive levels never duplicate a line held above them, so there the
+     * store goes to the first level that holds the line, or to memory.
+     */
+    sendWrite(idx, address, size) {
+        if (idx >= this.levels.length) return;
+
+        if (this.inclusion === 'exclusive') {
+            const holder = this.levels.findIndex((cache, i) => i >= idx && cache.isAddressCached(address) !== null);
+            if (holder === -1) {
+                this.lastLevel.writeTrafficBytes += size;
+                return;
+            }
+            idx = holder;
+        }
+        this.settle(idx, this.levels[idx].receiveWrite(address, size), address, size);
+    }
+
+    /**
+     * Apply the side effects of an operation on level idx: back-invalidate the
+     * line it evicted (inclusive) and send its writes to the level below.
+     */
+    settle(idx, result, address, size) {
+        if (this.inclusion === 'inclusive' && result.evicted !== null) {
+            this.backInvalidate(idx, result.evicted);
+        }
+        if (result.writeback !== null) {
+            this.sendWrite(idx + 1, result.writeback, this.lineSize);
+        }
+        if (result.writeThrough) {
+            this.sendWrite(idx + 1, address, size);
+        }
+    }
+
+    /**
+     * Remove a line evicted from level idx from every cache above it. A dirty
+     * upper copy holds the newest data, so it is written past level idx.
+     */
+    backInvalidate(idx, lineAddr) {
+        const upper = this.levels.slice(0, idx);
+        if (this.victimCache) {
+            upper.push(this.victimCache);
+        }
+
+        for (const cache of upper) {
+            const removed = cache.invalidate(lineAddr);
+            if (!removed.present) continue;
+
+            this.backInvalidations++;
+            if (removed.dirty) {
+                cache.writebacks++;
+                cache.writeTrafficBytes += this.lineSize;
+                if (idx + 1 < this.levels.length) {
+                    this.sendWrite(idx + 1, lineAddr, this.lineSize);
+                } else {
+                    this.lastLevel.writeTrafficBytes += this.lineSize;
+                }
+            }
+        }
+    }
+
+    /**
+     * L1, the victim cache, then the lower levels: the order residency is checked in.
+     */
+    get searchOrder() {
+        return this.victimCache
+            ? [this.levels[0], this.victimCache, ...this.levels.slice(1)]
+            : this.levels;
+    }
+
+    /**
+     * Check the closest level holding an address.
+     * @param {number} address - Memory address to check
+     * @returns {number | null} - Innermost level holding the line, null if none
+     */
+    isAddressCached(address) {
+        for (const cache of this.searchOrder) {
+            const level = cache.isAddressCached(address);
+            if (level !== null) {
+                return level;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Bulk residency query for renderers.
+     * @returns {Map<number, number>} - Resident line address -> innermost level holding it
+     */
+    getResidentLines() {
+        const resident = new Map();
+        const caches = this.searchOrder;
+        for (let idx = caches.length - 1; idx >= 0; idx--) {
+            for (const [lineAddr, level] of caches[idx].getResidentLines()) {
+                resident.set(lineAddr, level);
+            }
+        }
+        return resident;
+    }
+
+    getPrefetchedLines() {
+        return this.levels[0].getPrefetchedLines();
+    }
+
+    /**
+     * Check if an address sits in a prefetched, not yet used L1 line.
+     */
+    isAddressPrefetched(address) {
+        return this.levels[0].isAddressPrefetched(address);
+    }
+
+    reset() {
+        this.levels.forEach(cache => cache.reset());
+        if (this.victimCache) {
+            this.victimCache.reset();
+        }
+        this.backInvalidations = 0;
+        this.storeMisses = 0;
+        this.prefetchFills = 0;
+    }
+
+    snapshot() {
+        return {
+            levels: this.levels.map(cache => cache.snapshot()),
+            victimCache: this.victimCache ? this.victimCache.snapshot() : null,
+            backInvalidations: this.backInvalidations,
+            storeMisses: this.storeMisses,
+            prefetchFills: this.prefetchFills
+        };
+    }
+
+    restore(snap) {
+        this.levels.forEach((cache, idx) => cache.restore(snap.levels[idx]));
+        if (this.victimCache) {
+            this.victimCache.restore(snap.victimCache);
+        }
+        this.backInvalidations = snap.backInvalidations;
+        this.storeMisses = snap.storeMisses;
+        this.prefetchFills = snap.prefetchFills;
+    }
+}
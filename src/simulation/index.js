@@ -4,5 +4,33 @@
  */
 
 export { CacheSimulator } from './cache.js';
-export { generateIterations, generateTiledIterations } from './iterations.js';
-export { getLinearIndex, getTensorAddress, getAccessAddress } from './memory.js';
+export { CacheHierarchy, INCLUSION_POLICIES } from './hierarchy.js';
+export { MissClassifier, MISS_TYPES } from './miss-classifier.js';
+export { TLB } from './tlb.js';
+export { RegisterFile, getScalarReplacement, getMicroKernelRegisters, getInnermostTile } from './registers.js';
+export { CoherentSystem } from './coherence.js';
+export { CostModel, DEFAULT_LEVEL_LATENCIES } from './cost.js';
+export {
+    computeStackDistances, buildReuseProfile, getMissRateForCapacity, getReuseBucket, getReuseBucketLabel
+} from './reuse.js';
+export {
+    PREFETCHERS, createPrefetcher,
+    NextLinePrefetcher, StridePrefetcher, AdjacentLinePrefetcher
+} from './prefetch.js';
+export {
+    REPLACEMENT_POLICIES, createReplacementPolicy,
+    LRUPolicy, FIFOPolicy, RandomPolicy, TreePLRUPolicy, LFUPolicy, OPTPolicy
+} from './replacement.js';
+export {
+    generateIterations, generateTiledIterations, getTileSizes, getTileLevels, getTileVar,
+    IterationCursor, InterleavedCursor, CurveIterationCursor, RecursiveIterationCursor,
+    createIterationCursor, createTiledIterationCursor, createCurveIterationCursor, createRecursiveIterationCursor,
+    createMicroKernelIterationCursor, PackedIterationCursor, createPackedIterationCursor, distributeIterationCursor, isRecursiveSchedule, getRecursiveScheduleName, getRecursiveBaseOrder
+} from './iterations.js';
+export {
+    SPACE_FILLING_CURVES, isSpaceFillingCurve, mortonPoint, hilbertPoint, getCurveSide, getCurvePoints
+} from './curves.js';
+export {
+    SCHEDULE_DIRECTIVES, parseSchedule, compileSchedule, createScheduleCursor, getLoopIndex
+} from './schedule.js';
+export { getLinearIndex, getTensorAddress, getAccessAddress, forEachAccess, getAccessTrace } from './memory.js';
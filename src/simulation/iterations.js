@@ -1,139 +1,966 @@
 /**
  * Iteration generation for tensor operations
  * Supports both non-tiled and tiled execution patterns
+ *
+ * Iteration sequences are described by cursors (IterationCursor) that
+ * compute the n-th iteration arithmetically from the loop nest, so large
+ * problems never materialize their iterations. generateIterations and
+ * generateTiledIterations expand a cursor into an array. With operand
+ * packing, PackedIterationCursor adds copy iterations to a sequence.
  */
 
+import { getCurvePoints } from './curves.js';
+
 /**
- * Generate iteration sequence for non-tiled execution.
+ * Lazy view of a loop nest's iteration sequence.
+ *
+ * Each loop walks one dim over that dim's current interval, in steps: 1 for
+ * element loops, the tile size for tile loops. A tile loop's grid starts at
+ * its enclosing tile's base, and its tiles are clipped to the enclosing
+ * interval, so the number of iterations under a loop value is the product of
+ * the interval lengths of every dim. at() decomposes an index loop by loop
+ * on those products.
+ *
+ * A dim's loops may be named freely (e.g. 'io', 'ii' in a schedule): the
+ * dim's value is the base of its innermost loop. Loops flagged `indexed`
+ * also report their index, (base - origin) / step, under their name.
+ *
+ * Array-like and iterable: length and at(i); bracket indexing is not supported.
+ */
+export class IterationCursor {
+    /**
+     * @param {Object} op - Operation definition
+     * @param {Array<{ name: string, dim: string, step: number, parent: string|null, indexed?: boolean }>} loops -
+     *        Loops outermost first: the loop variable, its dim, its step and the
+     *        tile variable whose value is the origin of its grid (null: 0)
+     * @param {Object} domains - Interval [lo, hi) per loop dim
+     * @param {string[]} extraVars - Tile variables reported with each iteration
+     */
+    constructor(op, loops, domains, extraVars = []) {
+        this.op = op;
+        this.loops = loops;
+        this.domains = domains;
+        this.extraVars = extraVars;
+        this.length = op.loopDims.reduce((n, dim) => n * Math.max(0, domains[dim][1] - domains[dim][0]), 1);
+    }
+
+    /**
+     * The iteration at an index, or undefined out of range.
+     * @param {number} index
+     * @returns {Object | undefined}
+     */
+    at(index) {
+        if (index < 0 || index >= this.length || !Number.isInteger(index)) {
+            return undefined;
+        }
+
+        const intervals = {};
+        const lengths = {};
+        let remainingCount = this.length;
+        for (const dim of this.op.loopDims) {
+            intervals[dim] = [...this.domains[dim]];
+            lengths[dim] = intervals[dim][1] - intervals[dim][0];
+        }
+
+        const values = {};
+        const dimValues = {};
+        const indices = {};
+        let n = index;
+        for (const loop of this.loops) {
+            const [start, end] = intervals[loop.dim];
+            // Iterations under one element of this dim
+            const perElement = remainingCount / lengths[loop.dim];
+            const origin = loop.parent ? values[loop.parent] : 0;
+            const firstBase = origin + Math.floor((start - origin) / loop.step) * loop.step;
+            const firstCount = (Math.min(firstBase + loop.step, end) - start) * perElement;
+
+            let base = firstBase;
+            if (n >= firstCount) {
+                n -= firstCount;
+                const skipped = Math.floor(n / (loop.step * perElement));
+                base = firstBase + (skipped + 1) * loop.step;
+                n -= skipped * loop.step * perElement;
+            }
+            values[loop.name] = base;
+            dimValues[loop.dim] = base;
+            if (loop.indexed) {
+                indices[loop.name] = (base - origin) / loop.step;
+            }
+
+            const childStart = Math.max(base, start);
+            const childEnd = Math.min(base + loop.step, end);
+            intervals[loop.dim] = [childStart, childEnd];
+            remainingCount = perElement * (childEnd - childStart);
+            lengths[loop.dim] = childEnd - childStart;
+        }
+
+        const iter = {};
+        for (const dim of this.op.loopDims) {
+            iter[dim] = dimValues[dim];
+        }
+        for (const name of this.extraVars) {
+            iter[name] = values[name];
+        }
+        Object.assign(iter, indices);
+        for (const dim of this.op.tileableDims || this.op.loopDims) {
+            if (values[getTileVar(dim, 0)] !== undefined) {
+                iter['l' + dim] = values[dim] - values[getTileVar(dim, 0)];
+            }
+        }
+        return iter;
+    }
+
+    /**
+     * The same loop nest restricted to [lo, hi) of one dim: the subsequence of
+     * iterations whose index in that dim lies in the range.
+     */
+    restrict(dim, lo, hi) {
+        const domain = this.domains[dim];
+        const domains = { ...this.domains, [dim]: [Math.max(lo, domain[0]), Math.min(hi, domain[1])] };
+        if (domains[dim][1] < domains[dim][0]) {
+            domains[dim][1] = domains[dim][0];
+        }
+        return new IterationCursor(this.op, this.loops, domains, this.extraVars);
+    }
+
+    /**
+     * Stream the iterations from an index on.
+     */
+    *iterate(start = 0) {
+        for (let i = start; i < this.length; i++) {
+            yield this.at(i);
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this.iterate(0);
+    }
+}
+
+/**
+ * Lazy view of a space-filling-curve traversal: the operation's two curve
+ * dims (op.curveDims) are walked along the curve, and the remaining loop
+ * dims are nested inside each curve point in loopDims order.
+ *
+ * Only the curve's points of the plane are stored, never the iterations.
+ */
+export class CurveIterationCursor {
+    /**
+     * @param {Object} op - Operation definition
+     * @param {string} curve - 'morton' or 'hilbert'
+     * @param {Array<{ row: number, col: number }>} points - Curve points, in order
+     * @param {Object} domains - Interval [lo, hi) per inner loop dim
+     */
+    constructor(op, curve, points, domains) {
+        this.op = op;
+        this.curve = curve;
+        this.points = points;
+        this.domains = domains;
+        this.innerDims = op.loopDims.filter(dim => !op.curveDims.includes(dim));
+        this.innerCount = this.innerDims.reduce((n, dim) => n * Math.max(0, domains[dim][1] - domains[dim][0]), 1);
+        this.length = points.length * this.innerCount;
+    }
+
+    /**
+     * The iteration at an index, or undefined out of range.
+     */
+    at(index) {
+        if (index < 0 || index >= this.length || !Number.isInteger(index)) {
+            return undefined;
+        }
+        const [rowDim, colDim] = this.op.curveDims;
+        const point = this.points[Math.floor(index / this.innerCount)];
+        const iter = { [rowDim]: point.row, [colDim]: point.col };
+
+        let n = index % this.innerCount;
+        for (let i = this.innerDims.length - 1; i >= 0; i--) {
+            const dim = this.innerDims[i];
+            const [lo, hi] = this.domains[dim];
+            iter[dim] = lo + n % (hi - lo);
+            n = Math.floor(n / (hi - lo));
+        }
+
+        const ordered = {};
+        for (const dim of this.op.loopDims) {
+            ordered[dim] = iter[dim];
+        }
+        return ordered;
+    }
+
+    /**
+     * The same traversal restricted to [lo, hi) of one dim.
+     */
+    restrict(dim, lo, hi) {
+        const [rowDim, colDim] = this.op.curveDims;
+        if (dim === rowDim || dim === colDim) {
+            const key = dim === rowDim ? 'row' : 'col';
+            const points = this.points.filter(point => point[key] >= lo && point[key] < hi);
+            return new CurveIterationCursor(this.op, this.curve, points, this.domains);
+        }
+        const domain = this.domains[dim];
+        const start = Math.max(lo, domain[0]);
+        const end = Math.max(start, Math.min(hi, domain[1]));
+        return new CurveIterationCursor(this.op, this.curve, this.points, { ...this.domains, [dim]: [start, end] });
+    }
+
+    *iterate(start = 0) {
+        for (let i = start; i < this.length; i++) {
+            yield this.at(i);
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this.iterate(0);
+    }
+}
+
+/**
+ * Cursor over a space-filling-curve traversal of the operation's curve dims
+ * (see CurveIterationCursor).
+ *
+ * @param {Object} op - Operation definition, with curveDims
+ * @param {string} curve - 'morton' or 'hilbert'
+ * @returns {CurveIterationCursor}
+ */
+export function createCurveIterationCursor(op, curve) {
+    if (!op.curveDims) {
+        throw new Error(`${op.name} has no dims to walk along a curve`);
+    }
+    const [rowDim, colDim] = op.curveDims;
+    const points = getCurvePoints(curve, op.loopBounds[rowDim], op.loopBounds[colDim]);
+    return new CurveIterationCursor(op, curve, points, getFullDomains(op));
+}
+
+/**
+ * Loop order names of recursive schedules: 'recursive:' followed by the loop
+ * order of the base case, e.g. 'recursive:ikj'.
+ */
+const RECURSIVE_PREFIX = 'recursive:';
+
+/**
+ * Whether a loop order name is a recursive (cache-oblivious) schedule.
+ */
+export function isRecursiveSchedule(name) {
+    return typeof name === 'string' && name.startsWith(RECURSIVE_PREFIX);
+}
+
+/**
+ * Name of the recursive schedule with a base-case loop order.
+ */
+export function getRecursiveScheduleName(baseLoopOrder) {
+    return RECURSIVE_PREFIX + baseLoopOrder;
+}
+
+/**
+ * Base-case loop order of a recursive schedule name.
+ */
+export function getRecursiveBaseOrder(name) {
+    return name.slice(RECURSIVE_PREFIX.length);
+}
+
+/**
+ * Lazy view of a recursive divide-and-conquer schedule (cache-oblivious
+ * matmul, Frigo et al.): the iteration box is cut in half along its largest
+ * recursive dim (op.recursiveDims) until no dim is larger than the base size,
+ * and each base box runs the base loop order. Each iteration carries its
+ * recursion `depth`.
+ *
+ * Halves are split at the same places whatever the domain, so restricting a
+ * dim (one core's block) keeps the order of the full schedule.
+ */
+export class RecursiveIterationCursor {
+    /**
+     * @param {Object} op - Operation definition
+     * @param {string[]} baseOrder - Loop order of the base case
+     * @param {number} baseSize - Largest extent of a base box
+     * @param {Object} domains - Interval [lo, hi) per loop dim
+     */
+    constructor(op, baseOrder, baseSize, domains) {
+        this.op = op;
+        this.baseOrder = baseOrder;
+        this.baseSize = baseSize;
+        this.domains = domains;
+        this.splitDims = op.recursiveDims || op.loopDims;
+
+        const box = {};
+        for (const dim of op.loopDims) {
+            box[dim] = [0, op.loopBounds[dim]];
+        }
+        this.root = box;
+        this.length = this.countIn(box);
+    }
+
+    /**
+     * Iterations of a box that lie in the domain.
+     */
+    countIn(box) {
+        let count = 1;
+        for (const dim of this.op.loopDims) {
+            const [lo, hi] = this.domains[dim];
+            count *= Math.max(0, Math.min(box[dim][1], hi) - Math.max(box[dim][0], lo));
+        }
+        return count;
+    }
+
+    /**
+     * The dim to halve in a box, or null for a base box: the largest
+     * extent, the first recursive dim on ties.
+     */
+    getSplitDim(box) {
+        let splitDim = null;
+        let largest = this.baseSize;
+        for (const dim of this.splitDims) {
+            const extent = box[dim][1] - box[dim][0];
+            if (extent > largest) {
+                splitDim = dim;
+                largest = extent;
+            }
+        }
+        return splitDim;
+    }
+
+    /**
+     * The iteration at an index, or undefined out of range.
+     */
+    at(index) {
+        if (index < 0 || index >= this.length || !Number.isInteger(index)) {
+            return undefined;
+        }
+
+        let box = this.root;
+        let depth = 0;
+        let n = index;
+        for (let dim = this.getSplitDim(box); dim !== null; dim = this.getSplitDim(box)) {
+            const [lo, hi] = box[dim];
+            const mid = lo + Math.ceil((hi - lo) / 2);
+            const first = { ...box, [dim]: [lo, mid] };
+            const firstCount = this.countIn(first);
+            if (n < firstCount) {
+                box = first;
+            } else {
+                n -= firstCount;
+                box = { ...box, [dim]: [mid, hi] };
+            }
+            depth++;
+        }
+
+        const iter = {};
+        for (let i = this.baseOrder.length - 1; i >= 0; i--) {
+            const dim = this.baseOrder[i];
+            const lo = Math.max(box[dim][0], this.domains[dim][0]);
+            const extent = Math.min(box[dim][1], this.domains[dim][1]) - lo;
+            iter[dim] = lo + n % extent;
+            n = Math.floor(n / extent);
+        }
+
+        const ordered = {};
+        for (const dim of this.op.loopDims) {
+            ordered[dim] = iter[dim];
+        }
+        ordered.depth = depth;
+        return ordered;
+    }
+
+    /**
+     * The same schedule restricted to [lo, hi) of one dim.
+     */
+    restrict(dim, lo, hi) {
+        const domain = this.domains[dim];
+        const start = Math.max(lo, domain[0]);
+        const end = Math.max(start, Math.min(hi, domain[1]));
+        return new RecursiveIterationCursor(this.op, this.baseOrder, this.baseSize, { ...this.domains, [dim]: [start, end] });
+    }
+
+    *iterate(start = 0) {
+        for (let i = start; i < this.length; i++) {
+            yield this.at(i);
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this.iterate(0);
+    }
+}
+
+/**
+ * Cursor over a recursive divide-and-conquer schedule (see RecursiveIterationCursor).
+ *
+ * @param {Object} op - Operation definition
+ * @param {string} baseLoopOrder - Loop order of the base case
+ * @param {number} baseSize - Largest extent of a base box
+ * @returns {RecursiveIterationCursor}
+ */
+export function createRecursiveIterationCursor(op, baseLoopOrder, baseSize) {
+    const order = op.loopOrders[baseLoopOrder];
+
+    if (!order) {
+        throw new Error(`Unknown loop order: ${baseLoopOrder}`);
+    }
+    if (!(baseSize >= 1)) {
+        throw new Error(`Invalid recursion base size: ${baseSize}`);
+    }
+    return new RecursiveIterationCursor(op, order, baseSize, getFullDomains(op));
+}
+
+/**
+ * Cursor over several per-core cursors interleaved round-robin, as if the
+ * cores ran in lockstep; cores whose stream has ended drop out.
+ */
+export class InterleavedCursor {
+    /**
+     * @param {Array} streams - One cursor per core
+     */
+    constructor(streams) {
+        this.streams = streams;
+        this.length = streams.reduce((n, stream) => n + stream.length, 0);
+        // Phases between stream ends: [fromStep, toStep) with the cores still running
+        this.phases = [];
+        const ends = [...new Set(streams.map(stream => stream.length))].sort((a, b) => a - b);
+        let from = 0;
+        for (const to of ends) {
+            if (to > from) {
+                const cores = [];
+                streams.forEach((stream, core) => {
+                    if (stream.length >= to) cores.push(core);
+                });
+                this.phases.push({ from, to, cores });
+            }
+            from = to;
+        }
+    }
+
+    /**
+     * The iteration at an index, with its `core`, or undefined out of range.
+     */
+    at(index) {
+        if (index < 0 || index >= this.length || !Number.isInteger(index)) {
+            return undefined;
+        }
+        let n = index;
+        for (const phase of this.phases) {
+            const count = (phase.to - phase.from) * phase.cores.length;
+            if (n < count) {
+                const core = phase.cores[n % phase.cores.length];
+                const step = phase.from + Math.floor(n / phase.cores.length);
+                return { ...this.streams[core].at(step), core };
+            }
+            n -= count;
+        }
+        return undefined;
+    }
+
+    /**
+     * Iterations of one core, in order, each with its `core`.
+     */
+    *getStream(core) {
+        for (const iter of this.streams[core]) {
+            yield { ...iter, core };
+        }
+    }
+
+    *iterate(start = 0) {
+        for (let i = start; i < this.length; i++) {
+            yield this.at(i);
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this.iterate(0);
+    }
+}
+
+/**
+ * Whether a loop is a tile loop (named by getTileVar) rather than an element
+ * loop.
+ */
+function isTileLoop(loop) {
+    const depth = loop.name.length - loop.dim.length - 1;
+    return depth >= 0 && loop.name === getTileVar(loop.dim, depth);
+}
+
+/**
+ * Number of innermost tiles a chain of tile loops of one dim (outermost
+ * first, each inside the previous) cuts [lo, hi) into. The first loop's grid
+ * starts at origin. Tiles between the first and the last are whole and alike,
+ * so each level counts at most three kinds of tile.
+ */
+function countTiles(loops, lo, hi, origin) {
+    if (hi <= lo) {
+        return 0;
+    }
+    if (loops.length === 0) {
+        return 1;
+    }
+    const [loop, ...inner] = loops;
+    const firstBase = origin + Math.floor((lo - origin) / loop.step) * loop.step;
+    const firstEnd = Math.min(firstBase + loop.step, hi);
+    const whole = Math.floor((hi - firstEnd) / loop.step);
+    const lastBase = firstEnd + whole * loop.step;
+
+    let count = countTiles(inner, lo, firstEnd, firstBase);
+    if (whole > 0) {
+        count += whole * countTiles(inner, firstEnd, firstEnd + loop.step, firstEnd);
+    }
+    return count + countTiles(inner, lastBase, hi, lastBase);
+}
+
+/**
+ * Lazy view of an iteration sequence with operand packing (see
+ * setOperandPacking): every packed input is copied into its buffer, row by
+ * row, at the start of each iteration of its innermost tile loop (the
+ * innermost one splitting either of its dims), where a GEMM's packing code
+ * sits; an input with no such loop is packed once, up front. A copy iteration
+ * carries `pack`, the input's name, and the element copied; its other
+ * indices are those of the first iteration that follows.
+ *
+ * Wraps an IterationCursor whose tile loops, if any, enclose all element
+ * loops (e.g. tiled or micro-kernel matmul). Like IterationCursor, at()
+ * decomposes an index tile loop by tile loop, on the length, copies
+ * included, under each tile; nothing per tile is stored.
+ */
+export class PackedIterationCursor {
+    /**
+     * @param {Object} op - Operation definition, with packing on
+     * @param {IterationCursor} cursor - Compute iterations
+     */
+    constructor(op, cursor) {
+        this.op = op;
+        this.cursor = cursor;
+        const inner = cursor.loops.findIndex(loop => !isTileLoop(loop));
+        this.tileLoops = inner === -1 ? cursor.loops : cursor.loops.slice(0, inner);
+
+        // A tile loop with one tile per tile of its parent never changes a
+        // block: its value follows the parent's
+        const splits = this.tileLoops.map((loop, idx) => {
+            const chain = this.tileLoops.slice(0, idx + 1).filter(l => l.dim === loop.dim);
+            const [lo, hi] = cursor.domains[loop.dim];
+            return countTiles(chain, lo, hi, 0) > countTiles(chain.slice(0, -1), lo, hi, 0);
+        });
+        // Each input with the position of the tile loop it is packed in (-1: up front)
+        this.packs = Object.keys(op.packing.buffers).map(name => {
+            const source = op.tensors.find(t => t.name === name);
+            const { row, col } = source.tileDims;
+            const level = this.tileLoops.reduce((last, loop, idx) =>
+                (splits[idx] && (loop.dim === row || loop.dim === col) ? idx : last), -1);
+            return { source, row, col, level };
+        });
+
+        this.length = cursor.length === 0 ? 0
+            : this.getCopyLength(-1, cursor.domains) + this.getSubtreeLength(0, cursor.domains, {});
+    }
+
+    /**
+     * Number of copy iterations at the start of one iteration of a tile loop,
+     * given the intervals it leaves.
+     */
+    getCopyLength(level, intervals) {
+        return this.packs
+            .filter(pack => pack.level === level)
+            .reduce((n, { row, col }) => n + (intervals[row][1] - intervals[row][0]) * (intervals[col][1] - intervals[col][0]), 0);
+    }
+
+    /**
+     * Number of iterations, copies included, under the tile loops from a
+     * position on, given the intervals and tile loop values set outside them.
+     *
+     * The tiles of each dim partition its interval, so the blocks an input
+     * copies sum to its rows times its cols, once per tile of its other dims.
+     */
+    getSubtreeLength(from, intervals, values) {
+        const extent = (dim) => intervals[dim][1] - intervals[dim][0];
+        let length = this.op.loopDims.reduce((n, dim) => n * extent(dim), 1);
+        for (const { row, col, level } of this.packs) {
+            if (level < from) {
+                continue;
+            }
+            let copies = extent(row) * extent(col);
+            for (const dim of this.op.loopDims) {
+                const loops = this.tileLoops.slice(from, level + 1).filter(loop => loop.dim === dim);
+                if (dim !== row && dim !== col && loops.length > 0) {
+                    const origin = loops[0].parent ? values[loops[0].parent] : 0;
+                    copies *= countTiles(loops, intervals[dim][0], intervals[dim][1], origin);
+                }
+            }
+            length += copies;
+        }
+        return length;
+    }
+
+    /**
+     * The iteration at an index, or undefined out of range.
+     */
+    at(index) {
+        if (index < 0 || index >= this.length || !Number.isInteger(index)) {
+            return undefined;
+        }
+
+        const intervals = {};
+        for (const dim of this.op.loopDims) {
+            intervals[dim] = [...this.cursor.domains[dim]];
+        }
+        const values = {};
+        let n = index;
+        // Index in the compute iterations of the first one under the current tile
+        let innerStart = 0;
+        for (let level = -1; level < this.tileLoops.length; level++) {
+            if (level >= 0) {
+                const loop = this.tileLoops[level];
+                const [start, end] = intervals[loop.dim];
+                const perElement = this.op.loopDims
+                    .filter(dim => dim !== loop.dim)
+                    .reduce((count, dim) => count * (intervals[dim][1] - intervals[dim][0]), 1);
+                const getTileLength = (lo, hi, base) => {
+                    const child = { ...intervals, [loop.dim]: [lo, hi] };
+                    return this.getCopyLength(level, child) +
+                        this.getSubtreeLength(level + 1, child, { ...values, [loop.name]: base });
+                };
+
+                const origin = loop.parent ? values[loop.parent] : 0;
+                const firstBase = origin + Math.floor((start - origin) / loop.step) * loop.step;
+                const firstEnd = Math.min(firstBase + loop.step, end);
+                const firstLength = getTileLength(start, firstEnd, firstBase);
+
+                let base = firstBase;
+                if (n >= firstLength) {
+                    n -= firstLength;
+                    innerStart += (firstEnd - start) * perElement;
+                    // Whole tiles all have the same length; the last one may be clipped
+                    const whole = Math.floor((end - firstEnd) / loop.step);
+                    const wholeLength = whole > 0 ? getTileLength(firstEnd, firstEnd + loop.step, firstEnd) : 0;
+                    const skipped = whole > 0 ? Math.min(Math.floor(n / wholeLength), whole) : 0;
+                    n -= skipped * wholeLength;
+                    innerStart += skipped * loop.step * perElement;
+                    base = firstEnd + skipped * loop.step;
+                }
+                values[loop.name] = base;
+                intervals[loop.dim] = [Math.max(base, start), Math.min(base + loop.step, end)];
+            }
+
+            for (const { source, row, col, level: packLevel } of this.packs) {
+                if (packLevel !== level) {
+                    continue;
+                }
+                const rows = intervals[row];
+                const cols = intervals[col];
+                const width = cols[1] - cols[0];
+                const length = (rows[1] - rows[0]) * width;
+                if (n < length) {
+                    return {
+                        ...this.cursor.at(innerStart),
+                        pack: source.name,
+                        [row]: rows[0] + Math.floor(n / width),
+                        [col]: cols[0] + n % width
+                    };
+                }
+                n -= length;
+            }
+        }
+        return this.cursor.at(innerStart + n);
+    }
+
+    /**
+     * The same sequence restricted to [lo, hi) of one dim, packing only the
+     * blocks the restricted iterations use.
+     */
+    restrict(dim, lo, hi) {
+        return new PackedIterationCursor(this.op, this.cursor.restrict(dim, lo, hi));
+    }
+
+    *iterate(start = 0) {
+        for (let i = start; i < this.length; i++) {
+            yield this.at(i);
+        }
+    }
+
+    [Symbol.iterator]() {
+        return this.iterate(0);
+    }
+}
+
+/**
+ * Cursor over an iteration sequence with the copy iterations of operand
+ * packing inserted (see PackedIterationCursor).
+ *
+ * @param {Object} op - Operation definition, with packing on (see setOperandPacking)
+ * @param {IterationCursor} cursor - Compute iterations
+ * @returns {PackedIterationCursor}
+ */
+export function createPackedIterationCursor(op, cursor) {
+    if (!op.packing) {
+        throw new Error(`Packing is off for ${op.displayName || op.name}`);
+    }
+    return new PackedIterationCursor(op, cursor);
+}
+
+/**
+ * Full domain [0, bound) of every loop dim.
+ */
+function getFullDomains(op) {
+    const domains = {};
+    for (const dim of op.loopDims) {
+        domains[dim] = [0, op.loopBounds[dim]];
+    }
+    return domains;
+}
+
+/**
+ * Cursor over the non-tiled iteration sequence.
  *
  * @param {Object} op - Operation definition
  * @param {string} loopOrder - Loop nesting order (e.g., 'ijk')
- * @returns {Array} Sequence of index objects
+ * @returns {IterationCursor}
  */
-export function generateIterations(op, loopOrder) {
-    const iterations = [];
+export function createIterationCursor(op, loopOrder) {
     const order = op.loopOrders[loopOrder];
 
     if (!order) {
         throw new Error(`Unknown loop order: ${loopOrder}`);
     }
 
-    const bounds = op.loopBounds;
+    const loops = order.map(dim => ({ name: dim, dim, step: 1, parent: null }));
+    return new IterationCursor(op, loops, getFullDomains(op));
+}
 
-    function nestLoops(depth, currentIndices) {
-        if (depth === order.length) {
-            const iter = {};
-            for (const dim of op.loopDims) {
-                iter[dim] = currentIndices[dim];
-            }
-            iterations.push(iter);
-            return;
+/**
+ * Generate iteration sequence for non-tiled execution.
+ *
+ * @param {Object} op - Operation definition
+ * @param {string} loopOrder - Loop nesting order (e.g., 'ijk')
+ * @returns {Array} Sequence of index objects
+ */
+export function generateIterations(op, loopOrder) {
+    return Array.from(createIterationCursor(op, loopOrder));
+}
+
+/**
+ * Tile size of every tileable dimension.
+ * @param {Object} op - Operation definition
+ * @param {number|Object} tileSize - One size for every dim, or a map of dim -> size
+ * @returns {Object} Map of dim -> size
+ */
+export function getTileSizes(op, tileSize) {
+    const sizes = {};
+    for (const dim of op.tileableDims || op.loopDims) {
+        const size = typeof tileSize === 'number' ? tileSize : tileSize[dim];
+        if (!(size > 0)) {
+            throw new Error(`Missing tile size for ${dim}`);
         }
+        sizes[dim] = size;
+    }
+    return sizes;
+}
+
+/**
+ * Name of the tile loop variable of a dim at a tile level, counted from the
+ * innermost level: 'ti' for the innermost tile of i, 'tti' for the tile
+ * containing it, and so on.
+ */
+export function getTileVar(dim, depth) {
+    return 't'.repeat(depth + 1) + dim;
+}
 
-        const dim = order[depth];
-        const bound = bounds[dim];
-        for (let i = 0; i < bound; i++) {
-            currentIndices[dim] = i;
-            nestLoops(depth + 1, currentIndices);
+/**
+ * Normalize a tiling configuration to a list of tile levels.
+ *
+ * @param {Object} op - Operation definition
+ * @param {string} loopOrder - Loop nesting order of the element loops
+ * @param {number|Object|Array} tileSize - One size for every dim, a map of
+ *        dim -> size, or a list of levels (outermost first), each
+ *        { tileSizes, loopOrder } where loopOrder (default: tileLoopOrder)
+ *        sets the order of that level's tile loops
+ * @param {string} tileLoopOrder - Order of the tile loops of levels that do
+ *        not set their own (default: the element loop order)
+ * @returns {Array<{ tileSizes: Object, order: string[] }>} - Outermost first; order
+ *          lists the tiled dims of the level in nesting order
+ */
+export function getTileLevels(op, loopOrder, tileSize, tileLoopOrder = loopOrder) {
+    const tileableDims = new Set(op.tileableDims || op.loopDims);
+    const tiledOrder = (name) => {
+        const order = op.loopOrders[name];
+        if (!order) {
+            throw new Error(`Unknown loop order: ${name}`);
         }
+        return order.filter(d => tileableDims.has(d));
+    };
+
+    if (Array.isArray(tileSize)) {
+        return tileSize.map(level => ({
+            tileSizes: getTileSizes(op, level.tileSizes),
+            order: tiledOrder(level.loopOrder || tileLoopOrder)
+        }));
     }
+    return [{ tileSizes: getTileSizes(op, tileSize), order: tiledOrder(tileLoopOrder) }];
+}
 
-    nestLoops(0, {});
-    return iterations;
+/**
+ * Tile loops of a list of tile levels, level by level, outermost first.
+ * @param {Object} op - Operation definition
+ * @param {Array} levels - Tile levels (see getTileLevels)
+ * @returns {{ loops: Array, tileVars: string[] }} - The loops, and the tile
+ *          variables of every level, in loopDims order
+ */
+function getTileLoops(op, levels) {
+    const numLevels = levels.length;
+    const loops = [];
+    levels.forEach((level, idx) => {
+        const depth = numLevels - 1 - idx;
+        for (const dim of level.order) {
+            loops.push({
+                name: getTileVar(dim, depth),
+                dim,
+                step: level.tileSizes[dim],
+                parent: idx > 0 ? getTileVar(dim, depth + 1) : null
+            });
+        }
+    });
+
+    const tileVars = [];
+    for (const dim of op.tileableDims || op.loopDims) {
+        for (let depth = 0; depth < numLevels; depth++) {
+            tileVars.push(getTileVar(dim, depth));
+        }
+    }
+    return { loops, tileVars };
 }
 
 /**
- * Generate iteration sequence for tiled execution.
+ * Cursor over the tiled iteration sequence.
+ * Tiles may be rectangular: each tiled dim has its own tile size. Tiling may
+ * be nested several levels deep (e.g. L2 tiles of 6 holding L1 tiles of 2),
+ * each level with its own sizes and loop order. Tile loops can be ordered
+ * independently of the element loops (e.g. tiles in kij order, elements in
+ * ijk). A tile that does not divide its enclosing tile is clipped at the
+ * enclosing tile's edge.
  * Supports partial tiling where only some dimensions are tiled.
  *
  * Loop structure for partial tiling:
  * 1. Non-tiled dims before first tiled dim (outer loops)
- * 2. Tile loops for all tiled dims
+ * 2. Tile loops for all tiled dims, one group per level, outermost first
  * 3. Non-tiled dims after first tiled dim (between tile and element loops)
  * 4. Element loops for all tiled dims (innermost)
  *
+ * Each iteration carries the tile base of every level (see getTileVar) and
+ * `l<dim>`, the offset within the innermost tile.
+ *
  * @param {Object} op - Operation definition
  * @param {string} loopOrder - Loop nesting order
- * @param {number} tileSize - Tile dimension
- * @returns {Array} Sequence of index objects with tile info
+ * @param {number|Object|Array} tileSize - Tile size for every tiled dim, a map of
+ *        dim -> size, or a list of tile levels (see getTileLevels)
+ * @param {string} tileLoopOrder - Order of the tile loops (default: loopOrder)
+ * @returns {IterationCursor}
  */
-export function generateTiledIterations(op, loopOrder, tileSize) {
+export function createTiledIterationCursor(op, loopOrder, tileSize, tileLoopOrder = loopOrder) {
     const order = op.loopOrders[loopOrder];
 
     if (!order) {
         throw new Error(`Unknown loop order: ${loopOrder}`);
     }
 
-    const bounds = op.loopBounds;
     const tileableDims = new Set(op.tileableDims || op.loopDims);
+    const levels = getTileLevels(op, loopOrder, tileSize, tileLoopOrder);
 
     const firstTiledIdx = order.findIndex(d => tileableDims.has(d));
     if (firstTiledIdx === -1) {
-        return generateIterations(op, loopOrder);
+        return createIterationCursor(op, loopOrder);
     }
 
-    const loopSpec = [];
+    const loops = [];
 
     // Phase 1: Non-tiled dims before first tiled dim
     for (let i = 0; i < firstTiledIdx; i++) {
-        loopSpec.push({ dim: order[i], type: 'simple', bound: bounds[order[i]] });
+        loops.push({ name: order[i], dim: order[i], step: 1, parent: null });
     }
 
-    // Phase 2: Tile loops for all tiled dims
-    for (const dim of order) {
-        if (tileableDims.has(dim)) {
-            loopSpec.push({ dim: 't' + dim, type: 'tile', tiledDim: dim, bound: bounds[dim], step: tileSize });
-        }
-    }
+    // Phase 2: Tile loops for all tiled dims, level by level
+    const tileLoops = getTileLoops(op, levels);
+    loops.push(...tileLoops.loops);
 
     // Phase 3: Everything from first tiled dim onwards
     for (let i = firstTiledIdx; i < order.length; i++) {
-        const dim = order[i];
-        if (tileableDims.has(dim)) {
-            loopSpec.push({ dim: dim, type: 'element', tiledDim: dim, bound: bounds[dim], tileSize: tileSize });
-        } else {
-            loopSpec.push({ dim: dim, type: 'simple', bound: bounds[dim] });
-        }
+        loops.push({ name: order[i], dim: order[i], step: 1, parent: null });
     }
 
-    const iterations = [];
-
-    function nest(depth, currentIndices) {
-        if (depth === loopSpec.length) {
-            const iter = {};
-            for (const dim of op.loopDims) {
-                iter[dim] = currentIndices[dim];
-                if (tileableDims.has(dim)) {
-                    iter['t' + dim] = currentIndices['t' + dim];
-                    iter['l' + dim] = currentIndices[dim] - currentIndices['t' + dim];
-                }
-            }
-            iterations.push(iter);
-            return;
-        }
+    return new IterationCursor(op, loops, getFullDomains(op), tileLoops.tileVars);
+}
 
-        const spec = loopSpec[depth];
+/**
+ * Cursor over a register-blocked micro-kernel (BLIS/GotoBLAS style): the
+ * output is walked in MR x NR register tiles, jr over columns then ir over
+ * rows, and each register tile is updated by one rank-1 outer product per k
+ * (an MR sliver of A times an NR sliver of B). Within one k step the tile's
+ * elements are visited row by row. Cache tile loops, if any, enclose the
+ * micro-kernel loops, which then run over the innermost cache tile.
+ *
+ * The operation names its roles in op.microKernelDims ({ m, n, k }). Each
+ * iteration carries `ir` and `jr`, the base of the current register tile.
+ *
+ * @param {Object} op - Operation definition
+ * @param {{ mr: number, nr: number }} microTile - Register tile rows and columns
+ * @param {number|Object|Array|null} tileSize - Cache tiling (see getTileLevels), or null
+ * @param {string} tileLoopOrder - Order of the cache tile loops
+ * @returns {IterationCursor}
+ */
+export function createMicroKernelIterationCursor(op, microTile, tileSize = null, tileLoopOrder = Object.keys(op.loopOrders)[0]) {
+    if (!op.microKernelDims) {
+        throw new Error(`${op.displayName || op.name} has no micro-kernel`);
+    }
+    const { m, n, k } = op.microKernelDims;
+    const { mr, nr } = microTile;
+    if (!(mr > 0) || !(nr > 0)) {
+        throw new Error('Invalid register tile');
+    }
 
-        if (spec.type === 'simple') {
-            for (let v = 0; v < spec.bound; v++) {
-                currentIndices[spec.dim] = v;
-                nest(depth + 1, currentIndices);
-            }
-        } else if (spec.type === 'tile') {
-            for (let t = 0; t < spec.bound; t += spec.step) {
-                currentIndices[spec.dim] = t;
-                nest(depth + 1, currentIndices);
-            }
-        } else if (spec.type === 'element') {
-            const tileBase = currentIndices['t' + spec.tiledDim];
-            const tileEnd = Math.min(tileBase + spec.tileSize, spec.bound);
-            for (let e = tileBase; e < tileEnd; e++) {
-                currentIndices[spec.dim] = e;
-                nest(depth + 1, currentIndices);
-            }
-        }
+    const loops = [];
+    let tileVars = [];
+    if (tileSize !== null) {
+        const tileLoops = getTileLoops(op, getTileLevels(op, tileLoopOrder, tileSize));
+        loops.push(...tileLoops.loops);
+        tileVars = tileLoops.tileVars;
     }
+    const tiled = (dim) => tileVars.includes(getTileVar(dim, 0));
 
-    nest(0, {});
-    return iterations;
+    loops.push(
+        { name: 'jr', dim: n, step: nr, parent: tiled(n) ? getTileVar(n, 0) : null },
+        { name: 'ir', dim: m, step: mr, parent: tiled(m) ? getTileVar(m, 0) : null },
+        { name: k, dim: k, step: 1, parent: null },
+        { name: m, dim: m, step: 1, parent: 'ir' },
+        { name: n, dim: n, step: 1, parent: 'jr' }
+    );
+    return new IterationCursor(op, loops, getFullDomains(op), [...tileVars, 'ir', 'jr']);
+}
+
+/**
+ * Generate iteration sequence for tiled execution (see createTiledIterationCursor).
+ *
+ * @param {Object} op - Operation definition
+ * @param {string} loopOrder - Loop nesting order
+ * @param {number|Object|Array} tileSize - Tile size for every tiled dim, a map of
+ *        dim -> size, or a list of tile levels (see getTileLevels)
+ * @param {string} tileLoopOrder - Order of the tile loops (default: loopOrder)
+ * @returns {Array} Sequence of index objects with tile info
+ */
+export function generateTiledIterations(op, loopOrder, tileSize, tileLoopOrder = loopOrder) {
+    return Array.from(createTiledIterationCursor(op, loopOrder, tileSize, tileLoopOrder));
+}
+
+/**
+ * Split a cursor's iteration sequence across cores by blocks of one loop
+ * dimension, without materializing it: core c runs the cursor restricted to
+ * the c-th contiguous block of that dimension's range. The cores' streams are
+ * interleaved round-robin, as if they ran in lockstep; each iteration carries
+ * its `core` index.
+ *
+ * @param {Object} op - Operation definition
+ * @param {IterationCursor} cursor - Sequential iteration sequence
+ * @param {string} dim - Loop dimension to parallelize
+ * @param {number} numCores - Number of cores
+ * @returns {InterleavedCursor}
+ */
+export function distributeIterationCursor(op, cursor, dim, numCores) {
+    const blockSize = Math.ceil(op.loopBounds[dim] / numCores);
+    const streams = [];
+    for (let core = 0; core < numCores; core++) {
+        streams.push(cursor.restrict(dim, core * blockSize, (core + 1) * blockSize));
+    }
+    return new InterleavedCursor(streams);
 }
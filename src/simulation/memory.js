@@ -3,6 +3,9 @@
  */
 
 import { MATRIX_SIZE } from '../rendering/config.js';
+import { getPaddedIndex } from '../operations/placement.js';
+import { getIterationAccesses } from '../operations/packing.js';
+import { RegisterFile, getInnermostTile } from './registers.js';
 
 /**
  * Calculate linear index for a 2D tensor element.
@@ -23,20 +26,19 @@ export function getLinearIndex(row, col, layout, size = MATRIX_SIZE) {
 
 /**
  * Calculate memory address for a tensor element.
+ * Rows padded by the tensor's leading dimension are accounted for.
  *
  * @param {Object} tensor - Tensor definition from operation
  * @param {number} row - Row index
  * @param {number} col - Column index
  * @param {string} layout - 'row' or 'col'
- * @param {number} elementSize - Bytes per element
+ * @param {number} elementSize - Bytes per element (default: the tensor's own)
  * @returns {number} Memory address in bytes
  */
-export function getTensorAddress(tensor, row, col, layout, elementSize = 4) {
+export function getTensorAddress(tensor, row, col, layout, elementSize = tensor.elementSize) {
     const size = tensor.rows || MATRIX_SIZE;
-    if (layout === 'col') {
-        return tensor.baseAddress + (col * size + row) * elementSize;
-    }
-    return tensor.baseAddress + (row * size + col) * elementSize;
+    const linearIndex = layout === 'col' ? col * size + row : row * size + col;
+    return tensor.baseAddress + getPaddedIndex(tensor, linearIndex, layout) * elementSize;
 }
 
 /**
@@ -46,17 +48,72 @@ export function getTensorAddress(tensor, row, col, layout, elementSize = 4) {
  * @param {Object} tensor - Tensor definition
  * @param {Object} iter - Current iteration indices
  * @param {Object} layouts - Layout map { tensorName: layout }
- * @param {number} elementSize - Bytes per element
+ * @param {number} elementSize - Bytes per element (default: the tensor's own)
  * @returns {number} Memory address in bytes
  */
-export function getAccessAddress(tensor, iter, layouts, elementSize) {
+export function getAccessAddress(tensor, iter, layouts, elementSize = tensor.elementSize) {
     if (tensor.getLinearIndex) {
         const layout = layouts[tensor.name];
         const linearIndex = tensor.getLinearIndex(iter, layout);
-        return tensor.baseAddress + linearIndex * elementSize;
+        return tensor.baseAddress + getPaddedIndex(tensor, linearIndex, layout) * elementSize;
     }
 
     const indices = tensor.getIndices(iter);
     const layout = layouts[tensor.name];
     return getTensorAddress(tensor, indices.row, indices.col, layout, elementSize);
 }
+
+/**
+ * Visit every memory access of an iteration sequence, in the order
+ * executeStep issues them. With scalar replacement, references served by a
+ * register issue none, a register's written element is stored back (before
+ * the load that evicts it, on leaving its tile, and at the end), and only the
+ * rest go to memory.
+ * The copy iterations of operand packing bypass the registers.
+ *
+ * @param {Object} operation - Operation definition
+ * @param {Array} iterations - Iteration sequence
+ * @param {Object} layouts - Layout map { tensorName: layout }
+ * @param {Function} visit - Called with (address, tensor) for each access
+ * @param {Object} registerAllocation - Promoted tensors (see getScalarReplacement), or null
+ */
+export function forEachAccess(operation, iterations, layouts, visit, registerAllocation = null) {
+    const registers = registerAllocation ? new RegisterFile(registerAllocation) : null;
+    const storeBack = ({ tensorName, address }) => {
+        visit(address, operation.tensors.find(tensor => tensor.name === tensorName));
+    };
+    for (const iter of iterations) {
+        if (registers) {
+            registers.enterTile(getInnermostTile(operation, iter)).forEach(storeBack);
+        }
+        for (const { tensor, accessType } of getIterationAccesses(operation, iter)) {
+            const address = getAccessAddress(tensor, iter, layouts);
+            if (registers && registers.holds(tensor.name) && !iter.pack) {
+                const { load, writeback } = registers.access(tensor.name, address, accessType);
+                if (writeback !== null) visit(writeback, tensor);
+                if (load) visit(address, tensor);
+            } else {
+                visit(address, tensor);
+            }
+        }
+    }
+    if (registers) {
+        registers.flush().forEach(storeBack);
+    }
+}
+
+/**
+ * Build the address trace of an iteration sequence (see forEachAccess). Used
+ * by policies that look into the future (OPT).
+ *
+ * @param {Object} operation - Operation definition
+ * @param {Array} iterations - Iteration sequence
+ * @param {Object} layouts - Layout map { tensorName: layout }
+ * @param {Object} registerAllocation - Promoted tensors (see getScalarReplacement), or null
+ * @returns {number[]} Addresses in access order
+ */
+export function getAccessTrace(operation, iterations, layouts, registerAllocation = null) {
+    const trace = [];
+    forEachAccess(operation, iterations, layouts, address => trace.push(address), registerAllocation);
+    return trace;
+}
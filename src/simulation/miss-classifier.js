@@ -0,0 +1,68 @@
+/**
+ * 3C miss classification
+ *
+ * Runs a shadow fully associative LRU cache of the same capacity next to the
+ * real one. A miss is:
+ *   compulsory - first touch of the line
+ *   capacity   - the shadow cache misses too
+ *   conflict   - the shadow cache hits, so only set mapping/replacement caused it
+ *   coherence  - the line was lost to another core's write (multi-core only;
+ *                the caller says so, the shadow cache cannot know)
+ */
+
+import { CacheSimulator } from './cache.js';
+
+export const MISS_TYPES = ['compulsory', 'capacity', 'conflict', 'coherence'];
+
+export class MissClassifier {
+    /**
+     * @param {number} capacityBytes - Capacity of the cache being classified
+     * @param {number} lineSize - Cache line size in bytes
+     */
+    constructor(capacityBytes, lineSize) {
+        this.shadow = new CacheSimulator(capacityBytes, lineSize);
+        this.seen = new Set();
+    }
+
+    /**
+     * Feed one access through the shadow cache and classify it.
+     * Must be called for every access, hits included, to keep the shadow in step.
+     * @param {number} address - Memory address accessed
+     * @param {boolean} hit - Whether the real cache hit
+     * @param {boolean} coherenceMiss - Whether the line was invalidated by another core
+     * @returns {string | null} - One of MISS_TYPES, or null for a hit
+     */
+    classify(address, hit, coherenceMiss = false) {
+        const lineAddr = this.shadow.getLineAddress(address);
+        const shadowHit = this.shadow.access(address).hit;
+
+        if (hit) {
+            return null;
+        }
+        if (!this.seen.has(lineAddr)) {
+            this.seen.add(lineAddr);
+            return 'compulsory';
+        }
+        if (coherenceMiss) {
+            return 'coherence';
+        }
+        return shadowHit ? 'conflict' : 'capacity';
+    }
+
+    reset() {
+        this.shadow.reset();
+        this.seen = new Set();
+    }
+
+    snapshot() {
+        return {
+            shadow: this.shadow.snapshot(),
+            seen: [...this.seen]
+        };
+    }
+
+    restore(snap) {
+        this.shadow.restore(snap.shadow);
+        this.seen = new Set(snap.seen);
+    }
+}
@@ -0,0 +1,156 @@
+/**
+ * Hardware prefetcher models
+ *
+ * A prefetcher watches the demand access stream in front of the L1 cache and
+ * returns the addresses it wants brought in. The caller issues them with
+ * `cache.prefetch(address)`; the cache tracks whether each prefetched line
+ * is used before it is evicted.
+ *
+ * observe(address, stream, outcome):
+ *   address - demand address
+ *   stream  - stream key (the tensor name), for per-stream detection
+ *   outcome - { hit, prefetchHit }: L1 hit, and whether it was the first
+ *             use of a prefetched line
+ */
+
+export const PREFETCHERS = [
+    { value: 'none', label: 'None' },
+    { value: 'next-line', label: 'Next-line' },
+    { value: 'stride', label: 'Stride (per tensor)' },
+    { value: 'adjacent', label: 'Adjacent-line' }
+];
+
+/**
+ * Fetch the next sequential line on a miss, and again on the first use of a
+ * prefetched line (tagged prefetching) so a stream stays ahead.
+ */
+export class NextLinePrefetcher {
+    constructor(lineSize) {
+        this.lineSize = lineSize;
+    }
+
+    observe(address, stream, outcome) {
+        if (outcome.hit && !outcome.prefetchHit) {
+            return [];
+        }
+        const lineAddr = Math.floor(address / this.lineSize) * this.lineSize;
+        return [lineAddr + this.lineSize];
+    }
+
+    reset() {}
+
+    snapshot() {
+        return null;
+    }
+
+    restore() {}
+}
+
+/**
+ * Per-stream stride detection at line granularity. Accesses within the same
+ * line are ignored; once the same line-to-line stride is seen twice in a
+ * row, the next `degree` lines along that stride are prefetched.
+ */
+export class StridePrefetcher {
+    constructor(lineSize, degree = 1) {
+        this.lineSize = lineSize;
+        this.degree = degree;
+        this.reset();
+    }
+
+    observe(address, stream) {
+        const lineAddr = Math.floor(address / this.lineSize) * this.lineSize;
+        const entry = this.table.get(stream);
+
+        if (!entry) {
+            this.table.set(stream, { lastLine: lineAddr, stride: 0, confidence: 0 });
+            return [];
+        }
+        if (lineAddr === entry.lastLine) {
+            return [];
+        }
+
+        const stride = lineAddr - entry.lastLine;
+        if (stride === entry.stride) {
+            entry.confidence = Math.min(entry.confidence + 1, 3);
+        } else {
+            entry.stride = stride;
+            entry.confidence = 0;
+        }
+        entry.lastLine = lineAddr;
+
+        if (entry.confidence === 0) {
+            return [];
+        }
+        const targets = [];
+        for (let d = 1; d <= this.degree; d++) {
+            const target = lineAddr + stride * d;
+            if (target >= 0) {
+                targets.push(target);
+            }
+        }
+        return targets;
+    }
+
+    reset() {
+        this.table = new Map();
+    }
+
+    snapshot() {
+        return [...this.table].map(([stream, entry]) => [stream, { ...entry }]);
+    }
+
+    restore(snap) {
+        this.table = new Map(snap.map(([stream, entry]) => [stream, { ...entry }]));
+    }
+}
+
+/**
+ * Adjacent-line (spatial pair) prefetching: on a miss, fetch the other line
+ * of the aligned two-line block.
+ */
+export class AdjacentLinePrefetcher {
+    constructor(lineSize) {
+        this.lineSize = lineSize;
+    }
+
+    observe(address, stream, outcome) {
+        if (outcome.hit) {
+            return [];
+        }
+        const pairSize = 2 * this.lineSize;
+        const pairBase = Math.floor(address / pairSize) * pairSize;
+        const lineAddr = Math.floor(address / this.lineSize) * this.lineSize;
+        return [lineAddr === pairBase ? pairBase + this.lineSize : pairBase];
+    }
+
+    reset() {}
+
+    snapshot() {
+        return null;
+    }
+
+    restore() {}
+}
+
+/**
+ * Create a prefetcher by name.
+ *
+ * @param {string} name - One of PREFETCHERS values
+ * @param {number} lineSize - Cache line size in bytes
+ * @returns {Object | null} Prefetcher, or null for 'none'
+ */
+export function createPrefetcher(name, lineSize) {
+    switch (name) {
+        case 'none':
+            return null;
+        case 'next-line':
+            return new NextLinePrefetcher(lineSize);
+        case 'stride':
+            return new StridePrefetcher(lineSize);
+        case 'adjacent':
+            return new AdjacentLinePrefetcher(lineSize);
+        default:
+            throw new Error(`Unknown prefetcher: ${name}`);
+    }
+}
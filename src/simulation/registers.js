@@ -0,0 +1,191 @@
+/**
+ * Register file and scalar replacement
+ *
+ * A compiler keeps a reference that does not change across the innermost
+ * loop in a register (scalar replacement): C[i][j] with k innermost is
+ * loaded once before the k loop and stored once after it, instead of being
+ * read and written on every iteration. Loops unrolled inside the innermost
+ * loop multiply the registers a reference needs, one per unrolled copy it
+ * depends on (e.g. a 4-wide unrolled j keeps 4 elements of C live).
+ *
+ * References are promoted while registers last, written tensors first,
+ * since each of their promotions saves a load and a store. Registers live
+ * inside the loop body of the innermost cache tile: each new tile starts
+ * with them empty, as a micro-kernel loads its C tile before each kc block
+ * and stores it after.
+ *
+ * A register-blocked micro-kernel allocates its registers explicitly
+ * instead (getMicroKernelRegisters). With operand packing, registers go to
+ * the tensors compute iterations access: the buffers, not the packed inputs.
+ */
+
+import { getComputeTensors } from '../operations/packing.js';
+import { getTileVar } from './iterations.js';
+
+/**
+ * Decide which tensor references live in registers.
+ *
+ * @param {Object} op - Operation definition; tensors declare indexDims, the loop dims they are indexed by
+ * @param {string[]} innerDims - Dims varied by the innermost (rolled) loop
+ * @param {number} numRegisters - Registers available
+ * @param {Array<{ dim: string, extent: number }>} unrolled - Loops unrolled inside the innermost loop
+ * @returns {Object} Map of tensor name -> registers, for promoted tensors only
+ */
+export function getScalarReplacement(op, innerDims, numRegisters, unrolled = []) {
+    const tensors = getComputeTensors(op);
+    const written = tensors.filter(tensor => tensor.access === 'write' || tensor.access === 'readwrite');
+    const candidates = [...written, ...tensors.filter(tensor => !written.includes(tensor))];
+
+    const allocation = {};
+    let free = numRegisters;
+    for (const tensor of candidates) {
+        const dims = tensor.indexDims || op.loopDims;
+        if (dims.some(dim => innerDims.includes(dim))) continue;
+
+        const needed = unrolled
+            .filter(loop => dims.includes(loop.dim))
+            .reduce((n, loop) => n * loop.extent, 1);
+        if (needed <= free) {
+            allocation[tensor.name] = needed;
+            free -= needed;
+        }
+    }
+    return allocation;
+}
+
+/**
+ * Registers of a register-blocked micro-kernel: the MR x NR tile of the
+ * output, plus the MR sliver of one input and the NR sliver of the other
+ * loaded at each k step.
+ *
+ * @param {Object} op - Operation definition with microKernelDims ({ m, n, k })
+ * @param {number} mr - Register tile rows
+ * @param {number} nr - Register tile columns
+ * @returns {Object} Map of tensor name -> registers
+ */
+export function getMicroKernelRegisters(op, mr, nr) {
+    const { m, n } = op.microKernelDims;
+    const allocation = {};
+    for (const tensor of getComputeTensors(op)) {
+        const dims = tensor.indexDims || op.loopDims;
+        allocation[tensor.name] = (dims.includes(m) ? mr : 1) * (dims.includes(n) ? nr : 1);
+    }
+    return allocation;
+}
+
+/**
+ * Key of the innermost cache tile an iteration belongs to: the bases of its
+ * innermost tile loops, or null when it is not tiled.
+ *
+ * @param {Object} op - Operation definition
+ * @param {Object} iter - Iteration
+ * @returns {string | null}
+ */
+export function getInnermostTile(op, iter) {
+    const bases = (op.tileableDims || op.loopDims).map(dim => iter[getTileVar(dim, 0)]);
+    return bases.every(base => base === undefined) ? null : bases.join(',');
+}
+
+/**
+ * Registers holding promoted tensor elements. Each promoted tensor has its
+ * own registers, reused least recently used first; a written element is
+ * stored back when its register is reused.
+ */
+export class RegisterFile {
+    /**
+     * @param {Object} allocation - Map of tensor name -> registers (see getScalarReplacement)
+     */
+    constructor(allocation) {
+        this.allocation = allocation;
+        this.reset();
+    }
+
+    /**
+     * Whether a tensor's references live in registers.
+     */
+    holds(tensorName) {
+        return this.allocation[tensorName] > 0;
+    }
+
+    /**
+     * Access a promoted element.
+     * @param {string} tensorName
+     * @param {number} address - Element address
+     * @param {string} accessType - 'read', 'write' or 'readwrite'
+     * @returns {{ hit: boolean, load: boolean, writeback: number|null }} - load: the
+     *          element must be read from memory; writeback: address of a written
+     *          element to store back, evicted to make room
+     */
+    access(tensorName, address, accessType) {
+        const slots = this.slots[tensorName];
+        const dirty = accessType !== 'read';
+        const idx = slots.findIndex(slot => slot.address === address);
+        if (idx !== -1) {
+            const [slot] = slots.splice(idx, 1);
+            slot.dirty = slot.dirty || dirty;
+            slots.push(slot);
+            this.hits++;
+            return { hit: true, load: false, writeback: null };
+        }
+
+        let writeback = null;
+        if (slots.length >= this.allocation[tensorName]) {
+            const evicted = slots.shift();
+            if (evicted.dirty) {
+                writeback = evicted.address;
+            }
+        }
+        slots.push({ address, dirty });
+        return { hit: false, load: accessType !== 'write', writeback };
+    }
+
+    /**
+     * Move on to the iteration of a tile (see getInnermostTile): a new tile
+     * empties the registers.
+     * @param {string | null} tile
+     * @returns {Array<{ tensorName: string, address: number }>} - Written elements to store back
+     */
+    enterTile(tile) {
+        if (tile === this.tile) {
+            return [];
+        }
+        this.tile = tile;
+        return this.flush();
+    }
+
+    /**
+     * Empty every register, returning the written elements to store back.
+     * @returns {Array<{ tensorName: string, address: number }>}
+     */
+    flush() {
+        const writebacks = [];
+        for (const [tensorName, slots] of Object.entries(this.slots)) {
+            for (const slot of slots) {
+                if (slot.dirty) {
+                    writebacks.push({ tensorName, address: slot.address });
+                }
+            }
+            slots.length = 0;
+        }
+        return writebacks;
+    }
+
+    reset() {
+        this.hits = 0;
+        this.tile = null;
+        this.slots = {};
+        for (const name of Object.keys(this.allocation)) {
+            this.slots[name] = [];
+        }
+    }
+
+    snapshot() {
+        return { hits: this.hits, tile: this.tile, slots: JSON.parse(JSON.stringify(this.slots)) };
+    }
+
+    restore(snap) {
+        this.hits = snap.hits;
+        this.tile = snap.tile;
+        this.slots = JSON.parse(JSON.stringify(snap.slots));
+    }
+}
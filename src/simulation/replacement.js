@@ -0,0 +1,361 @@
+/**
+ * Cache replacement policies
+ *
+ * A policy tracks per-set metadata for the ways of a CacheSimulator and picks
+ * the way to evict when a set is full. The cache calls:
+ *   observe(setIndex, lineAddr) - before every lookup, hit or miss
+ *   touch(setIndex, way)        - on a hit
+ *   insert(setIndex, way)       - when a line is filled into a way
+ *   victim(setIndex, set)       - to choose a way to evict (set = line address per way)
+ */
+
+export const REPLACEMENT_POLICIES = [
+    { value: 'lru', label: 'LRU' },
+    { value: 'fifo', label: 'FIFO' },
+    { value: 'random', label: 'Random' },
+    { value: 'plru', label: 'Tree-PLRU' },
+    { value: 'lfu', label: 'LFU' },
+    { value: 'opt', label: 'OPT (Belady)' }
+];
+
+/**
+ * Least recently used. Each set keeps its ways ordered from LRU to MRU in a
+ * Map's insertion order, so moving a way to the MRU end (delete + set) and
+ * finding the LRU way (first key) are both O(1).
+ */
+export class LRUPolicy {
+    constructor(numSets, ways) {
+        this.numSets = numSets;
+        this.ways = ways;
+        this.reset();
+    }
+
+    observe() {}
+
+    touch(setIndex, way) {
+        this.insert(setIndex, way);
+    }
+
+    insert(setIndex, way) {
+        const order = this.order[setIndex];
+        order.delete(way);
+        order.set(way, true);
+    }
+
+    victim(setIndex) {
+        return this.order[setIndex].keys().next().value;
+    }
+
+    reset() {
+        this.order = Array.from({ length: this.numSets }, () => new Map());
+    }
+
+    snapshot() {
+        return { order: this.order.map(o => [...o.keys()]) };
+    }
+
+    restore(snap) {
+        this.order = snap.order.map(o => new Map(o.map(way => [way, true])));
+    }
+}
+
+/**
+ * First in, first out. Identical to LRU except hits do not refresh a line.
+ */
+export class FIFOPolicy extends LRUPolicy {
+    touch() {}
+}
+
+/**
+ * Uniform random victim from a seeded generator (mulberry32), so runs are
+ * reproducible and stepping backwards restores the same choices.
+ */
+export class RandomPolicy {
+    constructor(numSets, ways, seed = 1) {
+        this.ways = ways;
+        this.seed = seed;
+        this.reset();
+    }
+
+    observe() {}
+    touch() {}
+    insert() {}
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) | 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    victim() {
+        return Math.floor(this.next() * this.ways);
+    }
+
+    reset() {
+        this.state = this.seed;
+    }
+
+    snapshot() {
+        return { state: this.state };
+    }
+
+    restore(snap) {
+        this.state = snap.state;
+    }
+}
+
+/**
+ * Tree pseudo-LRU. Each set has a binary tree of ways - 1 bits; a bit points
+ * towards the half that was used less recently. Non-power-of-two way counts
+ * use the next power of two and never descend into the missing ways.
+ */
+export class TreePLRUPolicy {
+    constructor(numSets, ways) {
+        this.numSets = numSets;
+        this.ways = ways;
+        this.leaves = 1;
+        while (this.leaves < ways) {
+            this.leaves *= 2;
+        }
+        this.reset();
+    }
+
+    observe() {}
+
+    /**
+     * Walk from the root to a way, pointing every bit away from it.
+     */
+    mark(setIndex, way) {
+        const bits = this.bits[setIndex];
+        let node = 0;
+        let lo = 0;
+        let hi = this.leaves;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) / 2;
+            if (way < mid) {
+                bits[node] = 1;
+                node = 2 * node + 1;
+                hi = mid;
+            } else {
+                bits[node] = 0;
+                node = 2 * node + 2;
+                lo = mid;
+            }
+        }
+    }
+
+    touch(setIndex, way) {
+        this.mark(setIndex, way);
+    }
+
+    insert(setIndex, way) {
+        this.mark(setIndex, way);
+    }
+
+    victim(setIndex) {
+        const bits = this.bits[setIndex];
+        let node = 0;
+        let lo = 0;
+        let hi = this.leaves;
+        while (hi - lo > 1) {
+            const mid = (lo + hi) / 2;
+            const goRight = bits[node] === 1 && mid < this.ways;
+            if (goRight) {
+                node = 2 * node + 2;
+                lo = mid;
+            } else {
+                node = 2 * node + 1;
+                hi = mid;
+            }
+        }
+        return lo;
+    }
+
+    reset() {
+        this.bits = Array.from({ length: this.numSets }, () => new Array(this.leaves - 1).fill(0));
+    }
+
+    snapshot() {
+        return { bits: this.bits.map(b => [...b]) };
+    }
+
+    restore(snap) {
+        this.bits = snap.bits.map(b => [...b]);
+    }
+}
+
+/**
+ * Least frequently used. Ties go to the line filled earliest.
+ */
+export class LFUPolicy {
+    constructor(numSets, ways) {
+        this.numSets = numSets;
+        this.ways = ways;
+        this.reset();
+    }
+
+    observe() {}
+
+    touch(setIndex, way) {
+        this.counts[setIndex][way]++;
+    }
+
+    insert(setIndex, way) {
+        this.counts[setIndex][way] = 1;
+        this.filled[setIndex][way] = this.tick++;
+    }
+
+    victim(setIndex) {
+        const counts = this.counts[setIndex];
+        const filled = this.filled[setIndex];
+        let best = 0;
+        for (let way = 1; way < this.ways; way++) {
+            if (counts[way] < counts[best] ||
+                (counts[way] === counts[best] && filled[way] < filled[best])) {
+                best = way;
+            }
+        }
+        return best;
+    }
+
+    reset() {
+        this.counts = Array.from({ length: this.numSets }, () => new Array(this.ways).fill(0));
+        this.filled = Array.from({ length: this.numSets }, () => new Array(this.ways).fill(0));
+        this.tick = 0;
+    }
+
+    snapshot() {
+        return {
+            counts: this.counts.map(c => [...c]),
+            filled: this.filled.map(f => [...f]),
+            tick: this.tick
+        };
+    }
+
+    restore(snap) {
+        this.counts = snap.counts.map(c => [...c]);
+        this.filled = snap.filled.map(f => [...f]);
+        this.tick = snap.tick;
+    }
+}
+
+/**
+ * Belady's optimal policy: evict the line whose next use lies furthest in the
+ * future. Needs the full address trace up front.
+ *
+ * The policy keeps a cursor into the trace and resynchronizes it on every
+ * observed access by jumping to the next occurrence of that line. For the
+ * cache that sees the whole trace this is exact; a lower level that only sees
+ * misses gets a close approximation.
+ */
+export class OPTPolicy {
+    /**
+     * @param {number} numSets - Number of sets
+     * @param {number} ways - Ways per set
+     * @param {number[]} trace - Every address the program will access, in order
+     * @param {number} lineSize - Cache line size in bytes
+     */
+    constructor(numSets, ways, trace, lineSize) {
+        this.lineSize = lineSize;
+        this.uses = new Map();
+        trace.forEach((address, time) => {
+            const lineAddr = Math.floor(address / lineSize) * lineSize;
+            if (!this.uses.has(lineAddr)) {
+                this.uses.set(lineAddr, []);
+            }
+            this.uses.get(lineAddr).push(time);
+        });
+        this.reset();
+    }
+
+    /**
+     * First use of a line at or after `time`, or Infinity if never used again.
+     */
+    nextUse(lineAddr, time) {
+        const times = this.uses.get(lineAddr);
+        if (!times) return Infinity;
+
+        let lo = 0;
+        let hi = times.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (times[mid] < time) {
+                lo = mid + 1;
+            } else {
+                hi = mid;
+            }
+        }
+        return lo < times.length ? times[lo] : Infinity;
+    }
+
+    observe(setIndex, lineAddr) {
+        const time = this.nextUse(lineAddr, this.cursor + 1);
+        if (time !== Infinity) {
+            this.cursor = time;
+        }
+    }
+
+    touch() {}
+    insert() {}
+
+    victim(setIndex, set) {
+        let best = 0;
+        let bestTime = -1;
+        set.forEach((lineAddr, way) => {
+            const time = this.nextUse(lineAddr, this.cursor + 1);
+            if (time > bestTime) {
+                best = way;
+                bestTime = time;
+            }
+        });
+        return best;
+    }
+
+    reset() {
+        this.cursor = -1;
+    }
+
+    snapshot() {
+        return { cursor: this.cursor };
+    }
+
+    restore(snap) {
+        this.cursor = snap.cursor;
+    }
+}
+
+/**
+ * Create a replacement policy by name.
+ *
+ * @param {string} name - One of REPLACEMENT_POLICIES values
+ * @param {number} numSets - Number of sets
+ * @param {number} ways - Ways per set
+ * @param {Object} options - Policy-specific options
+ * @param {number} options.seed - Seed for 'random'
+ * @param {number[]} options.trace - Future address trace for 'opt'
+ * @param {number} options.lineSize - Line size for 'opt'
+ * @returns {Object} Replacement policy
+ */
+export function createReplacementPolicy(name, numSets, ways, options = {}) {
+    switch (name) {
+        case 'lru':
+            return new LRUPolicy(numSets, ways);
+        case 'fifo':
+            return new FIFOPolicy(numSets, ways);
+        case 'random':
+            return new RandomPolicy(numSets, ways, options.seed);
+        case 'plru':
+            return new TreePLRUPolicy(numSets, ways);
+        case 'lfu':
+            return new LFUPolicy(numSets, ways);
+        case 'opt':
+            if (!options.trace) {
+                throw new Error('OPT replacement requires the future access trace');
+            }
+            return new OPTPolicy(numSets, ways, options.trace, options.lineSize);
+        default:
+            throw new Error(`Unknown replacement policy: ${name}`);
+    }
+}
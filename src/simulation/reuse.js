@@ -0,0 +1,204 @@
+/**
+ * Reuse-distance (LRU stack distance) analysis
+ *
+ * The stack distance of an access is the number of distinct other lines
+ * touched since the previous access to the same line (Mattson et al.). The
+ * first touch of a line has infinite distance. A fully associative LRU cache
+ * of C lines hits exactly the accesses with distance < C, so one pass over
+ * the trace gives the hit rate of every such cache size.
+ *
+ * Distances are computed over the combined trace of all tensors, since they
+ * share the cache, and then attributed to the tensor that issued each access.
+ *
+ * The pass keeps one mark per line at the time of its latest access in a
+ * Fenwick tree; the distance is the number of marks after the line's
+ * previous access. When the tree fills up, the marks are renumbered 0..L-1
+ * in access order (L distinct lines so far), so the pass streams the trace
+ * in O(L) memory and each access costs amortized O(log L).
+ */
+
+import { forEachAccess } from './memory.js';
+
+/**
+ * Fenwick (binary indexed) tree over access times.
+ */
+class FenwickTree {
+    constructor(size) {
+        this.tree = new Int32Array(size + 1);
+    }
+
+    get size() {
+        return this.tree.length - 1;
+    }
+
+    add(index, delta) {
+        for (let i = index + 1; i < this.tree.length; i += i & -i) {
+            this.tree[i] += delta;
+        }
+    }
+
+    /**
+     * Sum of entries [0, index].
+     */
+    prefixSum(index) {
+        let sum = 0;
+        for (let i = index + 1; i > 0; i -= i & -i) {
+            sum += this.tree[i];
+        }
+        return sum;
+    }
+}
+
+const MIN_MARKS = 1024;
+
+/**
+ * Streaming stack distance pass: feed it addresses one at a time.
+ */
+class StackDistanceCounter {
+    constructor(lineSize) {
+        this.lineSize = lineSize;
+        this.marks = new FenwickTree(MIN_MARKS);
+        // Line -> time of its latest access, kept in access order
+        this.lastAccess = new Map();
+        this.time = 0;
+    }
+
+    /**
+     * Record an access.
+     * @param {number} address - Address accessed
+     * @returns {number} - Its stack distance, Infinity for a line's first touch
+     */
+    access(address) {
+        if (this.time === this.marks.size) {
+            this.compact();
+        }
+        const lineAddr = Math.floor(address / this.lineSize);
+        const previous = this.lastAccess.get(lineAddr);
+        let distance = Infinity;
+
+        if (previous !== undefined) {
+            distance = this.lastAccess.size - this.marks.prefixSum(previous);
+            this.marks.add(previous, -1);
+            this.lastAccess.delete(lineAddr);
+        }
+        this.marks.add(this.time, 1);
+        this.lastAccess.set(lineAddr, this.time++);
+        return distance;
+    }
+
+    /**
+     * Renumber the marks 0..L-1 in access order, leaving room for at least as
+     * many accesses again.
+     */
+    compact() {
+        this.marks = new FenwickTree(Math.max(MIN_MARKS, 2 * this.lastAccess.size));
+        this.time = 0;
+        for (const lineAddr of this.lastAccess.keys()) {
+            this.marks.add(this.time, 1);
+            this.lastAccess.set(lineAddr, this.time++);
+        }
+    }
+}
+
+/**
+ * Stack distance of every access in a trace.
+ * @param {number[]} trace - Addresses in access order
+ * @param {number} lineSize - Cache line size in bytes
+ * @returns {number[]} - Distance per access, Infinity for a line's first touch
+ */
+export function computeStackDistances(trace, lineSize) {
+    const counter = new StackDistanceCounter(lineSize);
+    return trace.map(address => counter.access(address));
+}
+
+/**
+ * Histogram bucket of a finite distance: bucket 0 holds distance 0, bucket b
+ * holds [2^(b-1), 2^b - 1].
+ */
+export function getReuseBucket(distance) {
+    return distance === 0 ? 0 : Math.floor(Math.log2(distance)) + 1;
+}
+
+/**
+ * Label for a histogram bucket, e.g. '0', '1', '2-3', '4-7'.
+ */
+export function getReuseBucketLabel(bucket) {
+    if (bucket <= 1) return String(bucket);
+    return `${2 ** (bucket - 1)}-${2 ** bucket - 1}`;
+}
+
+/**
+ * Reuse profile of an iteration sequence, computed in one streaming pass
+ * without storing the trace.
+ *
+ * @param {Object} operation - Operation definition
+ * @param {Iterable} iterations - Iteration sequence
+ * @param {Object} layouts - Layout per tensor name
+ * @param {number} lineSize - Cache line size in bytes
+ * @param {Object} registerAllocation - Tensors kept in registers (see getScalarReplacement),
+ *        whose register hits never reach the cache; null for none
+ * @returns {{
+ *   tensors: Object<string, { histogram: number[], cold: number, accesses: number }>,
+ *   numBuckets: number,
+ *   bucketLabels: string[],
+ *   accesses: number,
+ *   missRateCurve: number[]
+ * }} - Per-tensor log2 histograms and cold (first-touch) counts; missRateCurve[c]
+ *      is the miss rate of a fully associative LRU cache of c lines, for c from 0
+ *      up to the size at which only cold misses remain
+ */
+export function buildReuseProfile(operation, iterations, layouts, lineSize, registerAllocation = null) {
+    const tensors = {};
+    for (const tensor of operation.tensors) {
+        tensors[tensor.name] = { histogram: [], cold: 0, accesses: 0 };
+    }
+
+    // hitsAt[d]: accesses with distance exactly d
+    const hitsAt = [];
+    let accesses = 0;
+    const counter = new StackDistanceCounter(lineSize);
+    forEachAccess(operation, iterations, layouts, (address, tensor) => {
+        const distance = counter.access(address);
+        const entry = tensors[tensor.name];
+        accesses++;
+        entry.accesses++;
+        if (distance === Infinity) {
+            entry.cold++;
+            return;
+        }
+        const bucket = getReuseBucket(distance);
+        entry.histogram[bucket] = (entry.histogram[bucket] || 0) + 1;
+        hitsAt[distance] = (hitsAt[distance] || 0) + 1;
+    }, registerAllocation);
+
+    const maxDistance = hitsAt.length - 1;
+    const numBuckets = maxDistance >= 0 ? getReuseBucket(maxDistance) + 1 : 0;
+    for (const entry of Object.values(tensors)) {
+        entry.histogram = Array.from({ length: numBuckets }, (_, bucket) => entry.histogram[bucket] || 0);
+    }
+
+    const missRateCurve = [];
+    let hits = 0;
+    for (let lines = 0; lines <= maxDistance + 1; lines++) {
+        missRateCurve.push(accesses > 0 ? (accesses - hits) / accesses : 0);
+        if (lines <= maxDistance) {
+            hits += hitsAt[lines] || 0;
+        }
+    }
+
+    const bucketLabels = [];
+    for (let bucket = 0; bucket < numBuckets; bucket++) {
+        bucketLabels.push(getReuseBucketLabel(bucket));
+    }
+
+    return { tensors, numBuckets, bucketLabels, accesses, missRateCurve };
+}
+
+/**
+ * Miss rate of a fully associative LRU cache of the given size, read off a
+ * profile's curve; beyond its end only cold misses remain.
+ */
+export function getMissRateForCapacity(profile, lines) {
+    const curve = profile.missRateCurve;
+    return curve[Math.min(lines, curve.length - 1)];
+}
@@ -0,0 +1,275 @@
+/**
+ * Loop transformation schedules
+ *
+ * A small scheduling language in the spirit of Halide and TVM: starting
+ * from a loop order, directives transform the loop nest, e.g.
+ *
+ *   split(i, 4); split(j, 4); reorder(io, jo, k, ii, ji); unroll(ii)
+ *
+ * Directives, separated by ';' or newlines:
+ *   split(v, f[, outer, inner])  v = outer*f + inner; names default to vo, vi
+ *   reorder(a, b, ...)           nest the listed loops outermost first, in
+ *                                the positions they occupy
+ *   fuse(a, b[, name])           one loop over (a, b); b must be directly
+ *                                inside a; name defaults to ab
+ *   unroll(v[, f])               unroll v, or split v by f and unroll the inner loop
+ *   unroll_and_jam(v, f)         split v by f and jam the copies into the
+ *                                innermost loop
+ *
+ * Splits are tile loops: a factor that does not divide the loop clips the
+ * last tile, so every point is visited exactly once. A split's inner loop
+ * must stay inside its outer loop. Unrolling does not change the iteration
+ * order, only the code.
+ */
+
+import { IterationCursor } from './iterations.js';
+
+export const SCHEDULE_DIRECTIVES = ['split', 'reorder', 'fuse', 'unroll', 'unroll_and_jam'];
+
+const IDENTIFIER = /^[A-Za-z_]\w*$/;
+
+/**
+ * Parse a schedule into directives.
+ * @param {string} text - Schedule source
+ * @returns {Array<{ name: string, args: Array<string|number> }>}
+ */
+export function parseSchedule(text) {
+    const directives = [];
+    for (const statement of text.split(/[;\n]/)) {
+        const source = statement.trim();
+        if (source === '') continue;
+
+        const match = source.match(/^(\w+)\s*\(([^()]*)\)$/);
+        if (!match) {
+            throw new Error(`Invalid schedule directive: "${source}"`);
+        }
+        const [, name, argList] = match;
+        if (!SCHEDULE_DIRECTIVES.includes(name)) {
+            throw new Error(`Unknown schedule directive: ${name}`);
+        }
+        const args = argList.trim() === '' ? [] : argList.split(',').map(arg => {
+            const value = arg.trim();
+            if (/^\d+$/.test(value)) return parseInt(value);
+            if (IDENTIFIER.test(value)) return value;
+            throw new Error(`Invalid argument of ${name}: "${value}"`);
+        });
+        directives.push({ name, args });
+    }
+    return directives;
+}
+
+/**
+ * Loop nest being transformed. Each loop of the nest is one or more
+ * IterationCursor loops (several once fused), each with its nominal extent.
+ */
+class LoopNest {
+    constructor(op, order) {
+        this.op = op;
+        this.names = new Set(order);
+        this.specs = new Map();
+        this.loops = order.map(dim => {
+            const spec = { name: dim, dim, step: 1, parent: null, indexed: true, extent: op.loopBounds[dim], span: op.loopBounds[dim] };
+            this.specs.set(dim, spec);
+            return { name: dim, parts: [dim], unrolled: false };
+        });
+    }
+
+    indexOf(name) {
+        const index = this.loops.findIndex(loop => loop.name === name);
+        if (index === -1) {
+            throw new Error(`Unknown loop variable: ${name}`);
+        }
+        return index;
+    }
+
+    newName(name) {
+        if (typeof name !== 'string') {
+            throw new Error(`Invalid loop variable name: ${name}`);
+        }
+        if (this.names.has(name) || this.op.loopDims.includes(name)) {
+            throw new Error(`Loop variable already exists: ${name}`);
+        }
+        this.names.add(name);
+        return name;
+    }
+
+    split(name, factor, outerName = name + 'o', innerName = name + 'i') {
+        if (!Number.isInteger(factor) || factor < 1) {
+            throw new Error(`Invalid split factor: ${factor}`);
+        }
+        const index = this.indexOf(name);
+        if (this.loops[index].parts.length > 1) {
+            throw new Error(`Cannot split fused loop ${name}`);
+        }
+        const spec = this.specs.get(name);
+        const outer = {
+            ...spec, name: this.newName(outerName), step: spec.step * factor,
+            extent: Math.ceil(spec.span / (spec.step * factor))
+        };
+        const inner = {
+            ...spec, name: this.newName(innerName), parent: outer.name,
+            span: spec.step * factor, extent: factor
+        };
+        this.specs.delete(name);
+        this.specs.set(outer.name, outer);
+        this.specs.set(inner.name, inner);
+        // Loops split off from this one now tile its inner part
+        for (const other of this.specs.values()) {
+            if (other.parent === name) other.parent = inner.name;
+        }
+        this.loops.splice(index, 1,
+            { name: outer.name, parts: [outer.name], unrolled: false },
+            { name: inner.name, parts: [inner.name], unrolled: this.loops[index].unrolled });
+        return inner.name;
+    }
+
+    reorder(names) {
+        if (new Set(names).size !== names.length) {
+            throw new Error(`reorder lists a loop twice: ${names.join(', ')}`);
+        }
+        const positions = names.map(name => this.indexOf(name)).sort((a, b) => a - b);
+        const moved = names.map(name => this.loops[this.indexOf(name)]);
+        positions.forEach((position, idx) => {
+            this.loops[position] = moved[idx];
+        });
+        this.checkNesting();
+    }
+
+    fuse(outerName, innerName, name = outerName + innerName) {
+        const index = this.indexOf(outerName);
+        if (this.indexOf(innerName) !== index + 1) {
+            throw new Error(`Cannot fuse ${outerName} and ${innerName}: ${innerName} must be directly inside ${outerName}`);
+        }
+        const [outer, inner] = this.loops.slice(index, index + 2);
+        this.loops.splice(index, 2, {
+            name: this.newName(name),
+            parts: [...outer.parts, ...inner.parts],
+            unrolled: outer.unrolled && inner.unrolled
+        });
+    }
+
+    unroll(name) {
+        this.loops[this.indexOf(name)].unrolled = true;
+    }
+
+    moveInnermost(name) {
+        const [loop] = this.loops.splice(this.indexOf(name), 1);
+        this.loops.push(loop);
+        this.checkNesting();
+    }
+
+    /**
+     * A split's inner loop walks within the outer loop's current tile, so it
+     * must be nested inside it.
+     */
+    checkNesting() {
+        const position = new Map();
+        this.loops.forEach((loop, idx) => {
+            loop.parts.forEach((part, partIdx) => position.set(part, idx + partIdx / loop.parts.length));
+        });
+        for (const spec of this.specs.values()) {
+            if (spec.parent && position.get(spec.parent) > position.get(spec.name)) {
+                throw new Error(`${spec.name} must stay inside ${spec.parent}`);
+            }
+        }
+    }
+}
+
+const USAGE = {
+    split: 'split(v, factor[, outer, inner])',
+    reorder: 'reorder(a, b, ...)',
+    fuse: 'fuse(a, b[, name])',
+    unroll: 'unroll(v[, factor])',
+    unroll_and_jam: 'unroll_and_jam(v, factor)'
+};
+
+/**
+ * Compile a schedule into its loop nest.
+ *
+ * @param {Object} op - Operation definition
+ * @param {string} loopOrder - Loop order the schedule starts from (e.g., 'ijk')
+ * @param {string} text - Schedule source (see parseSchedule)
+ * @returns {{ loops: Array<{ name: string, unrolled: boolean, extent: number,
+ *            parts: Array<{ name: string, dim: string, step: number, parent: string|null, extent: number }> }> }}
+ *          Loops outermost first; parts are the loops a fused loop runs over
+ */
+export function compileSchedule(op, loopOrder, text) {
+    const order = op.loopOrders[loopOrder];
+    if (!order) {
+        throw new Error(`Unknown loop order: ${loopOrder}`);
+    }
+
+    const nest = new LoopNest(op, order);
+    for (const { name, args } of parseSchedule(text)) {
+        const arity = {
+            split: [2, 4], reorder: [2, Infinity], fuse: [2, 3], unroll: [1, 2], unroll_and_jam: [2, 2]
+        }[name];
+        if (args.length < arity[0] || args.length > arity[1] || (name === 'split' && args.length === 3)) {
+            throw new Error(`Expected ${USAGE[name]}`);
+        }
+
+        if (name === 'split') {
+            nest.split(...args);
+        } else if (name === 'reorder') {
+            nest.reorder(args);
+        } else if (name === 'fuse') {
+            nest.fuse(...args);
+        } else if (name === 'unroll') {
+            nest.unroll(args.length === 2 ? nest.split(args[0], args[1]) : args[0]);
+        } else {
+            const inner = nest.split(args[0], args[1]);
+            nest.moveInnermost(inner);
+            nest.unroll(inner);
+        }
+    }
+
+    return {
+        loops: nest.loops.map(loop => {
+            const parts = loop.parts.map(part => {
+                const { name, dim, step, parent, extent } = nest.specs.get(part);
+                return { name, dim, step, parent, extent };
+            });
+            return {
+                name: loop.name,
+                unrolled: loop.unrolled,
+                extent: parts.reduce((n, part) => n * part.extent, 1),
+                parts
+            };
+        })
+    };
+}
+
+/**
+ * Index of a compiled schedule loop in an iteration; a fused loop's index
+ * combines its parts' indices, the last part varying fastest.
+ * @param {Object} loop - Loop of compileSchedule's nest
+ * @param {Object} iter - Iteration of the schedule's cursor
+ */
+export function getLoopIndex(loop, iter) {
+    return loop.parts.reduce((index, part) => index * part.extent + iter[part.name], 0);
+}
+
+/**
+ * Cursor over a schedule's iteration sequence. Each iteration carries the
+ * index of every loop variable (e.g. io, ii) besides the dims.
+ *
+ * @param {Object} op - Operation definition
+ * @param {string} loopOrder - Loop order the schedule starts from
+ * @param {string} text - Schedule source (see parseSchedule)
+ * @returns {IterationCursor}
+ */
+export function createScheduleCursor(op, loopOrder, text) {
+    const { loops } = compileSchedule(op, loopOrder, text);
+    const cursorLoops = [];
+    for (const loop of loops) {
+        for (const { name, dim, step, parent } of loop.parts) {
+            cursorLoops.push({ name, dim, step, parent, indexed: true });
+        }
+    }
+
+    const domains = {};
+    for (const dim of op.loopDims) {
+        domains[dim] = [0, op.loopBounds[dim]];
+    }
+    return new IterationCursor(op, cursorLoops, domains);
+}
@@ -0,0 +1,60 @@
+/**
+ * Translation lookaside buffer
+ *
+ * Caches virtual-to-physical page translations. Structurally a TLB is a small
+ * cache whose "lines" are pages, so it reuses CacheSimulator with the page
+ * size as the line size and one line per entry.
+ *
+ * The simulated address space is identity mapped: translation never changes
+ * an address, it only decides whether the page walk was needed.
+ */
+
+import { CacheSimulator } from './cache.js';
+
+export class TLB {
+    /**
+     * @param {number} entries - Number of translations held
+     * @param {number} pageSize - Page size in bytes
+     * @param {number} associativity - Entries per set (0 = fully associative)
+     */
+    constructor(entries, pageSize, associativity = 0) {
+        this.entries = entries;
+        this.pageSize = pageSize;
+        this.entriesCache = new CacheSimulator(entries * pageSize, pageSize, 1, { associativity });
+    }
+
+    get hits() {
+        return this.entriesCache.hits;
+    }
+
+    get misses() {
+        return this.entriesCache.misses;
+    }
+
+    getPageNumber(address) {
+        return Math.floor(address / this.pageSize);
+    }
+
+    /**
+     * Translate an address, filling the TLB on a miss.
+     * @param {number} address - Virtual address
+     * @returns {{ hit: boolean, address: number, page: number }} - physical
+     *          address and its page number
+     */
+    translate(address) {
+        const { hit } = this.entriesCache.access(address);
+        return { hit, address, page: this.getPageNumber(address) };
+    }
+
+    reset() {
+        this.entriesCache.reset();
+    }
+
+    snapshot() {
+        return this.entriesCache.snapshot();
+    }
+
+    restore(snap) {
+        this.entriesCache.restore(snap);
+    }
+}
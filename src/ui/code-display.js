@@ -3,6 +3,11 @@
  */
 
 import { state, operation } from './state.js';
+import { getComputeTensors } from '../operations/index.js';
+import {
+    getTileLevels, getTileVar, isSpaceFillingCurve, getCurveSide, isRecursiveSchedule, getRecursiveBaseOrder,
+    compileSchedule, getLoopIndex
+} from '../simulation/index.js';
 
 /**
  * Get the loop order array for the current configuration.
@@ -18,18 +23,45 @@ export function updateCodeDisplay() {
     const codeDiv = document.getElementById('codeDisplay');
     const order = getLoopOrderArray();
 
-    if (state.tilingEnabled) {
-        codeDiv.innerHTML = generateTiledCodeHTML(order, state.tileSize);
+    if (isSpaceFillingCurve(state.loopOrder)) {
+        codeDiv.innerHTML = generateCurveCodeHTML(state.loopOrder);
+    } else if (isRecursiveSchedule(state.loopOrder)) {
+        codeDiv.innerHTML = generateRecursiveCodeHTML(operation.loopOrders[getRecursiveBaseOrder(state.loopOrder)]);
+    } else if (state.schedule) {
+        codeDiv.innerHTML = generateScheduleCodeHTML(compileSchedule(operation, state.loopOrder, state.schedule).loops);
+    } else if (state.microKernel) {
+        const levels = state.tilingEnabled ? getTileLevels(operation, state.loopOrder, state.tileLevels) : [];
+        codeDiv.innerHTML = generateMicroKernelCodeHTML(state.microKernel, levels);
+    } else if (state.tilingEnabled) {
+        codeDiv.innerHTML = generateTiledCodeHTML(order, getTileLevels(operation, state.loopOrder, state.tileLevels));
     } else {
         codeDiv.innerHTML = generateNonTiledCodeHTML(order);
     }
+
+    const promoted = Object.entries(state.registerAllocation);
+    if (promoted.length > 0) {
+        const names = promoted.map(([name, count]) => `${name} (${count} reg${count === 1 ? '' : 's'})`);
+        codeDiv.innerHTML += line(0, comment(`# in registers: ${names.join(', ')}`));
+    }
+
+    if (operation.packing) {
+        const iter = state.iterations.at(state.currentIteration);
+        const copying = Boolean(iter && iter.pack);
+        const buffers = Object.entries(operation.packing.buffers).map(([source, buffer]) => `${source} → ${buffer}`);
+        const slots = operation.packing.numCores > 1 ? ', one slot per core' : '';
+        let content = comment(`# packed: ${buffers.join(', ')}, copied at each new block${slots}`);
+        if (copying) {
+            content += comment(`← copying ${iter.pack}`);
+        }
+        codeDiv.innerHTML += line(0, content, copying);
+    }
 }
 
 /**
  * Generate HTML for non-tiled loop code.
  */
 function generateNonTiledCodeHTML(order) {
-    const iter = state.iterations[state.currentIteration];
+    const iter = state.iterations.at(state.currentIteration);
     const bounds = operation.loopBounds;
     let html = '';
     const numLoops = order.length;
@@ -57,11 +89,246 @@ function generateNonTiledCodeHTML(order) {
     return html;
 }
 
+/**
+ * Markup helpers for the generated schedules (curves, recursion, schedule language).
+ */
+const keyword = (text) => `<span class="code-keyword">${text}</span>`;
+const variable = (text) => `<span class="code-var">${text}</span>`;
+const number = (text) => `<span class="code-number">${text}</span>`;
+const comment = (text) => ` <span class="code-comment">${text}</span>`;
+const line = (level, content, isCurrent = false) =>
+    `<div class="code-line${isCurrent ? ' current' : ''}">${'  '.repeat(level)}${content}</div>`;
+
+/**
+ * Generate HTML for a space-filling-curve traversal, as the recursive
+ * function that walks the curve dims quadrant by quadrant, with the other
+ * loops nested at each point.
+ */
+function generateCurveCodeHTML(curve) {
+    const iter = state.iterations.at(state.currentIteration);
+    const bounds = operation.loopBounds;
+    const [rowDim, colDim] = operation.curveDims;
+    const innerDims = operation.loopDims.filter(dim => !operation.curveDims.includes(dim));
+    const side = getCurveSide(bounds[rowDim], bounds[colDim]);
+    const hasCurrent = iter && state.currentIteration < state.iterations.length;
+    const r0 = rowDim + '0';
+    const c0 = colDim + '0';
+    let html = '';
+
+    const params = curve === 'hilbert' ? `${r0}, ${c0}, n, rot` : `${r0}, ${c0}, n`;
+    html += line(0, `${keyword('def')} ${curve}(${params}):`);
+    html += line(1, `${keyword('if')} ${variable(r0)} >= ${number(bounds[rowDim])} ${keyword('or')} ${variable(c0)} >= ${number(bounds[colDim])}: ${keyword('return')}` +
+        comment('# quadrant outside the plane'));
+    html += line(1, `${keyword('if')} ${variable('n')} == ${number(1)}:`);
+    html += line(2, `${variable(rowDim)}, ${variable(colDim)} = ${variable(r0)}, ${variable(c0)}`);
+
+    innerDims.forEach((dim, idx) => {
+        const isCurrent = hasCurrent && idx === innerDims.length - 1;
+        let content = `${keyword('for')} ${variable(dim)} ${keyword('in')} ${number(0)}..${number(bounds[dim])}:`;
+        if (isCurrent) {
+            content += comment(`← ${dim}=${iter[dim]}`);
+        }
+        html += line(2 + idx, content, isCurrent);
+    });
+    html += line(2 + innerDims.length, operation.codeTemplate);
+    html += line(2, keyword('return'));
+
+    html += line(1, `${variable('half')} = ${variable('n')} / ${number(2)}`);
+    if (curve === 'hilbert') {
+        html += line(1, `${keyword('for')} (${variable('d' + rowDim)}, ${variable('d' + colDim)}, ${variable('r')}) ${keyword('in')} QUADRANTS[${variable('rot')}]:` +
+            comment('# U-shaped, each quadrant rotated to join up'));
+        html += line(2, `${curve}(${variable(r0)} + ${variable('d' + rowDim)}*${variable('half')}, ${variable(c0)} + ${variable('d' + colDim)}*${variable('half')}, ${variable('half')}, ${variable('r')})`);
+    } else {
+        for (const [dr, dc] of [[0, 0], [0, 1], [1, 0], [1, 1]]) {
+            const row = dr ? `${variable(r0)} + ${variable('half')}` : variable(r0);
+            const col = dc ? `${variable(c0)} + ${variable('half')}` : variable(c0);
+            html += line(1, `${curve}(${row}, ${col}, ${variable('half')})`);
+        }
+    }
+
+    const args = curve === 'hilbert' ? `${number(0)}, ${number(0)}, ${number(side)}, ${number(0)}` : `${number(0)}, ${number(0)}, ${number(side)}`;
+    let call = `${curve}(${args})`;
+    if (hasCurrent) {
+        call += comment(`← ${rowDim}=${iter[rowDim]}, ${colDim}=${iter[colDim]}`);
+    }
+    html += line(0, call);
+    return html;
+}
+
+/**
+ * Generate HTML for a recursive divide-and-conquer schedule: halve the
+ * largest recursive dim until the box fits the base size, then run the base
+ * loop order over the box.
+ */
+function generateRecursiveCodeHTML(baseOrder) {
+    const iter = state.iterations.at(state.currentIteration);
+    const bounds = operation.loopBounds;
+    const splitDims = operation.recursiveDims || operation.loopDims;
+    const hasCurrent = iter && state.currentIteration < state.iterations.length;
+    let html = '';
+
+    const params = operation.loopDims.map(dim => `${variable(dim + '0')}, ${variable(dim + '1')}`).join(', ');
+    const extents = splitDims.map(dim => `${variable(dim + '1')}-${variable(dim + '0')}`).join(', ');
+
+    html += line(0, `${keyword('def')} recurse(${params}, ${variable('depth')}):`);
+    html += line(1, `${keyword('if')} max(${extents}) <= ${number(state.recursionBase)}:`);
+    baseOrder.forEach((dim, idx) => {
+        const isCurrent = hasCurrent && idx === baseOrder.length - 1;
+        let content = `${keyword('for')} ${variable(dim)} ${keyword('in')} ${variable(dim + '0')}..${variable(dim + '1')}:`;
+        if (isCurrent) {
+            content += comment(`← ${dim}=${iter[dim]}`);
+        }
+        html += line(2 + idx, content, isCurrent);
+    });
+    html += line(2 + baseOrder.length, operation.codeTemplate);
+    html += line(2, keyword('return'));
+    html += line(1, `${variable('d')} = largest of (${splitDims.join(', ')})` + comment('# first on ties'));
+    html += line(1, `recurse(first half of ${variable('d')}, ${variable('depth')}+${number(1)})`);
+    html += line(1, `recurse(second half of ${variable('d')}, ${variable('depth')}+${number(1)})`);
+
+    const args = operation.loopDims.map(dim => `${number(0)}, ${number(bounds[dim])}`).join(', ');
+    let call = `recurse(${args}, ${number(0)})`;
+    if (hasCurrent) {
+        call += comment(`← depth=${iter.depth}`);
+    }
+    html += line(0, call);
+    return html;
+}
+
+/**
+ * Generate HTML for a compiled schedule: one loop per schedule loop,
+ * unrolled loops marked, fused loops unpacked into their parts, then each
+ * split dim recomputed from its loops before the body.
+ * @param {Array} loops - Loops of the nest, outermost first (see compileSchedule)
+ */
+function generateScheduleCodeHTML(loops) {
+    const iter = state.iterations.at(state.currentIteration);
+    const bounds = operation.loopBounds;
+    const hasCurrent = iter && state.currentIteration < state.iterations.length;
+    const steps = new Map(loops.flatMap(loop => loop.parts).map(part => [part.name, part.step]));
+    let html = '';
+    let level = 0;
+
+    loops.forEach((loop, idx) => {
+        const isCurrent = hasCurrent && idx === loops.length - 1;
+        // A split clips when its factor does not divide the enclosing range
+        const clipped = loop.parts.some(part =>
+            (part.parent === null ? bounds[part.dim] : steps.get(part.parent)) % part.step !== 0);
+        let content = `${keyword(loop.unrolled ? 'unroll' : 'for')} ${variable(loop.name)} ${keyword('in')} ${number(0)}..${number(loop.extent)}:`;
+        if (hasCurrent) {
+            content += comment(`← ${loop.name}=${getLoopIndex(loop, iter)}`);
+        }
+        if (clipped) {
+            content += comment('# last tile clipped');
+        }
+        html += line(level, content, isCurrent);
+        level++;
+
+        if (loop.parts.length > 1) {
+            const names = loop.parts.map(part => variable(part.name)).join(', ');
+            const extents = loop.parts.map(part => number(part.extent)).join(', ');
+            html += line(level, `${names} = unravel(${variable(loop.name)}, (${extents}))`);
+        }
+    });
+
+    // Each split dim is the sum of its loops' offsets
+    for (const dim of operation.loopDims) {
+        const parts = loops.flatMap(loop => loop.parts).filter(part => part.dim === dim)
+            .sort((a, b) => b.step - a.step);
+        if (parts.length > 1) {
+            const terms = parts.map(part => part.step === 1 ? variable(part.name) : `${number(part.step)}*${variable(part.name)}`);
+            html += line(level, `${variable(dim)} = ${terms.join(' + ')}`);
+        }
+    }
+    html += line(level, operation.codeTemplate);
+    return html;
+}
+
+/**
+ * Generate HTML for a register-blocked micro-kernel: the cache tile loops,
+ * then the jr / ir loops over register tiles, the register tile of the
+ * output loaded before the k loop and stored after it, and one outer
+ * product of an MR and an NR sliver per k.
+ * @param {{ mr: number, nr: number }} microTile - Register tile rows and columns
+ * @param {Array} levels - Cache tile levels, outermost first (see getTileLevels); [] if untiled
+ */
+function generateMicroKernelCodeHTML(microTile, levels) {
+    const iter = state.iterations.at(state.currentIteration);
+    const bounds = operation.loopBounds;
+    const hasCurrent = iter && state.currentIteration < state.iterations.length;
+    const { m, n, k } = operation.microKernelDims;
+    let html = '';
+    let level = 0;
+
+    levels.forEach((tileLevel, idx) => {
+        const depth = levels.length - 1 - idx;
+        for (const dim of tileLevel.order) {
+            const varName = getTileVar(dim, depth);
+            const parentVar = getTileVar(dim, depth + 1);
+            const range = idx === 0
+                ? `${number(0)}..${number(bounds[dim])}`
+                : `${variable(parentVar)}..${variable(parentVar)}+${number(levels[idx - 1].tileSizes[dim])}`;
+            let content = `${keyword('for')} ${variable(varName)} ${keyword('in')} ${range} ${keyword('step')} ${number(tileLevel.tileSizes[dim])}:`;
+            if (hasCurrent) {
+                content += comment(`← ${varName}=${iter[varName]}`);
+            }
+            html += line(level++, content);
+        }
+    });
+
+    // Micro-kernel loops run over the innermost cache tile, or the whole dim
+    const innermost = levels[levels.length - 1];
+    const rangeOf = (dim) => {
+        if (innermost && innermost.tileSizes[dim]) {
+            const tileVar = getTileVar(dim, 0);
+            return `${variable(tileVar)}..${variable(tileVar)}+${number(innermost.tileSizes[dim])}`;
+        }
+        return `${number(0)}..${number(bounds[dim])}`;
+    };
+    const loopLine = (varName, dim, step) => {
+        let content = `${keyword('for')} ${variable(varName)} ${keyword('in')} ${rangeOf(dim)}`;
+        content += step > 1 ? ` ${keyword('step')} ${number(step)}:` : ':';
+        if (hasCurrent) {
+            content += comment(`← ${varName}=${iter[varName]}`);
+        }
+        return content;
+    };
+
+    // A tensor's cells in the kernel: its slice along the register tile, or the current k
+    const slice = (dim) => {
+        if (dim === m) return `${variable('ir')}:${variable('ir')}+${number(microTile.mr)}`;
+        if (dim === n) return `${variable('jr')}:${variable('jr')}+${number(microTile.nr)}`;
+        return variable(dim);
+    };
+    const ref = (tensor) => `${tensor.name}[${slice(tensor.tileDims.row)}][${slice(tensor.tileDims.col)}]`;
+    const tensors = getComputeTensors(operation);
+    const output = tensors.find(tensor => tensor.access !== 'read');
+    const inputs = tensors.filter(tensor => tensor !== output);
+    const register = (tensor) => variable(tensor.name.toLowerCase());
+
+    html += line(level++, loopLine('jr', n, microTile.nr));
+    html += line(level++, loopLine('ir', m, microTile.mr));
+    html += line(level, `${register(output)} = ${ref(output)}` + comment('# load register tile'));
+    html += line(level++, loopLine(k, k, 1));
+    for (const tensor of inputs) {
+        html += line(level, `${register(tensor)} = ${ref(tensor)}`);
+    }
+    let update = `${register(output)} += outer(${inputs.map(register).join(', ')})`;
+    if (hasCurrent) {
+        update += comment(`← ${m}=${iter[m]}, ${n}=${iter[n]}`);
+    }
+    html += line(level, update, hasCurrent);
+    level--;
+    html += line(level, `${ref(output)} = ${register(output)}` + comment('# store register tile'));
+    return html;
+}
+
 /**
  * Generate HTML for tiled loop code.
+ * @param {Array} levels - Tile levels, outermost first (see getTileLevels)
  */
-function generateTiledCodeHTML(order, tileSize) {
-    const iter = state.iterations[state.currentIteration];
+function generateTiledCodeHTML(order, levels) {
+    const iter = state.iterations.at(state.currentIteration);
     const bounds = operation.loopBounds;
     const tileableDims = new Set(operation.tileableDims || operation.loopDims);
     let html = '';
@@ -90,24 +357,30 @@ function generateTiledCodeHTML(order, tileSize) {
         indentLevel++;
     }
 
-    // Phase 2: Tile loops for tiled dims
-    for (const dim of order) {
-        if (tileableDims.has(dim)) {
-            const varName = 't' + dim;
-            const bound = bounds[dim];
+    // Phase 2: Tile loops for tiled dims, level by level
+    levels.forEach((level, idx) => {
+        const depth = levels.length - 1 - idx;
+        for (const dim of level.order) {
+            const varName = getTileVar(dim, depth);
             html += `<div class="code-line">`;
             html += `${getIndent(indentLevel)}<span class="code-keyword">for</span> `;
             html += `<span class="code-var">${varName}</span> `;
             html += `<span class="code-keyword">in</span> `;
-            html += `<span class="code-number">0</span>..<span class="code-number">${bound}</span> `;
-            html += `<span class="code-keyword">step</span> <span class="code-number">${tileSize}</span>:`;
+            if (idx === 0) {
+                html += `<span class="code-number">0</span>..<span class="code-number">${bounds[dim]}</span> `;
+            } else {
+                const parentVar = getTileVar(dim, depth + 1);
+                html += `<span class="code-var">${parentVar}</span>..<span class="code-var">${parentVar}</span>+<span class="code-number">${levels[idx - 1].tileSizes[dim]}</span> `;
+            }
+            html += `<span class="code-keyword">step</span> <span class="code-number">${level.tileSizes[dim]}</span>:`;
             if (iter && iter[varName] !== undefined) {
                 html += ` <span class="code-comment">← ${varName}=${iter[varName]}</span>`;
             }
             html += '</div>';
             indentLevel++;
         }
-    }
+    });
+    const innermost = levels[levels.length - 1];
 
     // Phase 3: Everything from first tiled dim onwards
     for (let i = firstTiledIdx; i < order.length; i++) {
@@ -122,7 +395,7 @@ function generateTiledCodeHTML(order, tileSize) {
             html += `${getIndent(indentLevel)}<span class="code-keyword">for</span> `;
             html += `<span class="code-var">${dim}</span> `;
             html += `<span class="code-keyword">in</span> `;
-            html += `<span class="code-var">${tileVar}</span>..<span class="code-var">${tileVar}</span>+<span class="code-number">${tileSize}</span>:`;
+            html += `<span class="code-var">${tileVar}</span>..<span class="code-var">${tileVar}</span>+<span class="code-number">${innermost.tileSizes[dim]}</span>:`;
             if (isCurrent && iter) {
                 html += ` <span class="code-comment">← ${dim}=${iter[dim]}</span>`;
             }
@@ -3,8 +3,15 @@
  * Creates UI elements from operation definition
  */
 
-import { operation, canvasContexts, setCanvasContexts, setCtxTimeline, setCtxMemoryLayout } from './state.js';
+import {
+    operation, canvasContexts, setCanvasContexts, setCtxTimeline, setCtxMemoryLayout,
+    setCtxReuseHistogram, setCtxMissRateCurve
+} from './state.js';
 import { getTensorCanvasSize } from '../rendering/index.js';
+import { DTYPES, getInnerExtent, getLeadingDimChoices } from '../operations/index.js';
+import {
+    REPLACEMENT_POLICIES, PREFETCHERS, INCLUSION_POLICIES, SPACE_FILLING_CURVES, getRecursiveScheduleName
+} from '../simulation/index.js';
 
 /**
  * Generate all dynamic UI elements from the current operation definition.
@@ -17,7 +24,26 @@ export function generateTensorUI() {
 }
 
 /**
- * Generate layout control dropdowns for each tensor.
+ * Generate the leading-dimension dropdown of a tensor: packed, then the
+ * strides from getLeadingDimChoices. The current choice is kept if it is
+ * still offered.
+ * @param {Object} tensor - Tensor definition
+ * @param {string} layout - Selected layout of the tensor
+ * @param {number} lineElements - Elements of the tensor's dtype per cache line
+ */
+export function generateLeadingDimOptions(tensor, layout, lineElements) {
+    const select = document.getElementById('ld' + tensor.name);
+    const previous = select.value;
+    const strides = getLeadingDimChoices(getInnerExtent(tensor, layout), lineElements);
+    select.innerHTML = '<option value="0">ld packed</option>' +
+        strides.map(ld => `<option value="${ld}">ld ${ld}</option>`).join('');
+    if (strides.includes(parseInt(previous))) {
+        select.value = previous;
+    }
+}
+
+/**
+ * Generate layout, dtype, leading-dimension and alignment dropdowns for each tensor.
  */
 export function generateLayoutControls() {
     const container = document.getElementById('layoutControls');
@@ -39,11 +65,25 @@ export function generateLayoutControls() {
             `;
         }
 
+        const dtypeOptionsHTML = DTYPES
+            .map(dtype => `<option value="${dtype.value}"${dtype.value === tensor.dtype ? ' selected' : ''}>${dtype.label}</option>`)
+            .join('');
+
         item.innerHTML = `
             <span>${tensor.name}</span>
             <select id="layout${tensor.name}">${optionsHTML}</select>
+            <select id="dtype${tensor.name}">${dtypeOptionsHTML}</select>
+            <select id="ld${tensor.name}"></select>
+            <select id="align${tensor.name}">
+                <option value="1">align none</option>
+                <option value="64">align 64B</option>
+                <option value="4096">align 4KB</option>
+            </select>
         `;
         container.appendChild(item);
+        const lineBytes = parseInt(document.getElementById('lineSize').value);
+        generateLeadingDimOptions(tensor, document.getElementById('layout' + tensor.name).value,
+            Math.max(1, lineBytes / tensor.elementSize));
     }
 }
 
@@ -94,6 +134,9 @@ export function generateTensorStatsCards() {
         card.innerHTML = `
             <div class="name">${tensor.name}</div>
             <div class="value" id="detailStats${tensor.name}">0/0 hits</div>
+            <div class="value miss-breakdown" id="missStats${tensor.name}">comp:0 cap:0 conf:0</div>
+            <div class="value miss-breakdown" id="tlbStats${tensor.name}">TLB off</div>
+            <div class="value miss-breakdown" id="costStats${tensor.name}">AMAT 0 cyc</div>
         `;
         container.appendChild(card);
     }
@@ -129,48 +172,173 @@ export function initCanvases() {
     setCtxMemoryLayout(memoryLayoutCanvas.getContext('2d'));
     memoryLayoutCanvas.width = memoryLayoutCanvas.offsetWidth;
     memoryLayoutCanvas.height = 80;
+
+    const reuseHistogramCanvas = document.getElementById('reuseHistogram');
+    setCtxReuseHistogram(reuseHistogramCanvas.getContext('2d'));
+    reuseHistogramCanvas.width = reuseHistogramCanvas.offsetWidth;
+    reuseHistogramCanvas.height = 90;
+
+    const missRateCurveCanvas = document.getElementById('missRateCurve');
+    setCtxMissRateCurve(missRateCurveCanvas.getContext('2d'));
+    missRateCurveCanvas.width = missRateCurveCanvas.offsetWidth;
+    missRateCurveCanvas.height = 90;
 }
 
 /**
- * Generate loop order dropdown options based on current operation.
+ * Generate the loop order suggestions based on current operation: every
+ * permutation of its loop dims, then its space-filling curves and recursive
+ * schedules. Any order can also be typed in (see parseLoopOrder).
  */
 export function generateLoopOrderOptions() {
-    const select = document.getElementById('loopOrder');
-    select.innerHTML = '';
+    const list = document.getElementById('loopOrderList');
+    list.innerHTML = '';
+
+    const addOption = (value, label) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        list.appendChild(option);
+    };
 
     for (const [key, order] of Object.entries(operation.loopOrders)) {
+        addOption(key, order.join(' → '));
+    }
+
+    if (operation.curveDims) {
+        for (const curve of SPACE_FILLING_CURVES) {
+            addOption(curve.value, `${curve.label} over (${operation.curveDims.join(', ')})`);
+        }
+    }
+
+    if (operation.recursiveDims) {
+        for (const [key, order] of Object.entries(operation.loopOrders)) {
+            addOption(getRecursiveScheduleName(key),
+                `recursive, halving (${operation.recursiveDims.join(', ')}), base ${order.join(' → ')}`);
+        }
+    }
+}
+
+/**
+ * Generate the parallel loop dropdown from the operation's loop dimensions.
+ */
+export function generateSplitDimOptions() {
+    const select = document.getElementById('splitDim');
+    select.innerHTML = '';
+
+    for (const dim of operation.loopDims) {
         const option = document.createElement('option');
-        option.value = key;
-        option.textContent = order.join(' → ');
+        option.value = dim;
+        option.textContent = `split ${dim}`;
         select.appendChild(option);
     }
 }
 
 /**
- * Generate tile size dropdown options based on current operation.
+ * Generate the tile controls: one row per tile level, outermost (highest
+ * numbered) first, each with the level's tile loop order and one tile size
+ * dropdown per tileable dimension, so tiles can be rectangular (e.g. GEMM
+ * blocking with different Mc, Nc, Kc).
  */
 export function generateTileSizeOptions() {
-    const select = document.getElementById('tileSize');
-    const currentValue = parseInt(select.value);
-    select.innerHTML = '';
+    const container = document.getElementById('tileSizeControls');
+    const disabled = !document.getElementById('tilingEnabled').checked;
+    const numLevels = parseInt(document.getElementById('tileLevels').value);
+    container.innerHTML = '';
 
     const tileSizes = operation.tileSizes || [2, 4, 6];
     const tileableDims = operation.tileableDims || operation.loopDims;
+    const tileableSet = new Set(tileableDims);
 
-    for (const size of tileSizes) {
-        const option = document.createElement('option');
-        option.value = size;
-        if (tileableDims.length < operation.loopDims.length) {
-            option.textContent = `${size}×${size} (${tileableDims.join(', ')})`;
-        } else {
-            option.textContent = `${size}×${size}`;
+    // Distinct orders of the tiled dims among the operation's loop orders
+    const orderOptions = [{ value: '', label: 'same as loops' }];
+    const seenOrders = new Set();
+    for (const [name, order] of Object.entries(operation.loopOrders)) {
+        const tiled = order.filter(d => tileableSet.has(d));
+        const key = tiled.join(',');
+        if (!seenOrders.has(key)) {
+            seenOrders.add(key);
+            orderOptions.push({ value: name, label: tiled.join(' → ') });
         }
+    }
+
+    for (let level = numLevels; level >= 1; level--) {
+        // Default sizes shrink from the largest option (outermost) to the smallest (innermost)
+        const defaultIdx = numLevels === 1
+            ? Math.floor(tileSizes.length / 2)
+            : Math.round((tileSizes.length - 1) * (level - 1) / (numLevels - 1));
+        const row = document.createElement('div');
+        row.className = 'layout-group';
+
+        const orderItem = document.createElement('div');
+        orderItem.className = 'layout-item';
+        orderItem.innerHTML = `
+            <span>L${level} tiles</span>
+            <select id="tileOrder${level}"${disabled ? ' disabled' : ''}>
+                ${orderOptions.map(o => `<option value="${o.value}">${o.label}</option>`).join('')}
+            </select>
+        `;
+        row.appendChild(orderItem);
+
+        for (const dim of tileableDims) {
+            const item = document.createElement('div');
+            item.className = 'layout-item';
+            item.innerHTML = `
+                <span>${dim}</span>
+                <select id="tileSize${level}_${dim}"${disabled ? ' disabled' : ''}>
+                    ${tileSizes.map(size => `<option value="${size}">${size}</option>`).join('')}
+                </select>
+            `;
+            row.appendChild(item);
+        }
+        container.appendChild(row);
+
+        for (const dim of tileableDims) {
+            document.getElementById(`tileSize${level}_${dim}`).value = tileSizes[defaultIdx];
+        }
+    }
+}
+
+/**
+ * Generate replacement policy dropdown options.
+ */
+export function generateReplacementOptions() {
+    const select = document.getElementById('replacementPolicy');
+    select.innerHTML = '';
+
+    for (const policy of REPLACEMENT_POLICIES) {
+        const option = document.createElement('option');
+        option.value = policy.value;
+        option.textContent = policy.label;
+        select.appendChild(option);
+    }
+}
+
+/**
+ * Generate inclusion policy dropdown options.
+ */
+export function generateInclusionOptions() {
+    const select = document.getElementById('inclusionPolicy');
+    select.innerHTML = '';
+
+    for (const policy of INCLUSION_POLICIES) {
+        const option = document.createElement('option');
+        option.value = policy.value;
+        option.textContent = policy.label;
         select.appendChild(option);
     }
+}
 
-    if (tileSizes.includes(currentValue)) {
-        select.value = currentValue;
-    } else {
-        select.value = tileSizes[0];
+/**
+ * Generate prefetcher dropdown options.
+ */
+export function generatePrefetcherOptions() {
+    const select = document.getElementById('prefetcher');
+    select.innerHTML = '';
+
+    for (const prefetcher of PREFETCHERS) {
+        const option = document.createElement('option');
+        option.value = prefetcher.value;
+        option.textContent = prefetcher.label;
+        select.appendChild(option);
     }
 }
@@ -2,39 +2,162 @@
  * Event Handlers and Simulation Logic
  */
 
-import { OPERATIONS } from '../operations/index.js';
-import { CacheSimulator, generateIterations, generateTiledIterations, getAccessAddress } from '../simulation/index.js';
-import { ELEMENT_SIZE, renderTensor, renderTimeline, renderMemoryLayout } from '../rendering/index.js';
+import {
+    OPERATIONS, DTYPES, getDtypeSize, setTensorDtypes, setTensorPlacement, parseLoopOrder,
+    setOperandPacking, getComputeTensors, getIterationAccesses
+} from '../operations/index.js';
+import {
+    CacheSimulator, CacheHierarchy, CoherentSystem, CostModel, MissClassifier, TLB, RegisterFile, getInnermostTile, createPrefetcher,
+    createIterationCursor, createTiledIterationCursor, createCurveIterationCursor, distributeIterationCursor,
+    createRecursiveIterationCursor, isSpaceFillingCurve, isRecursiveSchedule, getRecursiveScheduleName,
+    getRecursiveBaseOrder, compileSchedule, createScheduleCursor, getLoopIndex, getTileLevels, getTileVar,
+    getScalarReplacement, getMicroKernelRegisters, createMicroKernelIterationCursor, createPackedIterationCursor,
+    getAccessAddress, getAccessTrace,
+    buildReuseProfile
+} from '../simulation/index.js';
+import {
+    renderTensor, renderTimeline, renderMemoryLayout, renderReuseHistogram, renderMissRateCurve,
+    createCacheView, TIMELINE_MAX_ENTRIES
+} from '../rendering/index.js';
 import {
     state, operation, currentMode, canvasContexts, ctxTimeline, ctxMemoryLayout,
+    ctxReuseHistogram, ctxMissRateCurve,
     animationId, lastFrameTime, snapshots,
-    setCurrentMode, setOperation, createTensorState,
+    setCurrentMode, setOperation, createTensorState, createTensorStats,
     setAnimationId, setLastFrameTime, setSnapshots, pushSnapshot, popSnapshot
 } from './state.js';
-import { generateTensorUI, initCanvases, generateLoopOrderOptions, generateTileSizeOptions } from './generation.js';
+import {
+    generateTensorUI, initCanvases, generateLoopOrderOptions, generateTileSizeOptions, generateSplitDimOptions,
+    generateLeadingDimOptions
+} from './generation.js';
 import { updateCodeDisplay } from './code-display.js';
 
+// Larger runs compute the reuse profile only on request, and cannot use OPT,
+// which keeps the whole future trace
+const ANALYSIS_ACCESS_LIMIT = 1 << 21;
+
 /**
- * Generate all iterations based on current configuration.
+ * Cursor over all iterations of the current configuration; iterations are
+ * computed on demand, never stored.
+ * With several cores, the sequence is split and interleaved across them.
  */
-function generateAllIterations() {
-    if (state.tilingEnabled) {
-        return generateTiledIterations(operation, state.loopOrder, state.tileSize);
+function createIterationsCursor() {
+    let cursor;
+    if (isSpaceFillingCurve(state.loopOrder)) {
+        cursor = createCurveIterationCursor(operation, state.loopOrder);
+    } else if (isRecursiveSchedule(state.loopOrder)) {
+        cursor = createRecursiveIterationCursor(operation, getRecursiveBaseOrder(state.loopOrder), state.recursionBase);
+    } else if (state.schedule) {
+        cursor = createScheduleCursor(operation, state.loopOrder, state.schedule);
+    } else if (state.microKernel) {
+        cursor = createMicroKernelIterationCursor(operation, state.microKernel,
+            state.tilingEnabled ? state.tileLevels : null, state.loopOrder);
+    } else if (state.tilingEnabled) {
+        cursor = createTiledIterationCursor(operation, state.loopOrder, state.tileLevels);
+    } else {
+        cursor = createIterationCursor(operation, state.loopOrder);
     }
-    return generateIterations(operation, state.loopOrder);
+    if (operation.packing) {
+        cursor = createPackedIterationCursor(operation, cursor);
+    }
+
+    if (state.numCores > 1) {
+        return distributeIterationCursor(operation, cursor, state.splitDim, state.numCores);
+    }
+    return cursor;
+}
+
+/**
+ * Innermost rolled loop of the current configuration, and the loops unrolled
+ * inside it, for scalar replacement.
+ * @returns {{ innerDims: string[], unrolled: Array<{ dim: string, extent: number }> }}
+ */
+function getInnermostLoops() {
+    if (state.schedule) {
+        const loops = compileSchedule(operation, state.loopOrder, state.schedule).loops;
+        const unrolled = [];
+        let idx = loops.length - 1;
+        while (idx > 0 && loops[idx].unrolled) {
+            unrolled.push(...loops[idx].parts);
+            idx--;
+        }
+        return { innerDims: loops[idx].parts.map(part => part.dim), unrolled };
+    }
+
+    let order;
+    if (isSpaceFillingCurve(state.loopOrder)) {
+        const innerDims = operation.loopDims.filter(dim => !operation.curveDims.includes(dim));
+        order = innerDims.length > 0 ? innerDims : operation.curveDims;
+    } else if (isRecursiveSchedule(state.loopOrder)) {
+        order = operation.loopOrders[getRecursiveBaseOrder(state.loopOrder)];
+    } else {
+        order = operation.loopOrders[state.loopOrder];
+    }
+    return { innerDims: [order[order.length - 1]], unrolled: [] };
+}
+
+/**
+ * Loop order named by the loop order input: a curve, a recursive schedule
+ * over a base order, or a plain order, typed orders normalized to their key.
+ */
+function resolveLoopOrder(text) {
+    if (isSpaceFillingCurve(text)) {
+        return text;
+    }
+    if (isRecursiveSchedule(text)) {
+        return getRecursiveScheduleName(parseLoopOrder(operation, getRecursiveBaseOrder(text)));
+    }
+    return parseLoopOrder(operation, text);
+}
+
+/**
+ * Show a counter the current cache model provides, '-' otherwise.
+ */
+function displayCounter(id, value) {
+    document.getElementById(id).textContent = value === undefined ? '-' : value;
+}
+
+/**
+ * Cells of a tensor the micro-kernel touches at an iteration, in tensor rows
+ * and columns: the MR x NR register tile on the output, and the MR and NR
+ * slivers of the inputs at the current k. The tile is clipped at the edges.
+ * With packing, the slivers are drawn on the buffers, relative to their tile.
+ * @returns {{ row: number, col: number, rows: number, cols: number }|null}
+ */
+function getRegisterTile(tensor, iter) {
+    if (!state.microKernel || !iter || iter.pack || !tensor.tileDims || !getComputeTensors(operation).includes(tensor)) {
+        return null;
+    }
+    const { m, n } = operation.microKernelDims;
+    const span = (dim) => {
+        const tileBase = iter[getTileVar(dim, 0)];
+        const origin = tensor.packs && tileBase !== undefined ? tileBase : 0;
+        if (dim === m || dim === n) {
+            const base = dim === m ? iter.ir : iter.jr;
+            const size = dim === m ? state.microKernel.mr : state.microKernel.nr;
+            return [base - origin, Math.min(size, operation.loopBounds[dim] - base)];
+        }
+        return [iter[dim] - origin, 1];
+    };
+    const [row, rows] = span(tensor.tileDims.row);
+    const [col, cols] = span(tensor.tileDims.col);
+    return { row, col, rows, cols };
 }
 
 /**
  * Render all tensors.
+ * @param {Object} cacheView - Residency lookups for this frame (see createCacheView)
  */
-function renderAllTensors() {
-    const iter = state.iterations[state.currentIteration];
+function renderAllTensors(cacheView) {
+    const iter = state.iterations.at(state.currentIteration);
+    const accessed = iter ? getIterationAccesses(operation, iter).map(access => access.tensor) : [];
 
     for (const tensor of operation.tensors) {
         const ctx = canvasContexts[tensor.name];
         if (!ctx) continue;
-        const indices = iter ? tensor.getIndices(iter) : null;
-        renderTensor(ctx, tensor, indices, state.cache, state.layouts, operation.elementSize, state.tilingEnabled, state.tileSize);
+        const indices = accessed.includes(tensor) ? tensor.getIndices(iter) : null;
+        renderTensor(ctx, tensor, indices, cacheView, state.layouts, tensor.elementSize, state.tilingEnabled, state.tileLevels,
+            getRegisterTile(tensor, iter));
     }
 }
 
@@ -46,27 +169,98 @@ function updateStatsDisplay() {
         const statsEl = document.getElementById('stats' + tensor.name);
         if (statsEl) {
             const s = state.stats[tensor.name];
-            statsEl.textContent = `mem:${s.accesses} hit:${s.hits}`;
+            const registerPart = state.registerAllocation[tensor.name] ? ` reg:${s.registerHits}` : '';
+            statsEl.textContent = `mem:${s.accesses} hit:${s.hits}${registerPart}`;
         }
     }
 
     let totalAccesses = 0;
+    let totalBytes = 0;
     let totalHits = 0;
+    let latencyCycles = 0;
+    let totalRegisterHits = 0;
+    let packAccesses = 0;
+    let packHits = 0;
+    let packCycles = 0;
     for (const tensor of operation.tensors) {
+        packAccesses += state.stats[tensor.name].packAccesses;
+        packHits += state.stats[tensor.name].packHits;
+        packCycles += state.stats[tensor.name].packCycles;
         totalAccesses += state.stats[tensor.name].accesses;
+        totalRegisterHits += state.stats[tensor.name].registerHits;
+        totalBytes += state.stats[tensor.name].accesses * tensor.elementSize;
         totalHits += state.stats[tensor.name].hits;
+        latencyCycles += state.stats[tensor.name].cycles;
     }
     const hitRate = totalAccesses > 0 ? (totalHits / totalAccesses * 100).toFixed(0) : 0;
 
     document.getElementById('totalMem').textContent = totalAccesses;
     document.getElementById('totalHits').textContent = totalHits;
     document.getElementById('hitRate').textContent = hitRate + '%';
+    displayCounter('registerHits', state.registers.length > 0 ? totalRegisterHits : undefined);
+    // Packing: what the copies cost, and the hit rate of the compute accesses they serve
+    const computeAccesses = totalAccesses - packAccesses;
+    const computeHitRate = computeAccesses > 0 ? ((totalHits - packHits) / computeAccesses * 100).toFixed(0) + '%' : '-';
+    displayCounter('packCost', operation.packing ? `${packAccesses} / ${Math.round(packCycles)} cyc` : undefined);
+    displayCounter('computeHitRate', operation.packing ? computeHitRate : undefined);
+    if (state.costModel) {
+        const memoryBytes = state.cache ? state.cache.memoryReadBytes + state.cache.memoryWriteBytes : 0;
+        const totalCycles = state.costModel.totalCycles(latencyCycles, memoryBytes);
+        document.getElementById('amat').textContent = state.costModel.amat(latencyCycles, totalAccesses).toFixed(1);
+        document.getElementById('totalCycles').textContent = Math.round(totalCycles);
+        document.getElementById('achievedBandwidth').textContent =
+            state.costModel.achievedGBps(totalBytes, totalCycles).toFixed(2);
+    }
+    document.getElementById('totalWritebacks').textContent = state.cache ? state.cache.writebacks : 0;
+    document.getElementById('memWriteBytes').textContent = (state.cache ? state.cache.memoryWriteBytes : 0) + 'B';
+    document.getElementById('tlbMisses').textContent = state.tlb ? state.tlb.misses : '-';
+    displayCounter('backInvalidations', state.cache ? state.cache.backInvalidations : 0);
+    displayCounter('victimHits', state.cache ? state.cache.victimHits : 0);
+    displayCounter('coherenceInvalidations', state.cache ? state.cache.invalidations : undefined);
+    displayCounter('falseSharing', state.cache ? state.cache.falseSharing : undefined);
+    displayCounter('peerTransfers', state.cache ? state.cache.peerTransfers : undefined);
+    let prefetchStats = '0 / 0 / 0';
+    if (state.cache) {
+        prefetchStats = state.cache.prefetchesIssued === undefined
+            ? '-'
+            : `${state.cache.prefetchesIssued} / ${state.cache.usefulPrefetches} / ${state.cache.uselessPrefetches}`;
+    }
+    document.getElementById('prefetchStats').textContent = prefetchStats;
 
+    const levelCount = state.cache ? state.cache.levelCount : 1;
     for (const tensor of operation.tensors) {
         const detailEl = document.getElementById('detailStats' + tensor.name);
         if (detailEl) {
             const s = state.stats[tensor.name];
-            detailEl.textContent = `${s.hits}/${s.accesses} hits`;
+            const registerPart = state.registerAllocation[tensor.name] ? `reg:${s.registerHits} ` : '';
+            if (levelCount > 1) {
+                const levelParts = [];
+                for (let level = 1; level <= levelCount; level++) {
+                    levelParts.push(`L${level}:${s.levelHits[level] || 0}`);
+                }
+                detailEl.textContent = `${registerPart}${levelParts.join(' ')} /${s.accesses}`;
+            } else {
+                detailEl.textContent = `${registerPart}${s.hits}/${s.accesses} hits`;
+            }
+        }
+
+        const missEl = document.getElementById('missStats' + tensor.name);
+        if (missEl) {
+            const m = state.stats[tensor.name].missTypes;
+            const coherence = state.numCores > 1 ? ` coh:${m.coherence}` : '';
+            missEl.textContent = `comp:${m.compulsory} cap:${m.capacity} conf:${m.conflict}${coherence}`;
+        }
+
+        const tlbEl = document.getElementById('tlbStats' + tensor.name);
+        if (tlbEl) {
+            const s = state.stats[tensor.name];
+            tlbEl.textContent = state.tlb ? `TLB hit:${s.tlbHits} miss:${s.tlbMisses}` : 'TLB off';
+        }
+
+        const costEl = document.getElementById('costStats' + tensor.name);
+        if (costEl && state.costModel) {
+            const s = state.stats[tensor.name];
+            costEl.textContent = `AMAT ${state.costModel.amat(s.cycles, s.accesses).toFixed(1)} cyc`;
         }
     }
 }
@@ -75,9 +269,9 @@ function updateStatsDisplay() {
  * Update current state display.
  */
 function updateStateDisplay() {
-    const iter = state.iterations[state.currentIteration];
+    const iter = state.iterations.at(state.currentIteration);
 
-    document.getElementById('currentIteration').textContent = `${state.currentIteration} of ${operation.getTotalIterations()}`;
+    document.getElementById('currentIteration').textContent = `${state.currentIteration} of ${state.iterations.length}`;
 
     if (iter) {
         let indicesStr = '';
@@ -85,33 +279,98 @@ function updateStateDisplay() {
         const hasTileInfo = state.tilingEnabled && operation.tileableDims &&
                            iter['t' + operation.tileableDims[0]] !== undefined;
 
-        if (hasTileInfo) {
-            const tileParts = operation.loopDims
-                .filter(d => tileableDims.has(d))
-                .map(d => `t${d}=${iter['t' + d]}`);
-            const elemParts = operation.loopDims.map(d => `${d}=${iter[d]}`);
+        if (iter.pack) {
+            // Copy iteration: the element of the packed input
+            const source = operation.tensors.find(tensor => tensor.name === iter.pack);
+            const { row, col } = source.tileDims;
+            indicesStr = `pack ${iter.pack}: ${row}=${iter[row]}, ${col}=${iter[col]}`;
+        } else if (state.schedule) {
+            // Loop indices in nest order, then the dims they compute
+            const { loops } = compileSchedule(operation, state.loopOrder, state.schedule);
+            const loopParts = loops.map(loop => `${loop.name}=${getLoopIndex(loop, iter)}`);
+            const names = new Set(loops.map(loop => loop.name));
+            const dimParts = operation.loopDims.filter(d => !names.has(d)).map(d => `${d}=${iter[d]}`);
+            indicesStr = [...loopParts, ...dimParts].join(', ');
+        } else if (state.microKernel) {
+            // Cache tile indices, then the micro-kernel loops in nest order
+            const tileParts = [];
+            if (hasTileInfo) {
+                const levels = getTileLevels(operation, state.loopOrder, state.tileLevels);
+                levels.forEach((level, idx) => {
+                    const depth = levels.length - 1 - idx;
+                    for (const d of level.order) {
+                        tileParts.push(`${getTileVar(d, depth)}=${iter[getTileVar(d, depth)]}`);
+                    }
+                });
+            }
+            const { m, n, k } = operation.microKernelDims;
+            const kernelParts = [`jr=${iter.jr}`, `ir=${iter.ir}`, `${k}=${iter[k]}`, `${m}=${iter[m]}`, `${n}=${iter[n]}`];
+            indicesStr = [...tileParts, ...kernelParts].join(', ');
+        } else if (hasTileInfo) {
+            // Tile indices in tile-loop order, then element indices in element-loop order
+            const levels = getTileLevels(operation, state.loopOrder, state.tileLevels);
+            const tileParts = [];
+            levels.forEach((level, idx) => {
+                const depth = levels.length - 1 - idx;
+                for (const d of level.order) {
+                    tileParts.push(`${getTileVar(d, depth)}=${iter[getTileVar(d, depth)]}`);
+                }
+            });
+            const elemParts = operation.loopOrders[state.loopOrder].map(d => `${d}=${iter[d]}`);
             indicesStr = tileParts.join(', ') + ', ' + elemParts.join(', ');
         } else {
             indicesStr = operation.loopDims.map(d => `${d}=${iter[d]}`).join(', ');
         }
+        if (iter.depth !== undefined) {
+            indicesStr += `, depth ${iter.depth}`;
+        }
+        if (iter.core !== undefined) {
+            indicesStr = `core ${iter.core}: ${indicesStr}`;
+        }
         document.getElementById('currentIndices').textContent = indicesStr;
-        document.getElementById('currentOp').textContent = operation.describeOp(iter);
+        document.getElementById('currentOp').textContent = iter.pack ? describeCopy(iter) : operation.describeOp(iter);
     } else {
         document.getElementById('currentIndices').textContent = '-';
         document.getElementById('currentOp').textContent = '-';
     }
 
-    document.getElementById('jumpIteration').max = operation.getTotalIterations() - 1;
-    document.getElementById('totalIterations').textContent = operation.getTotalIterations();
+    document.getElementById('jumpIteration').max = state.iterations.length - 1;
+    document.getElementById('totalIterations').textContent = state.iterations.length;
+}
+
+/**
+ * Describe a copy iteration of packing, e.g. "A[2][5] → Ap[0][1]".
+ */
+function describeCopy(iter) {
+    const [source, buffer] = getIterationAccesses(operation, iter).map(access => access.tensor);
+    const at = (tensor) => {
+        const { row, col } = tensor.getIndices(iter);
+        return `${tensor.name}[${row}][${col}]`;
+    };
+    return `${at(source)} → ${at(buffer)}`;
+}
+
+/**
+ * Render the reuse-distance panels. They depend only on the configuration,
+ * not on the current step.
+ */
+function renderReuseAnalysis() {
+    const analyzeBtn = document.getElementById('analyzeReuse');
+    analyzeBtn.hidden = state.reuseProfile !== null;
+    analyzeBtn.textContent = `Analyze reuse (up to ${getAccessBound()} accesses)`;
+    renderReuseHistogram(ctxReuseHistogram, operation, state.reuseProfile);
+    renderMissRateCurve(ctxMissRateCurve, state.reuseProfile, state.numCacheLines);
 }
 
 /**
  * Full render of all visualization components.
  */
 export function render() {
-    renderAllTensors();
-    renderMemoryLayout(ctxMemoryLayout, operation, state.iterations, state.currentIteration, state.cache, state.layouts, state.elementsPerLine, operation.elementSize);
-    renderTimeline(ctxTimeline, operation, state.history, state.currentIteration);
+    const cacheView = state.cache ? createCacheView(state.cache) : null;
+    renderAllTensors(cacheView);
+    renderMemoryLayout(ctxMemoryLayout, operation, state.iterations, state.currentIteration, cacheView, state.layouts, state.lineSize, state.tlb ? state.pageSize : 0);
+    renderTimeline(ctxTimeline, operation, state.history, state.currentIteration, state.timelineMode,
+        state.iterations.length, state.historyStride);
     updateStatsDisplay();
     updateStateDisplay();
 }
@@ -124,24 +383,105 @@ function executeStep() {
         return null;
     }
 
-    const iter = state.iterations[state.currentIteration];
+    const iter = state.iterations.at(state.currentIteration);
+    const core = iter.core || 0;
+    const registers = state.registers[core];
     const result = {};
 
-    for (const tensor of operation.tensors) {
-        const address = getAccessAddress(tensor, iter, state.layouts, operation.elementSize);
-        const { hit } = state.cache.access(address);
+    // Registers are stored back on leaving their tile
+    if (registers) {
+        for (const { tensorName, address } of registers.enterTile(getInnermostTile(operation, iter))) {
+            accessMemory(operation.tensors.find(t => t.name === tensorName), address, 'write', core);
+        }
+    }
 
-        state.stats[tensor.name].accesses++;
-        state.stats[tensor.name].hits += hit ? 1 : 0;
-        result[tensor.name] = hit;
+    // Copy iterations of packing bypass the registers and are counted as packing cost
+    const packing = Boolean(iter.pack);
+    for (const { tensor, accessType } of getIterationAccesses(operation, iter)) {
+        const address = getAccessAddress(tensor, iter, state.layouts);
+
+        if (registers && registers.holds(tensor.name) && !packing) {
+            const { load, writeback } = registers.access(tensor.name, address, accessType);
+            if (writeback !== null) {
+                accessMemory(tensor, writeback, 'write', core);
+            }
+            if (load) {
+                result[tensor.name] = accessMemory(tensor, address, 'read', core);
+            } else {
+                // Served by a register: level 0
+                state.stats[tensor.name].registerHits++;
+                result[tensor.name] = { level: 0, missType: null };
+            }
+        } else {
+            result[tensor.name] = accessMemory(tensor, address, accessType, core, packing);
+        }
     }
 
-    state.history.push(result);
+    if (state.currentIteration % state.historyStride === 0) {
+        state.history.push(result);
+    }
     state.currentIteration++;
 
+    // Store back what the registers still hold once the loop nest is done
+    if (state.currentIteration === state.iterations.length) {
+        state.registers.forEach((file, fileCore) => {
+            for (const { tensorName, address } of file.flush()) {
+                accessMemory(operation.tensors.find(t => t.name === tensorName), address, 'write', fileCore);
+            }
+        });
+    }
+
     return result;
 }
 
+/**
+ * Issue one tensor access to the memory system (TLB, caches, miss
+ * classification, prefetcher) and count it.
+ * @param {boolean} packing - The access copies an operand into its packed buffer
+ * @returns {{ level: number|null, missType: string|null }}
+ */
+function accessMemory(tensor, address, accessType, core, packing = false) {
+    const s = state.stats[tensor.name];
+
+    if (state.tlb) {
+        const translation = state.tlb.translate(address);
+        address = translation.address;
+        if (translation.hit) {
+            s.tlbHits++;
+        } else {
+            s.tlbMisses++;
+        }
+    }
+
+    const { hit, level, prefetchHit, coherenceMiss, peer } =
+        state.cache.access(address, accessType, tensor.elementSize, core);
+    const missType = state.missClassifiers[core].classify(address, level === 1, coherenceMiss);
+
+    if (state.prefetcher) {
+        const targets = state.prefetcher.observe(address, tensor.name, { hit: level === 1, prefetchHit });
+        targets.forEach(target => state.cache.prefetch(target));
+    }
+
+    const cycles = state.costModel.accessCycles(level, peer);
+    s.accesses++;
+    s.cycles += cycles;
+    if (hit) {
+        s.hits++;
+        s.levelHits[level] = (s.levelHits[level] || 0) + 1;
+    }
+    if (packing) {
+        s.packAccesses++;
+        s.packCycles += cycles;
+        if (hit) {
+            s.packHits++;
+        }
+    }
+    if (missType) {
+        s.missTypes[missType]++;
+    }
+    return { level, missType };
+}
+
 /**
  * Stop animation.
  */
@@ -165,12 +505,20 @@ export function resetSimulation() {
     setSnapshots([]);
 
     for (const tensor of operation.tensors) {
-        state.stats[tensor.name] = { accesses: 0, hits: 0 };
+        state.stats[tensor.name] = createTensorStats();
     }
 
     if (state.cache) {
         state.cache.reset();
     }
+    state.missClassifiers.forEach(classifier => classifier.reset());
+    if (state.prefetcher) {
+        state.prefetcher.reset();
+    }
+    if (state.tlb) {
+        state.tlb.reset();
+    }
+    state.registers.forEach(file => file.reset());
 
     document.getElementById('playPauseBtn').textContent = '▶';
     render();
@@ -195,17 +543,28 @@ export function jumpToIteration(targetIteration) {
     updateCodeDisplay();
 }
 
+/**
+ * Save everything executeStep mutates, so stepBackward can undo it.
+ */
+function takeSnapshot() {
+    pushSnapshot({
+        cache: state.cache.snapshot(),
+        missClassifiers: state.missClassifiers.map(classifier => classifier.snapshot()),
+        prefetcher: state.prefetcher ? state.prefetcher.snapshot() : null,
+        tlb: state.tlb ? state.tlb.snapshot() : null,
+        registers: state.registers.map(file => file.snapshot()),
+        stats: JSON.parse(JSON.stringify(state.stats)),
+        historyLength: state.history.length,
+        iteration: state.currentIteration
+    });
+}
+
 /**
  * Step forward one iteration.
  */
 export function stepForward() {
     if (state.currentIteration < state.iterations.length) {
-        pushSnapshot({
-            cache: state.cache.snapshot(),
-            stats: JSON.parse(JSON.stringify(state.stats)),
-            historyLength: state.history.length,
-            iteration: state.currentIteration
-        });
+        takeSnapshot();
 
         executeStep();
         render();
@@ -220,6 +579,14 @@ export function stepBackward() {
     if (snapshots.length > 0) {
         const snapshot = popSnapshot();
         state.cache.restore(snapshot.cache);
+        state.missClassifiers.forEach((classifier, core) => classifier.restore(snapshot.missClassifiers[core]));
+        if (state.prefetcher) {
+            state.prefetcher.restore(snapshot.prefetcher);
+        }
+        if (state.tlb) {
+            state.tlb.restore(snapshot.tlb);
+        }
+        state.registers.forEach((file, core) => file.restore(snapshot.registers[core]));
         state.stats = snapshot.stats;
         state.history = state.history.slice(0, snapshot.historyLength);
         state.currentIteration = snapshot.iteration;
@@ -244,12 +611,7 @@ function animate(timestamp) {
                 setSnapshots(snapshots.slice(-50));
             }
 
-            pushSnapshot({
-                cache: state.cache.snapshot(),
-                stats: JSON.parse(JSON.stringify(state.stats)),
-                historyLength: state.history.length,
-                iteration: state.currentIteration
-            });
+            takeSnapshot();
 
             executeStep();
             render();
@@ -288,45 +650,298 @@ export function togglePlayPause() {
     }
 }
 
+/**
+ * Build the multi-core model: one private L1 per core, with the L2 setting
+ * as an optional shared last level. L3, the victim cache, the inclusion
+ * policy and the write policy only apply to the single-core hierarchy: MESI
+ * caches are write-back, write-allocate.
+ */
+function createCoherentSystem(cacheLineSize, options) {
+    const cacheOptions = { ...options, writePolicy: 'write-back', writeAllocate: true };
+    const cores = [];
+    for (let core = 0; core < state.numCores; core++) {
+        // OPT needs the trace each private cache will actually see
+        const trace = cacheOptions.trace
+            ? getAccessTrace(operation, state.iterations.getStream(core), state.layouts, state.registerAllocation)
+            : undefined;
+        cores.push(new CacheSimulator(cacheLineSize * state.numCacheLines, cacheLineSize, 1, { ...cacheOptions, trace }));
+    }
+    const sharedCache = state.l2Lines > 0
+        ? new CacheSimulator(cacheLineSize * state.l2Lines, cacheLineSize, 2, cacheOptions)
+        : null;
+    return new CoherentSystem(cores, sharedCache);
+}
+
 /**
  * Apply configuration from UI controls.
  */
 export function applyConfiguration() {
-    state.loopOrder = document.getElementById('loopOrder').value;
-    state.tilingEnabled = document.getElementById('tilingEnabled').checked;
-    state.tileSize = parseInt(document.getElementById('tileSize').value);
+    // An invalid loop order is reported and the previous one kept
+    const loopOrderInput = document.getElementById('loopOrder');
+    const loopOrderError = document.getElementById('loopOrderError');
+    loopOrderError.textContent = '';
+    try {
+        state.loopOrder = resolveLoopOrder(loopOrderInput.value.trim());
+    } catch (e) {
+        loopOrderError.textContent = e.message;
+    }
+    loopOrderInput.value = state.loopOrder;
+    document.getElementById('recursionBase').disabled = !isRecursiveSchedule(state.loopOrder);
+
+    // A schedule that does not compile is reported and ignored
+    const scheduleText = document.getElementById('schedule').value.trim();
+    const scheduleError = document.getElementById('scheduleError');
+    state.schedule = '';
+    scheduleError.textContent = '';
+    if (scheduleText) {
+        try {
+            compileSchedule(operation, state.loopOrder, scheduleText);
+            state.schedule = scheduleText;
+        } catch (e) {
+            scheduleError.textContent = e.message;
+        }
+    }
+
+    // The micro-kernel replaces the element loops of a plain loop order
+    const microKernel = document.getElementById('microKernel').value;
+    state.microKernel = null;
+    if (microKernel && operation.microKernelDims && !state.schedule &&
+        !isSpaceFillingCurve(state.loopOrder) && !isRecursiveSchedule(state.loopOrder)) {
+        const [mr, nr] = microKernel.split('x').map(Number);
+        state.microKernel = { mr, nr };
+    }
+    // Packing works on loop nests of tiles, not on curves or schedules
+    state.packing = document.getElementById('packing').checked && Boolean(operation.packableTensors) &&
+        !state.schedule && !isSpaceFillingCurve(state.loopOrder) && !isRecursiveSchedule(state.loopOrder);
+
+    // Space-filling curves and recursive schedules tile implicitly, at every
+    // scale, and a schedule does its own splitting, so explicit tiling is off
+    state.tilingEnabled = document.getElementById('tilingEnabled').checked &&
+        !isSpaceFillingCurve(state.loopOrder) && !isRecursiveSchedule(state.loopOrder) && !state.schedule;
+    state.recursionBase = parseInt(document.getElementById('recursionBase').value);
+    state.tileLevels = [];
+    const numTileLevels = parseInt(document.getElementById('tileLevels').value);
+    for (let level = numTileLevels; level >= 1; level--) {
+        const tileSizes = {};
+        for (const dim of operation.tileableDims || operation.loopDims) {
+            tileSizes[dim] = parseInt(document.getElementById(`tileSize${level}_${dim}`).value);
+        }
+        state.tileLevels.push({ tileSizes, loopOrder: document.getElementById('tileOrder' + level).value });
+    }
 
-    state.elementsPerLine = parseInt(document.getElementById('elementsPerLine').value);
+    state.lineSize = parseInt(document.getElementById('lineSize').value);
     state.numCacheLines = parseInt(document.getElementById('numCacheLines').value);
+    state.associativity = parseInt(document.getElementById('associativity').value);
+    state.replacement = document.getElementById('replacementPolicy').value;
+    state.l2Lines = parseInt(document.getElementById('l2Lines').value);
+    state.l3Lines = parseInt(document.getElementById('l3Lines').value);
+    state.writePolicy = document.getElementById('writePolicy').value;
+    state.writeAllocate = document.getElementById('writeAllocate').value === 'true';
+    state.prefetcherType = document.getElementById('prefetcher').value;
+    state.inclusion = document.getElementById('inclusionPolicy').value;
+    state.victimLines = parseInt(document.getElementById('victimLines').value);
+    state.tlbEntries = parseInt(document.getElementById('tlbEntries').value);
+    state.pageSize = parseInt(document.getElementById('pageSize').value);
+    state.tlbAssociativity = parseInt(document.getElementById('tlbAssociativity').value);
+    state.numRegisters = parseInt(document.getElementById('numRegisters').value);
+    state.numCores = parseInt(document.getElementById('numCores').value);
+    state.levelLatencies = {
+        1: parseInt(document.getElementById('l1Latency').value),
+        2: parseInt(document.getElementById('l2Latency').value),
+        3: parseInt(document.getElementById('l3Latency').value)
+    };
+    state.memoryLatency = parseInt(document.getElementById('memLatency').value);
+    state.peerLatency = parseInt(document.getElementById('peerLatency').value);
+    state.memoryBandwidth = parseInt(document.getElementById('memBandwidth').value);
+    state.splitDim = document.getElementById('splitDim').value;
 
     for (const tensor of operation.tensors) {
         const layoutEl = document.getElementById('layout' + tensor.name);
         if (layoutEl) {
             state.layouts[tensor.name] = layoutEl.value;
         }
+        const dtypeEl = document.getElementById('dtype' + tensor.name);
+        if (dtypeEl) {
+            state.dtypes[tensor.name] = dtypeEl.value;
+        }
+        const ldEl = document.getElementById('ld' + tensor.name);
+        const alignEl = document.getElementById('align' + tensor.name);
+        if (ldEl && alignEl) {
+            state.placements[tensor.name] = { ld: parseInt(ldEl.value), alignment: parseInt(alignEl.value) };
+        }
     }
+    state.tensorGap = parseInt(document.getElementById('tensorGap').value);
+    applyPacking();
+    setTensorDtypes(operation, state.dtypes, state.layouts);
+    setTensorPlacement(operation, { tensors: state.placements, gap: state.tensorGap }, state.layouts);
+
+    const cacheLineSize = state.lineSize;
 
-    const cacheLineSize = state.elementsPerLine * ELEMENT_SIZE;
-    const cacheCapacity = cacheLineSize * state.numCacheLines;
+    state.iterations = createIterationsCursor();
+    if (state.microKernel) {
+        state.registerAllocation = getMicroKernelRegisters(operation, state.microKernel.mr, state.microKernel.nr);
+    } else {
+        const { innerDims, unrolled } = getInnermostLoops();
+        state.registerAllocation = getScalarReplacement(operation, innerDims, state.numRegisters, unrolled);
+    }
+    state.registers = state.numRegisters > 0 || state.microKernel
+        ? Array.from({ length: state.numCores }, () => new RegisterFile(state.registerAllocation))
+        : [];
+
+    // OPT needs the whole future trace
+    const largeRun = getAccessBound() > ANALYSIS_ACCESS_LIMIT;
+    const replacementError = document.getElementById('replacementError');
+    replacementError.textContent = '';
+    if (state.replacement === 'opt' && largeRun) {
+        replacementError.textContent = `OPT is limited to ${ANALYSIS_ACCESS_LIMIT} accesses; using LRU`;
+        state.replacement = 'lru';
+    }
 
-    state.iterations = generateAllIterations();
-    state.cache = new CacheSimulator(cacheCapacity, cacheLineSize);
+    const cacheOptions = {
+        associativity: state.associativity,
+        replacement: state.replacement,
+        writePolicy: state.writePolicy,
+        writeAllocate: state.writeAllocate,
+        trace: state.replacement === 'opt'
+            ? getAccessTrace(operation, state.iterations, state.layouts, state.registerAllocation)
+            : undefined
+    };
+    const levelLines = [state.numCacheLines, state.l2Lines, state.l3Lines].filter(lines => lines > 0);
+    // The victim cache is part of the L1 side: its lines show as level 1
+    const victimCache = state.victimLines > 0
+        ? new CacheSimulator(cacheLineSize * state.victimLines, cacheLineSize, 1, {
+            writePolicy: state.writePolicy,
+            writeAllocate: state.writeAllocate
+        })
+        : null;
+    if (state.numCores > 1) {
+        state.cache = createCoherentSystem(cacheLineSize, cacheOptions);
+    } else {
+        state.cache = new CacheHierarchy(levelLines.map((lines, idx) =>
+            new CacheSimulator(cacheLineSize * lines, cacheLineSize, idx + 1, cacheOptions)
+        ), { inclusion: state.inclusion, victimCache });
+    }
+    state.missClassifiers = Array.from({ length: state.numCores }, () =>
+        new MissClassifier(cacheLineSize * state.numCacheLines, cacheLineSize)
+    );
+    state.prefetcher = state.numCores > 1 ? null : createPrefetcher(state.prefetcherType, cacheLineSize);
+    state.costModel = new CostModel({
+        levelLatencies: state.levelLatencies,
+        memoryLatency: state.memoryLatency,
+        peerLatency: state.peerLatency,
+        bytesPerCycle: state.memoryBandwidth
+    });
+    state.tlb = state.tlbEntries > 0 ? new TLB(state.tlbEntries, state.pageSize, state.tlbAssociativity) : null;
+    state.historyStride = Math.ceil(state.iterations.length / TIMELINE_MAX_ENTRIES) || 1;
 
+    state.reuseProfile = null;
+    if (largeRun) {
+        renderReuseAnalysis();
+    } else {
+        analyzeReuse();
+    }
     resetSimulation();
 }
 
+/**
+ * Upper bound on the memory accesses of the configured run: every tensor
+ * accessed at every iteration.
+ */
+function getAccessBound() {
+    return state.iterations.length * operation.tensors.length;
+}
+
+/**
+ * Compute the reuse profile of the configured run and draw it.
+ */
+function analyzeReuse() {
+    state.reuseProfile = buildReuseProfile(operation, state.iterations, state.layouts, state.lineSize, state.registerAllocation);
+    renderReuseAnalysis();
+}
+
+/**
+ * Add or remove the packed buffers to match the configuration: each holds
+ * one innermost tile of its input, or the whole input untiled, per core. The tensor
+ * controls and canvases are regenerated, keeping every tensor's settings; a
+ * new buffer starts with its input's dtype, and buffers are re-placed
+ * packed since their shape may have changed.
+ */
+function applyPacking() {
+    const tileSizes = state.packing
+        ? (state.tilingEnabled ? state.tileLevels[state.tileLevels.length - 1].tileSizes : {})
+        : null;
+    const wanted = tileSizes ? { tileSizes, numCores: state.numCores } : null;
+    const current = operation.packing
+        ? { tileSizes: operation.packing.tileSizes, numCores: operation.packing.numCores }
+        : null;
+    if (JSON.stringify(wanted) === JSON.stringify(current)) {
+        return;
+    }
+
+    setOperandPacking(operation, tileSizes, state.layouts, state.numCores);
+    const defaults = createTensorState(operation);
+    const keep = (map, initial) => Object.fromEntries(operation.tensors.map(tensor =>
+        [tensor.name, map[tensor.name] === undefined ? initial(tensor) : map[tensor.name]]));
+    state.layouts = keep(state.layouts, tensor => defaults.layouts[tensor.name]);
+    state.dtypes = keep(state.dtypes, tensor => state.dtypes[tensor.packs]);
+    state.placements = Object.fromEntries(operation.tensors.map(tensor =>
+        [tensor.name, tensor.packs ? defaults.placements[tensor.name] : state.placements[tensor.name]]));
+    state.stats = keep(state.stats, () => createTensorStats());
+
+    generateTensorUI();
+    initCanvases();
+    for (const tensor of operation.tensors) {
+        document.getElementById('layout' + tensor.name).value = state.layouts[tensor.name];
+        document.getElementById('dtype' + tensor.name).value = state.dtypes[tensor.name];
+    }
+    updateLeadingDimOptions();
+    for (const tensor of operation.tensors) {
+        document.getElementById('ld' + tensor.name).value = state.placements[tensor.name].ld;
+        document.getElementById('align' + tensor.name).value = state.placements[tensor.name].alignment;
+    }
+}
+
+/**
+ * Regenerate the leading-dimension choices of every tensor. They depend on
+ * the selected layout (row length), dtype and line size (padding of one line).
+ */
+function updateLeadingDimOptions() {
+    const lineBytes = parseInt(document.getElementById('lineSize').value);
+    for (const tensor of operation.tensors) {
+        const layout = document.getElementById('layout' + tensor.name).value;
+        const dtype = document.getElementById('dtype' + tensor.name).value;
+        generateLeadingDimOptions(tensor, layout, Math.max(1, lineBytes / getDtypeSize(dtype)));
+    }
+}
+
 /**
  * Update the byte equivalent displays for cache configuration.
  */
 export function updateCacheDisplays() {
-    const elementsPerLine = parseInt(document.getElementById('elementsPerLine').value);
+    const lineBytes = parseInt(document.getElementById('lineSize').value);
     const numCacheLines = parseInt(document.getElementById('numCacheLines').value);
+    const associativity = parseInt(document.getElementById('associativity').value);
 
-    const lineBytes = elementsPerLine * ELEMENT_SIZE;
     const totalBytes = lineBytes * numCacheLines;
+    const ways = associativity > 0 ? Math.min(associativity, numCacheLines) : numCacheLines;
+    const numSets = Math.floor(numCacheLines / ways);
+    const l2Lines = parseInt(document.getElementById('l2Lines').value);
+    const l3Lines = parseInt(document.getElementById('l3Lines').value);
 
-    document.getElementById('lineSizeBytes').textContent = `= ${lineBytes}B`;
+    // Elements per line for each dtype currently selected, e.g. "= 16 fp32, 64 int8"
+    const selectedDtypes = new Set();
+    for (const tensor of operation.tensors) {
+        const dtypeEl = document.getElementById('dtype' + tensor.name);
+        selectedDtypes.add(dtypeEl ? dtypeEl.value : tensor.dtype);
+    }
+    const perDtype = DTYPES
+        .filter(dtype => selectedDtypes.has(dtype.value))
+        .map(dtype => `${lineBytes / dtype.size} ${dtype.label}`);
+    document.getElementById('lineSizeElements').textContent = `= ${perDtype.join(', ')}`;
     document.getElementById('cacheSizeBytes').textContent = `= ${totalBytes}B`;
+    document.getElementById('cacheSetsInfo').textContent = `= ${numSets} set${numSets === 1 ? '' : 's'}`;
+    document.getElementById('l2SizeBytes').textContent = l2Lines > 0 ? `= ${lineBytes * l2Lines}B` : '';
+    document.getElementById('l3SizeBytes').textContent = l3Lines > 0 ? `= ${lineBytes * l3Lines}B` : '';
 }
 
 /**
@@ -350,6 +965,8 @@ export function switchMode(mode) {
 
     const newTensorState = createTensorState(newOp);
     state.layouts = newTensorState.layouts;
+    state.dtypes = newTensorState.dtypes;
+    state.placements = newTensorState.placements;
     state.stats = newTensorState.stats;
 
     document.querySelectorAll('.mode-tab').forEach(tab => {
@@ -359,12 +976,22 @@ export function switchMode(mode) {
 
     generateTensorUI();
     generateLoopOrderOptions();
+    generateSplitDimOptions();
     generateTileSizeOptions();
 
     initCanvases();
 
     state.loopOrder = opConfig.defaultLoopOrder;
     document.getElementById('loopOrder').value = state.loopOrder;
+    document.getElementById('recursionBase').disabled = !isRecursiveSchedule(state.loopOrder);
+    // Schedules name the operation's loops
+    document.getElementById('schedule').value = '';
+    const microKernelSelect = document.getElementById('microKernel');
+    microKernelSelect.value = '';
+    microKernelSelect.disabled = !newOp.microKernelDims;
+    const packingCheckbox = document.getElementById('packing');
+    packingCheckbox.checked = false;
+    packingCheckbox.disabled = !newOp.packableTensors;
 
     applyConfiguration();
 
@@ -384,11 +1011,39 @@ export function setupEventHandlers() {
     });
 
     document.getElementById('tilingEnabled').addEventListener('change', (e) => {
-        document.getElementById('tileSize').disabled = !e.target.checked;
+        document.getElementById('tileLevels').disabled = !e.target.checked;
+        document.querySelectorAll('#tileSizeControls select').forEach(select => {
+            select.disabled = !e.target.checked;
+        });
+    });
+
+    // The multi-core model is write-back, write-allocate private L1s plus the
+    // shared L2: the rest of the hierarchy and the write policy are single-core only
+    document.getElementById('numCores').addEventListener('change', (e) => {
+        ['prefetcher', 'l3Lines', 'victimLines', 'inclusionPolicy', 'writePolicy', 'writeAllocate'].forEach(id => {
+            document.getElementById(id).disabled = parseInt(e.target.value) > 1;
+        });
+        document.getElementById('peerLatency').disabled = parseInt(e.target.value) === 1;
+    });
+
+    document.getElementById('loopOrder').addEventListener('change', (e) => {
+        document.getElementById('recursionBase').disabled = !isRecursiveSchedule(e.target.value);
+    });
+
+    document.getElementById('tileLevels').addEventListener('change', () => {
+        generateTileSizeOptions();
     });
 
-    document.getElementById('elementsPerLine').addEventListener('change', updateCacheDisplays);
+    document.getElementById('lineSize').addEventListener('change', () => {
+        updateCacheDisplays();
+        updateLeadingDimOptions();
+    });
     document.getElementById('numCacheLines').addEventListener('change', updateCacheDisplays);
+    document.getElementById('associativity').addEventListener('change', updateCacheDisplays);
+    document.getElementById('l2Lines').addEventListener('change', updateCacheDisplays);
+    document.getElementById('l3Lines').addEventListener('change', updateCacheDisplays);
+
+    document.getElementById('analyzeReuse').addEventListener('click', analyzeReuse);
 
     const applyBtn = document.getElementById('applyConfig');
     applyBtn.addEventListener('click', () => {
@@ -397,8 +1052,12 @@ export function setupEventHandlers() {
     });
 
     const staticConfigInputs = [
-        'loopOrder', 'tilingEnabled', 'tileSize',
-        'elementsPerLine', 'numCacheLines'
+        'loopOrder', 'recursionBase', 'schedule', 'tilingEnabled', 'tileLevels', 'tileSizeControls', 'microKernel', 'packing',
+        'tensorGap', 'lineSize', 'numCacheLines', 'associativity', 'replacementPolicy',
+        'l2Lines', 'l3Lines', 'inclusionPolicy', 'victimLines',
+        'tlbEntries', 'pageSize', 'tlbAssociativity', 'numRegisters', 'numCores', 'splitDim',
+        'l1Latency', 'l2Latency', 'l3Latency', 'memLatency', 'peerLatency', 'memBandwidth',
+        'writePolicy', 'writeAllocate', 'prefetcher'
     ];
     staticConfigInputs.forEach(id => {
         document.getElementById(id).addEventListener('change', () => {
@@ -409,9 +1068,19 @@ export function setupEventHandlers() {
     document.getElementById('layoutControls').addEventListener('change', (e) => {
         if (e.target.tagName === 'SELECT') {
             applyBtn.classList.add('needs-apply');
+            updateCacheDisplays();
+            if (!e.target.id.startsWith('ld')) {
+                updateLeadingDimOptions();
+            }
         }
     });
 
+    document.getElementById('timelineMode').addEventListener('change', (e) => {
+        state.timelineMode = e.target.value;
+        renderTimeline(ctxTimeline, operation, state.history, state.currentIteration, state.timelineMode,
+            state.iterations.length, state.historyStride);
+    });
+
     document.getElementById('playPauseBtn').addEventListener('click', togglePlayPause);
     document.getElementById('stepFwdBtn').addEventListener('click', stepForward);
     document.getElementById('stepBackBtn').addEventListener('click', stepBackward);
@@ -424,7 +1093,7 @@ export function setupEventHandlers() {
     });
 
     document.getElementById('jumpIteration').addEventListener('change', (e) => {
-        const target = Math.min(Math.max(0, parseInt(e.target.value) || 0), operation.getTotalIterations() - 1);
+        const target = Math.min(Math.max(0, parseInt(e.target.value) || 0), state.iterations.length - 1);
         jumpToIteration(target);
         e.target.value = state.currentIteration;
     });
@@ -457,7 +1126,14 @@ export function setupEventHandlers() {
         timelineCanvas.width = timelineCanvas.offsetWidth;
         const memoryLayoutCanvas = document.getElementById('memoryLayout');
         memoryLayoutCanvas.width = memoryLayoutCanvas.offsetWidth;
-        renderMemoryLayout(ctxMemoryLayout, operation, state.iterations, state.currentIteration, state.cache, state.layouts, state.elementsPerLine, operation.elementSize);
-        renderTimeline(ctxTimeline, operation, state.history, state.currentIteration);
+        const reuseHistogramCanvas = document.getElementById('reuseHistogram');
+        reuseHistogramCanvas.width = reuseHistogramCanvas.offsetWidth;
+        const missRateCurveCanvas = document.getElementById('missRateCurve');
+        missRateCurveCanvas.width = missRateCurveCanvas.offsetWidth;
+        renderReuseAnalysis();
+        const cacheView = state.cache ? createCacheView(state.cache) : null;
+        renderMemoryLayout(ctxMemoryLayout, operation, state.iterations, state.currentIteration, cacheView, state.layouts, state.lineSize, state.tlb ? state.pageSize : 0);
+        renderTimeline(ctxTimeline, operation, state.history, state.currentIteration, state.timelineMode,
+            state.iterations.length, state.historyStride);
     });
 }
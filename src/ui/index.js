@@ -4,12 +4,18 @@
  */
 
 import { operation } from './state.js';
-import { generateTensorUI, initCanvases, generateLoopOrderOptions, generateTileSizeOptions } from './generation.js';
+import {
+    generateTensorUI, initCanvases, generateLoopOrderOptions, generateTileSizeOptions, generateReplacementOptions,
+    generateInclusionOptions, generatePrefetcherOptions, generateSplitDimOptions
+} from './generation.js';
 import { setupEventHandlers, applyConfiguration } from './handlers.js';
 import { setupTourHandlers } from './tour.js';
 
 export { state, operation, currentMode, createTensorState } from './state.js';
-export { generateTensorUI, initCanvases, generateLoopOrderOptions, generateTileSizeOptions } from './generation.js';
+export {
+    generateTensorUI, initCanvases, generateLoopOrderOptions, generateTileSizeOptions, generateReplacementOptions,
+    generateInclusionOptions, generatePrefetcherOptions, generateSplitDimOptions
+} from './generation.js';
 export {
     render, resetSimulation, jumpToIteration, stepForward, stepBackward,
     startAnimation, stopAnimation, togglePlayPause,
@@ -33,7 +39,11 @@ export function init() {
 
     generateTensorUI();
     generateLoopOrderOptions();
+    generateSplitDimOptions();
     generateTileSizeOptions();
+    generateReplacementOptions();
+    generateInclusionOptions();
+    generatePrefetcherOptions();
 
     initCanvases();
     setupEventHandlers();
@@ -9,11 +9,36 @@ import { MATRIX_SIZE, ELEMENT_SIZE } from '../rendering/config.js';
 export let currentMode = 'matmul';
 export let operation = OPERATIONS[currentMode].create();
 
+/**
+ * Fresh per-tensor statistics. `hits` counts accesses served by any cache
+ * level; `levelHits` breaks them down by level number. `missTypes` classifies
+ * L1 misses (3C model). `cycles` is the estimated cost of the accesses
+ * under the latency model.
+ */
+export function createTensorStats() {
+    return {
+        accesses: 0,
+        hits: 0,
+        levelHits: {},
+        missTypes: { compulsory: 0, capacity: 0, conflict: 0, coherence: 0 },
+        tlbHits: 0,
+        tlbMisses: 0,
+        registerHits: 0,
+        cycles: 0,
+        // Share of the above spent copying into packed buffers
+        packAccesses: 0,
+        packHits: 0,
+        packCycles: 0
+    };
+}
+
 /**
  * Initialize tensor state (layouts, stats) from operation definition.
  */
 export function createTensorState(op) {
     const layouts = {};
+    const dtypes = {};
+    const placements = {};
     const stats = {};
 
     for (const tensor of op.tensors) {
@@ -22,10 +47,12 @@ export function createTensorState(op) {
         } else {
             layouts[tensor.name] = 'row';
         }
-        stats[tensor.name] = { accesses: 0, hits: 0 };
+        dtypes[tensor.name] = tensor.dtype;
+        placements[tensor.name] = { ld: 0, alignment: 1 };
+        stats[tensor.name] = createTensorStats();
     }
 
-    return { layouts, stats };
+    return { layouts, dtypes, placements, stats };
 }
 
 const initialTensorState = createTensorState(operation);
@@ -35,10 +62,40 @@ export const state = {
     // Configuration (from UI)
     loopOrder: 'ijk',
     tilingEnabled: false,
-    tileSize: 4,
+    // Tile levels, outermost first: { tileSizes: { dim: size }, loopOrder } ('' = loop order)
+    tileLevels: [],
+    recursionBase: 2,
+    // Loop transformation schedule applied to loopOrder ('' = none)
+    schedule: '',
+    // Register-blocked micro-kernel { mr, nr } (null = off)
+    microKernel: null,
+    // Operand packing into contiguous buffers (see setOperandPacking)
+    packing: false,
     layouts: initialTensorState.layouts,
-    elementsPerLine: 16,
+    dtypes: initialTensorState.dtypes,
+    placements: initialTensorState.placements,
+    tensorGap: 0,
+    lineSize: 64,
     numCacheLines: 4,
+    associativity: 0,
+    replacement: 'lru',
+    l2Lines: 0,
+    l3Lines: 0,
+    writePolicy: 'write-back',
+    writeAllocate: true,
+    prefetcherType: 'none',
+    inclusion: 'nine',
+    victimLines: 0,
+    tlbEntries: 0,
+    pageSize: 256,
+    tlbAssociativity: 0,
+    numRegisters: 0,
+    numCores: 1,
+    splitDim: 'i',
+    levelLatencies: { 1: 4, 2: 12, 3: 40 },
+    memoryLatency: 200,
+    peerLatency: 60,
+    memoryBandwidth: 16,
 
     // Simulation state
     currentIteration: 0,
@@ -46,20 +103,32 @@ export const state = {
     speed: 10,
 
     // Generated data
-    iterations: [],
+    iterations: [],  // iteration cursor: length and at(i), computed on demand
     cache: null,
+    missClassifiers: [],
+    costModel: null,
+    reuseProfile: null,
+    prefetcher: null,
+    tlb: null,
+    // Registers per promoted tensor (scalar replacement or micro-kernel), and each core's register file
+    registerAllocation: {},
+    registers: [],
 
     // Statistics (per-tensor)
     stats: initialTensorState.stats,
 
-    // History for timeline
-    history: []
+    // History for timeline: the result of every historyStride-th iteration
+    history: [],
+    historyStride: 1,
+    timelineMode: 'level'
 };
 
 // Canvas contexts
 export let canvasContexts = {};
 export let ctxTimeline = null;
 export let ctxMemoryLayout = null;
+export let ctxReuseHistogram = null;
+export let ctxMissRateCurve = null;
 
 // Animation state
 export let animationId = null;
@@ -87,6 +156,14 @@ export function setCtxMemoryLayout(ctx) {
     ctxMemoryLayout = ctx;
 }
 
+export function setCtxReuseHistogram(ctx) {
+    ctxReuseHistogram = ctx;
+}
+
+export function setCtxMissRateCurve(ctx) {
+    ctxMissRateCurve = ctx;
+}
+
 export function setAnimationId(id) {
     animationId = id;
 }
@@ -20,19 +20,61 @@ function getTourSteps() {
         {
             target: '.matrices-container',
             title: operation.displayName,
-            content: `${opIntro} ${tensorDesc} Green highlighting indicates the element is currently in cache. The black dot shows which element is being accessed.`,
+            content: `${opIntro} ${tensorDesc} Highlighting indicates the element is currently in cache: green for L1, amber for L2, teal for L3, and purple for lines a prefetcher brought in that have not been used yet. The black dot shows which element is being accessed.`,
             position: 'bottom'
         },
         {
             target: '#memoryLayout',
             title: 'Linear Memory Layout',
-            content: 'Tensors are stored as flat arrays in memory. This bar shows each tensor\'s linear address space. Green = in cache. Vertical lines mark cache line boundaries. Watch how access patterns create different locality behaviors.',
+            content: 'Tensors are stored as flat arrays in memory. This bar shows each tensor\'s linear address space, scaled by bytes, so narrower dtypes pack more elements into each cache line. Green = in cache. Vertical lines mark cache line boundaries; with the TLB enabled, pink markers show page boundaries. Watch how access patterns create different locality behaviors.',
             position: 'top'
         },
         {
             target: '.config-panel',
             title: 'Configuration',
-            content: 'Control the simulation parameters here. Loop order changes which index varies fastest. Data layout (row/col major) affects how indices map to linear memory addresses. Cache settings control the simulated cache size.',
+            content: 'Control the simulation parameters here. Loop order changes which index varies fastest: pick a suggestion or type any permutation of the loops. Data layout (row/col major) affects how indices map to linear memory addresses. Cache settings control the simulated cache size.',
+            position: 'bottom'
+        },
+        {
+            target: '#loopOrder',
+            title: 'Curves and Recursion',
+            content: 'The Morton and Hilbert orders walk the output plane along a space-filling curve. The recursive orders halve the largest of M, N, K down to the recursion base.',
+            position: 'bottom'
+        },
+        {
+            target: '#schedule',
+            title: 'Schedule',
+            content: 'Transform the loop order with Halide-style directives, e.g. split(i, 4); reorder(io, j, k, ii); unroll(ii).',
+            position: 'bottom'
+        },
+        {
+            target: '#layoutControls',
+            title: 'Dtypes and Padding',
+            content: 'Each tensor\'s dtype sets its element size. The ld and align selects pad its rows and align its base, e.g. to spread a power-of-two stride over the cache sets.',
+            position: 'bottom'
+        },
+        {
+            target: '#numRegisters',
+            title: 'Registers',
+            content: 'References that do not change across the innermost loop stay in registers; their hits never reach the cache.',
+            position: 'bottom'
+        },
+        {
+            target: '#microKernel',
+            title: 'Micro-kernel',
+            content: 'Compute each MR×NR tile of C in registers, one outer product of an A and a B sliver per k, as BLIS does.',
+            position: 'bottom'
+        },
+        {
+            target: '#packing',
+            title: 'Packing',
+            content: 'Copy each tile of A and B into a contiguous buffer before using it, as GEMM libraries do.',
+            position: 'bottom'
+        },
+        {
+            target: '#numCores',
+            title: 'Cores',
+            content: 'Split one loop across cores with private caches kept coherent by MESI. Elements are colored by the core holding them.',
             position: 'bottom'
         },
         {
@@ -47,10 +89,40 @@ function getTourSteps() {
             content: 'Track total memory accesses and cache hits. The hit rate shows cache efficiency. Better locality = higher hit rate = faster real-world performance.',
             position: 'top'
         },
+        {
+            target: '#amat',
+            title: 'Cost',
+            content: 'AMAT prices each access by the latency of the level that served it, so a small gap in hit rate can cost several times the cycles.',
+            position: 'top'
+        },
+        {
+            target: '#memWriteBytes',
+            title: 'Write Traffic',
+            content: 'Writebacks count dirty lines evicted; memory write traffic counts the bytes that reached memory.',
+            position: 'top'
+        },
+        {
+            target: '#prefetchStats',
+            title: 'Prefetches',
+            content: 'Useful prefetches were hit before eviction, useless ones were evicted unused.',
+            position: 'top'
+        },
+        {
+            target: '#coherenceInvalidations',
+            title: 'Coherence',
+            content: 'Invalidations count copies removed by another core\'s write; false sharing counts those where the cores used different words of the line.',
+            position: 'top'
+        },
         {
             target: '#timeline',
             title: 'Cache Hit Timeline',
-            content: 'History of cache hits (green) and misses (red) for each tensor over time. Patterns here reveal locality behavior: clustered green = good locality, scattered red = poor locality.',
+            content: 'History of cache hits (colored by the level that served them) and misses (red) for each tensor over time. Patterns here reveal locality behavior: clustered green = good locality, scattered red = poor locality. Switch the timeline to miss types to see which misses are compulsory (purple), capacity (red) or conflict (orange), plus coherence misses (coral) in multi-core mode.',
+            position: 'top'
+        },
+        {
+            target: '.reuse-section',
+            title: 'Reuse Distance',
+            content: 'The reuse distance of an access is how many other cache lines were touched since its line was last used. The histogram buckets every access by that distance, per tensor; cold accesses are first touches. A fully associative LRU cache of N lines hits every access with distance below N, so the curve on the right shows the hit rate of every cache size at once. The marker is the configured L1 size: look for the size at which a loop order "clicks".',
             position: 'top'
         },
         {